@@ -0,0 +1,303 @@
+import supabase from "../db/supabaseClient.js";
+import { sendNotificationToUser } from "./notificationController.js";
+import { loadAuthorizedProject } from "./projectController.js";
+import { assignProjectMember, AllocationError } from "../services/membershipService.js";
+import { isOpenProject } from "../services/matchingService.js";
+
+// ---------------------------
+// STATES
+// ---------------------------
+// applied -> shortlisted -> accepted / rejected; the applicant may withdraw until decided
+// and re-apply after withdrawing.
+const TRANSITIONS = {
+  applied: ["shortlisted", "accepted", "rejected", "withdrawn"],
+  shortlisted: ["accepted", "rejected", "withdrawn"],
+  accepted: [],
+  rejected: [],
+  withdrawn: ["applied"],
+};
+
+const REVIEW_STATUSES = ["shortlisted", "accepted", "rejected"];
+
+const parseHours = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  const hours = Number(value);
+  return Number.isFinite(hours) && hours > 0 && hours <= 168 ? hours : NaN;
+};
+
+// ---------------------------
+// APPLY (IC)
+// ---------------------------
+export const applyToProject = async (req, res) => {
+  const { id } = req.params;
+  const { empid } = req.user;
+  const { note, hours_offered } = req.body;
+
+  const hours = parseHours(hours_offered);
+  if (Number.isNaN(hours))
+    return res.status(400).json({ error: "hours_offered must be a positive number of hours per week" });
+
+  try {
+    const { data: project, error: projectError } = await supabase
+      .from('projects')
+      .select('*')
+      .eq('id', id)
+      .is('deleted_at', null)
+      .maybeSingle();
+
+    if (projectError) throw projectError;
+    if (!project) return res.status(404).json({ error: "Project not found" });
+
+    if (String(project.empid) === String(empid))
+      return res.status(400).json({ error: "You cannot apply to your own activity" });
+
+    if (!isOpenProject(project))
+      return res.status(409).json({ error: "This activity is no longer accepting applications", code: "PROJECT_CLOSED" });
+
+    const { data: existing, error: findError } = await supabase
+      .from('project_applications')
+      .select('id, status')
+      .eq('project_id', id)
+      .eq('empid', empid)
+      .maybeSingle();
+
+    if (findError) throw findError;
+
+    const fields = {
+      note: note || null,
+      hours_offered: hours,
+      status: "applied",
+      decided_by: null,
+      decided_at: null,
+      decision_note: null,
+      updated_at: new Date().toISOString()
+    };
+
+    let application;
+    if (existing) {
+      if (!TRANSITIONS[existing.status].includes("applied"))
+        return res.status(409).json({ error: `You have already applied (status: ${existing.status})`, code: "ALREADY_APPLIED" });
+
+      // Only re-apply from the status just read (e.g. "withdrawn"), so a concurrent review isn't overwritten
+      const { data, error } = await supabase
+        .from('project_applications')
+        .update(fields)
+        .eq('id', existing.id)
+        .eq('status', existing.status)
+        .select('*');
+
+      if (error) throw error;
+      if (!data || data.length === 0)
+        return res.status(409).json({ error: "Application changed, please retry", code: "CONFLICT" });
+      application = data[0];
+    } else {
+      const { data, error } = await supabase
+        .from('project_applications')
+        .insert([{ project_id: id, empid, ...fields }])
+        .select('*')
+        .single();
+
+      if (error) {
+        if (error.code === "23505")
+          return res.status(409).json({ error: "You have already applied", code: "ALREADY_APPLIED" });
+        throw error;
+      }
+      application = data;
+    }
+
+    res.status(201).json(application);
+
+    // Let the creator know
+    if (project.empid) {
+      sendNotificationToUser(project.empid, {
+        template: "application.received",
+        params: { project: project.project_name }
+      });
+    }
+  } catch (err) {
+    console.error("Apply to project error →", err);
+    res.status(500).json({ error: "Failed to apply to project" });
+  }
+};
+
+// ---------------------------
+// WITHDRAW (applicant)
+// ---------------------------
+export const withdrawApplication = async (req, res) => {
+  const { id } = req.params;
+  const { empid } = req.user;
+
+  try {
+    const { data: existing, error: findError } = await supabase
+      .from('project_applications')
+      .select('id, status')
+      .eq('project_id', id)
+      .eq('empid', empid)
+      .maybeSingle();
+
+    if (findError) throw findError;
+    if (!existing) return res.status(404).json({ error: "Application not found" });
+
+    if (!TRANSITIONS[existing.status].includes("withdrawn"))
+      return res.status(409).json({ error: `Cannot withdraw an application that is ${existing.status}`, code: "INVALID_TRANSITION" });
+
+    const { data, error } = await supabase
+      .from('project_applications')
+      .update({ status: "withdrawn", updated_at: new Date().toISOString() })
+      .eq('id', existing.id)
+      .eq('status', existing.status)
+      .select('*');
+
+    if (error) throw error;
+    if (!data || data.length === 0)
+      return res.status(409).json({ error: "Application changed, please retry", code: "CONFLICT" });
+
+    res.json(data[0]);
+  } catch (err) {
+    console.error("Withdraw application error →", err);
+    res.status(500).json({ error: "Failed to withdraw application" });
+  }
+};
+
+// ---------------------------
+// LIST APPLICANTS (creator)
+// ---------------------------
+export const getProjectApplications = async (req, res) => {
+  const { id } = req.params;
+  const { status } = req.query;
+
+  try {
+    const authorized = await loadAuthorizedProject(req, res, 'applications:review', "Unauthorized: Only the creator can view applicants.");
+    if (!authorized) return;
+
+    let query = supabase
+      .from('project_applications')
+      .select('*, applicant:employees(empid, name, email, role, cluster, cluster2, availability, hours_available, from_date, to_date, current_skills)')
+      .eq('project_id', id)
+      .order('created_at', { ascending: true });
+
+    if (status) query = query.eq('status', status);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    res.json(data || []);
+  } catch (err) {
+    console.error("List applications error →", err);
+    res.status(500).json({ error: "Failed to fetch applications" });
+  }
+};
+
+// ---------------------------
+// REVIEW (creator): shortlist / accept / reject
+// ---------------------------
+// Puts back the application as it was before a decision whose follow-up failed
+const revertDecision = async (application, decided) => {
+  const { error } = await supabase
+    .from('project_applications')
+    .update({
+      status: application.status,
+      decided_by: application.decided_by,
+      decided_at: application.decided_at,
+      decision_note: application.decision_note,
+      updated_at: application.updated_at
+    })
+    .eq('id', application.id)
+    .eq('status', decided);
+
+  if (error) console.error("Revert application decision error →", error);
+};
+
+export const reviewApplication = async (req, res) => {
+  const { id, applicationId } = req.params;
+  const { status, note } = req.body;
+
+  if (!REVIEW_STATUSES.includes(status))
+    return res.status(400).json({ error: `status must be one of: ${REVIEW_STATUSES.join(", ")}` });
+
+  try {
+    const authorized = await loadAuthorizedProject(req, res, 'applications:review', "Unauthorized: Only the creator can review applicants.");
+    if (!authorized) return;
+    const { project } = authorized;
+
+    const { data: application, error: findError } = await supabase
+      .from('project_applications')
+      .select('*')
+      .eq('id', applicationId)
+      .eq('project_id', id)
+      .maybeSingle();
+
+    if (findError) throw findError;
+    if (!application) return res.status(404).json({ error: "Application not found" });
+
+    if (!TRANSITIONS[application.status].includes(status))
+      return res.status(409).json({
+        error: `Cannot move an application from ${application.status} to ${status}`,
+        code: "INVALID_TRANSITION"
+      });
+
+    const now = new Date().toISOString();
+
+    // Guard on the previous status so concurrent reviews can't both win
+    const { data, error } = await supabase
+      .from('project_applications')
+      .update({ status, decided_by: req.user.empid, decided_at: now, decision_note: note || null, updated_at: now })
+      .eq('id', application.id)
+      .eq('status', application.status)
+      .select('*');
+
+    if (error) throw error;
+    if (!data || data.length === 0)
+      return res.status(409).json({ error: "Application changed, please retry", code: "CONFLICT" });
+
+    // Accepting staffs the applicant with the hours they offered. Only the review that won the
+    // update above gets here; if the staffing fails the decision is put back.
+    let member = null;
+    if (status === "accepted") {
+      try {
+        ({ member } = await assignProjectMember(project, {
+          empid: application.empid,
+          allocated_hours_per_week: application.hours_offered || 0,
+          source: "application",
+          addedBy: req.user.empid
+        }));
+      } catch (err) {
+        await revertDecision(application, status);
+        if (!(err instanceof AllocationError)) throw err;
+        return res.status(409).json({ error: err.message, code: err.code });
+      }
+    }
+
+    res.json({ application: data[0], member });
+
+    // application.shortlisted | application.accepted | application.rejected
+    sendNotificationToUser(application.empid, {
+      template: `application.${status}`,
+      params: { project: project.project_name }
+    });
+  } catch (err) {
+    console.error("Review application error →", err);
+    res.status(500).json({ error: "Failed to update application" });
+  }
+};
+
+// ---------------------------
+// MY APPLICATIONS
+// ---------------------------
+export const getEmployeeApplications = async (req, res) => {
+  const { empid } = req.params;
+
+  try {
+    const { data, error } = await supabase
+      .from('project_applications')
+      .select('*, project:projects(id, project_name, status, end_date)')
+      .eq('empid', empid)
+      .order('updated_at', { ascending: false });
+
+    if (error) throw error;
+    res.json(data || []);
+  } catch (err) {
+    console.error("Fetch employee applications error →", err);
+    res.status(500).json({ error: "Failed to fetch applications" });
+  }
+};
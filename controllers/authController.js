@@ -1,53 +1,199 @@
 import supabase from "../db/supabaseClient.js";
 import { sendNotificationToUser } from "./notificationController.js";
+import { hashPassword, verifyPassword, validatePasswordStrength } from "../utils/password.js";
+import { signAccessToken, generateOpaqueToken, hashToken, ACCESS_TOKEN_TTL_SECONDS } from "../utils/tokens.js";
+import { sendMail } from "../services/mailService.js";
+import { escapeHtml } from "../utils/html.js";
+import { checkLoginAllowed, recordLoginFailure, clearLoginFailures } from "../services/loginThrottleService.js";
+import { can, resolveRole, ROLES } from "../utils/permissions.js";
+import { forbidden } from "../middleware/rbacMiddleware.js";
+import { toPublicEmployee } from "../utils/employeeFields.js";
+import { escapeLike, parsePagination, paginated } from "../utils/queryHelpers.js";
+import { createSession, rotateSession, revokeSessionByToken, revokeAllSessions, listActiveSessions, revokeOwnSession } from "../services/sessionService.js";
+import { recordAuthEvent, queryAuthEvents, AUDIT_EVENTS } from "../services/auditService.js";
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 30;
+const APP_URL = process.env.APP_URL || "http://localhost:3000";
+
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 24;
+const INVITE_TTL_DAYS = parseInt(process.env.INVITE_TTL_DAYS, 10) || 7;
+// Invite-only unless explicitly disabled
+const SIGNUP_INVITE_ONLY = process.env.SIGNUP_INVITE_ONLY !== "false";
+// Comma separated, e.g. "tatatechnologies.com,tata.com". Empty allows any domain (local dev).
+const ALLOWED_EMAIL_DOMAINS = (process.env.ALLOWED_EMAIL_DOMAINS || "")
+  .split(",")
+  .map((d) => d.trim().toLowerCase())
+  .filter(Boolean);
+
+if (ALLOWED_EMAIL_DOMAINS.length === 0) {
+  console.warn("ALLOWED_EMAIL_DOMAINS not set, signups from any email domain are accepted");
+}
+
+// Emails are matched case-insensitively; normalize once and use the result for the lookup and throttle keys
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+const isAllowedEmailDomain = (email) => {
+  if (ALLOWED_EMAIL_DOMAINS.length === 0) return true;
+  const domain = normalizeEmail(email).split("@")[1];
+  return Boolean(domain) && ALLOWED_EMAIL_DOMAINS.includes(domain);
+};
+
+// Sequence-backed IDs (see db/migrations/004_signup_invites_verification.sql)
+const generateEmpid = async () => {
+  const { data, error } = await supabase.rpc('next_empid');
+  if (error) throw error;
+  return data;
+};
+
+const findOpenInvite = async (token) => {
+  const { data, error } = await supabase
+    .from('employee_invites')
+    .select('*')
+    .eq('token_hash', hashToken(token))
+    .is('accepted_at', null)
+    .is('revoked_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+const sendVerificationEmail = async ({ empid, email, name }) => {
+  // Older unused links stop working once a new one is issued
+  const { error: expireError } = await supabase
+    .from('email_verification_tokens')
+    .update({ used_at: new Date().toISOString() })
+    .eq('empid', empid)
+    .is('used_at', null);
+
+  if (expireError) throw expireError;
+
+  const token = generateOpaqueToken();
+  const { error } = await supabase
+    .from('email_verification_tokens')
+    .insert([
+      {
+        empid,
+        token_hash: hashToken(token),
+        expires_at: new Date(Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000).toISOString()
+      }
+    ]);
+
+  if (error) throw error;
+
+  const link = `${APP_URL}/verify-email?token=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: email,
+    subject: "Verify your email address",
+    text: `Hi ${name},\n\nPlease confirm your email address to activate your account. The link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.\n\n${link}`,
+    html: `<p>Hi ${escapeHtml(name)},</p><p>Please confirm your email address to activate your account. The link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.</p><p><a href="${escapeHtml(link)}">Verify email</a></p>`
+  });
+};
+
+const clientInfo = (req) => ({ ip: req.ip, userAgent: req.get('user-agent') });
+
+// Access + refresh token pair returned by login and refresh
+const issueTokens = (user, sessionId, refreshToken) => ({
+  accessToken: signAccessToken({ empid: user.empid, role_type: user.role_type, sessionId }),
+  refreshToken,
+  tokenType: "Bearer",
+  expiresIn: ACCESS_TOKEN_TTL_SECONDS
+});
 
 // ---------------------------
 // LOGIN USER
 // ---------------------------
 export const loginUser = async (req, res) => {
-  const { email, password } = req.body;
+  const { password } = req.body;
 
-  if (!email || !password)
+  if (!req.body.email || !password)
     return res.status(400).json({ error: "Email and password required" });
 
+  const email = normalizeEmail(req.body.email);
+
   try {
+    // Brute-force protection: backoff / lockout per email and per IP
+    const throttle = await checkLoginAllowed({ email, ip: req.ip });
+    if (!throttle.allowed) {
+      recordAuthEvent(req, AUDIT_EVENTS.LOGIN_BLOCKED, { email, metadata: { locked: throttle.locked, retryAfter: throttle.retryAfter } });
+      res.set('Retry-After', String(throttle.retryAfter));
+      return throttle.locked
+        ? res.status(423).json({ error: "Account temporarily locked due to too many failed login attempts", code: "ACCOUNT_LOCKED", retryAfter: throttle.retryAfter })
+        : res.status(429).json({ error: "Too many failed login attempts, please wait before retrying", code: "LOGIN_THROTTLED", retryAfter: throttle.retryAfter });
+    }
+
     // Supabase search filter
     const { data: users, error } = await supabase
       .from('employees')
       .select('*, role_type') // Explicitly request role_type to ensure it's returned
-      .eq('email', email);
+      .ilike('email', escapeLike(email));
 
     if (error) throw error;
 
-    if (!users || users.length === 0)
-      return res.status(401).json({ error: "Invalid credentials" });
+    const user = users && users.length > 0 ? users[0] : null;
+    const { valid, needsRehash } = user ? await verifyPassword(password, user.password) : { valid: false };
+
+    if (!valid) {
+      // Unknown emails are tracked too, so responses don't reveal which accounts exist
+      const { accountLocked, lockoutMinutes } = await recordLoginFailure({ email, ip: req.ip });
+
+      recordAuthEvent(req, AUDIT_EVENTS.LOGIN_FAILED, {
+        empid: user && user.empid,
+        email,
+        metadata: { reason: user ? "bad_password" : "unknown_email" }
+      });
 
-    const user = users[0];
+      if (accountLocked) {
+        recordAuthEvent(req, AUDIT_EVENTS.ACCOUNT_LOCKED, { empid: user && user.empid, email, metadata: { lockoutMinutes } });
+      }
+
+      if (accountLocked && user) {
+        console.warn(`Account ${user.empid} locked after repeated failed logins`);
+        sendNotificationToUser(user.empid, {
+          template: "auth.account_locked",
+          params: { minutes: lockoutMinutes }
+        });
+      }
 
-    if (user.password !== password)
       return res.status(401).json({ error: "Invalid credentials" });
+    }
+
+    await clearLoginFailures(email);
+
+    if (user.email_verified === false) {
+      recordAuthEvent(req, AUDIT_EVENTS.LOGIN_FAILED, { empid: user.empid, email, metadata: { reason: "email_not_verified" } });
+      return res.status(403).json({ error: "Please verify your email address before logging in", code: "EMAIL_NOT_VERIFIED" });
+    }
+
+    // Transparently upgrade legacy plaintext (or outdated) hashes
+    if (needsRehash) {
+      const { error: rehashError } = await supabase
+        .from('employees')
+        .update({ password: await hashPassword(password) })
+        .eq('empid', user.empid);
+
+      if (rehashError) console.error(`Password rehash failed for ${user.empid} →`, rehashError.message);
+    }
 
-    const safeUser = {
-      empid: user.empid,
-      name: user.name,
-      email: user.email,
-      role: user.role,
-      role_type: user.role_type,
-      ...user // DEBUG: Include ALL fields to see what Supabase is actually returning
-    };
+    // Never return credentials or push endpoints to the client
+    const safeUser = toPublicEmployee(user);
+
+    const { sessionId, refreshToken } = await createSession(user.empid, clientInfo(req));
+    recordAuthEvent(req, AUDIT_EVENTS.LOGIN_SUCCESS, { empid: user.empid, email, sessionId });
 
     // Send Notification
     // console.log("Sending Login Notification to", user.empid);
     sendNotificationToUser(user.empid, {
-      title: "New Login Detected",
-      message: `Login detected for ${user.email} at ${new Date().toLocaleTimeString()}`,
-      url: "/"
+      template: "auth.login",
+      params: { email: user.email, time: new Date().toLocaleTimeString() }
     });
 
     // Update last_login
     await supabase.from('employees').update({ last_login: new Date().toISOString() }).eq('empid', user.empid);
 
-    res.json({ success: true, user: safeUser });
+    res.json({ success: true, user: safeUser, ...issueTokens(user, sessionId, refreshToken) });
 
   } catch (err) {
     console.error("Login error →", err);
@@ -59,23 +205,42 @@ export const loginUser = async (req, res) => {
 // SIGNUP USER
 // ---------------------------
 export const signupUser = async (req, res) => {
-  const { email, password, name } = req.body;
+  const { email, password, name, inviteToken } = req.body;
 
-  if (!email || !password || !name)
+  if (!email || !password || (!name && !inviteToken))
     return res.status(400).json({ error: "All fields required" });
 
+  if (!isAllowedEmailDomain(email))
+    return res.status(403).json({ error: "Signups are restricted to company email addresses", code: "EMAIL_DOMAIN_NOT_ALLOWED" });
+
   try {
+    let invite = null;
+    if (inviteToken) {
+      invite = await findOpenInvite(inviteToken);
+      if (!invite || normalizeEmail(invite.email) !== normalizeEmail(email))
+        return res.status(400).json({ error: "Invite is invalid, expired or for a different email", code: "INVITE_INVALID" });
+    } else if (SIGNUP_INVITE_ONLY) {
+      return res.status(403).json({ error: "Signup requires an invite from a manager", code: "INVITE_REQUIRED" });
+    }
+
+    const displayName = (invite && invite.name) || name;
+
+    const policyErrors = validatePasswordStrength(password, { email, name: displayName });
+    if (policyErrors.length > 0)
+      return res.status(400).json({ error: "Password does not meet requirements", details: policyErrors });
+
     const { data: existing, error: findError } = await supabase
       .from('employees')
-      .select('*')
-      .eq('email', email);
+      .select('empid')
+      .ilike('email', escapeLike(email));
 
     if (findError) throw findError;
 
     if (existing.length > 0)
       return res.status(409).json({ error: "Email already registered" });
 
-    const empid = `E${String(Date.now()).slice(-6)}`;
+    const empid = await generateEmpid();
+    const passwordHash = await hashPassword(password);
 
     // Supabase insert
     const { error: insertError } = await supabase
@@ -83,9 +248,9 @@ export const signupUser = async (req, res) => {
       .insert([
         {
           empid,
-          name,
+          name: displayName,
           email,
-          password,
+          password: passwordHash,
           availability: "Occupied",
           hours_available: "",
           from_date: "",
@@ -93,13 +258,39 @@ export const signupUser = async (req, res) => {
           current_skills: "[]",
           interests: "[]",
           previous_projects: "[]",
-          role: "Employee",
+          role: (invite && invite.role) || "Employee",
+          // The invite link was delivered to this address, so it is already verified
+          email_verified: Boolean(invite),
+          ...(invite && invite.cluster ? { cluster: invite.cluster } : {}),
+          ...(invite && invite.cluster2 ? { cluster2: invite.cluster2 } : {}),
+          ...(invite && invite.role_type ? { role_type: invite.role_type } : {}),
         }
       ]);
 
-    if (insertError) throw insertError;
+    if (insertError) {
+      if (insertError.code === "23505")
+        return res.status(409).json({ error: "Email already registered" });
+      throw insertError;
+    }
 
-    res.json({ success: true, message: "Account created successfully" });
+    if (invite) {
+      const { error: acceptError } = await supabase
+        .from('employee_invites')
+        .update({ accepted_at: new Date().toISOString(), accepted_empid: empid })
+        .eq('id', invite.id);
+
+      if (acceptError) console.error(`Failed to mark invite ${invite.id} accepted →`, acceptError.message);
+
+      return res.json({ success: true, message: "Account created successfully", requiresVerification: false });
+    }
+
+    await sendVerificationEmail({ empid, email, name: displayName });
+
+    res.json({
+      success: true,
+      message: "Account created. Check your email to verify your address before logging in.",
+      requiresVerification: true
+    });
   } catch (err) {
     console.error("Signup error →", err);
     res.status(500).json({ error: "Supabase signup error" });
@@ -110,9 +301,10 @@ export const signupUser = async (req, res) => {
 // UPDATE PASSWORD
 // ---------------------------
 export const updatePassword = async (req, res) => {
-  const { empid, currentPassword, newPassword } = req.body;
+  const { empid, sessionId } = req.user;
+  const { currentPassword, newPassword } = req.body;
 
-  if (!empid || !currentPassword || !newPassword) {
+  if (!currentPassword || !newPassword) {
     return res.status(400).json({ error: "All fields are required" });
   }
 
@@ -120,7 +312,7 @@ export const updatePassword = async (req, res) => {
     // 1. Fetch current user to verify password
     const { data: users, error: fetchError } = await supabase
       .from('employees')
-      .select('password')
+      .select('password, email, name')
       .eq('empid', empid)
       .single();
 
@@ -129,26 +321,31 @@ export const updatePassword = async (req, res) => {
     }
 
     // 2. Verify current password
-    console.log(`[UpdatePassword] Verifying: DB=${users.password} vs Input=${currentPassword}`);
-    if (users.password !== currentPassword) {
-      console.log("[UpdatePassword] Password mismatch!");
+    const { valid } = await verifyPassword(currentPassword, users.password);
+    if (!valid) {
+      recordAuthEvent(req, AUDIT_EVENTS.LOGIN_FAILED, { empid, sessionId, metadata: { reason: "bad_current_password" } });
       return res.status(401).json({ error: "Incorrect current password" });
     }
 
+    const policyErrors = validatePasswordStrength(newPassword, { email: users.email, name: users.name });
+    if (policyErrors.length > 0) {
+      return res.status(400).json({ error: "Password does not meet requirements", details: policyErrors });
+    }
+
     // 3. Update to new password
     const { error: updateError } = await supabase
       .from('employees')
-      .update({ password: newPassword })
+      .update({ password: await hashPassword(newPassword) })
       .eq('empid', empid);
 
     if (updateError) throw updateError;
 
+    // Sign out every other device; the current session stays valid
+    await revokeAllSessions(empid, "password_change", { exceptSessionId: sessionId });
+    recordAuthEvent(req, AUDIT_EVENTS.PASSWORD_CHANGED, { empid, sessionId });
+
     // Send Notification
-    sendNotificationToUser(empid, {
-      title: "Password Changed",
-      message: "Your password has been successfully updated.",
-      url: "/profile"
-    });
+    sendNotificationToUser(empid, { template: "auth.password_changed" });
 
     res.json({ success: true, message: "Password updated successfully" });
   } catch (err) {
@@ -156,3 +353,489 @@ export const updatePassword = async (req, res) => {
     res.status(500).json({ error: "Failed to update password" });
   }
 };
+
+// ---------------------------
+// REFRESH TOKENS
+// ---------------------------
+export const refreshSession = async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken)
+    return res.status(400).json({ error: "Refresh token required" });
+
+  try {
+    const result = await rotateSession(refreshToken, clientInfo(req));
+
+    if (result.error) {
+      if (result.error === "reused") {
+        console.warn(`Refresh token reuse detected for ${result.empid}, session ${result.sessionId} revoked`);
+        recordAuthEvent(req, AUDIT_EVENTS.TOKEN_REUSE_DETECTED, { empid: result.empid, sessionId: result.sessionId });
+      }
+      return res.status(401).json({ error: "Invalid or expired refresh token", code: result.error.toUpperCase() });
+    }
+
+    const { session } = result;
+
+    // role_type may have changed since login, so read it fresh
+    const { data: user, error } = await supabase
+      .from('employees')
+      .select('empid, role_type')
+      .eq('empid', session.empid)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!user)
+      return res.status(401).json({ error: "Invalid or expired refresh token" });
+
+    recordAuthEvent(req, AUDIT_EVENTS.TOKEN_REFRESHED, { empid: user.empid, sessionId: session.id });
+
+    res.json({ success: true, ...issueTokens(user, session.id, result.refreshToken) });
+  } catch (err) {
+    console.error("Refresh token error →", err);
+    res.status(500).json({ error: "Failed to refresh session" });
+  }
+};
+
+// ---------------------------
+// LOGOUT
+// ---------------------------
+export const logoutUser = async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken)
+    return res.status(400).json({ error: "Refresh token required" });
+
+  try {
+    const session = await revokeSessionByToken(refreshToken, "logout");
+    if (session) recordAuthEvent(req, AUDIT_EVENTS.LOGOUT, { empid: session.empid, sessionId: session.id });
+    // Respond the same way whether or not the token matched a live session
+    res.json({ success: true, message: "Logged out" });
+  } catch (err) {
+    console.error("Logout error →", err);
+    res.status(500).json({ error: "Failed to log out" });
+  }
+};
+
+// ---------------------------
+// FORGOT PASSWORD
+// ---------------------------
+export const forgotPassword = async (req, res) => {
+  if (!req.body.email)
+    return res.status(400).json({ error: "Email required" });
+
+  const email = normalizeEmail(req.body.email);
+
+  // Same response whether or not the account exists, so emails can't be enumerated
+  const genericResponse = { success: true, message: "If that email is registered, a reset link has been sent" };
+
+  try {
+    const { data: user, error } = await supabase
+      .from('employees')
+      .select('empid, name, email')
+      .ilike('email', escapeLike(email))
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!user) return res.json(genericResponse);
+
+    // Only the most recent link stays valid
+    const now = new Date().toISOString();
+    const { error: expireError } = await supabase
+      .from('password_reset_tokens')
+      .update({ used_at: now })
+      .eq('empid', user.empid)
+      .is('used_at', null);
+
+    if (expireError) throw expireError;
+
+    const token = generateOpaqueToken();
+    const expiresAt = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+
+    const { error: insertError } = await supabase
+      .from('password_reset_tokens')
+      .insert([
+        {
+          empid: user.empid,
+          token_hash: hashToken(token),
+          requested_ip: req.ip || null,
+          expires_at: expiresAt.toISOString()
+        }
+      ]);
+
+    if (insertError) throw insertError;
+
+    recordAuthEvent(req, AUDIT_EVENTS.PASSWORD_RESET_REQUESTED, { empid: user.empid, email: user.email });
+
+    const link = `${APP_URL}/reset-password?token=${encodeURIComponent(token)}`;
+
+    await sendMail({
+      to: user.email,
+      subject: "Reset your password",
+      text: `Hi ${user.name},\n\nUse the link below to reset your password. It expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can only be used once.\n\n${link}\n\nIf you didn't request this, you can ignore this email.`,
+      html: `<p>Hi ${escapeHtml(user.name)},</p><p>Use the link below to reset your password. It expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can only be used once.</p><p><a href="${escapeHtml(link)}">Reset password</a></p><p>If you didn't request this, you can ignore this email.</p>`
+    });
+
+    res.json(genericResponse);
+  } catch (err) {
+    console.error("Forgot password error →", err);
+    res.status(500).json({ error: "Failed to process password reset request" });
+  }
+};
+
+// ---------------------------
+// RESET PASSWORD
+// ---------------------------
+export const resetPassword = async (req, res) => {
+  const { token, newPassword } = req.body;
+
+  if (!token || !newPassword)
+    return res.status(400).json({ error: "Token and new password required" });
+
+  try {
+    const tokenHash = hashToken(token);
+    const now = new Date().toISOString();
+    const invalidLink = { error: "Reset link is invalid or has expired", code: "RESET_TOKEN_INVALID" };
+
+    const { data: resetToken, error: tokenError } = await supabase
+      .from('password_reset_tokens')
+      .select('empid')
+      .eq('token_hash', tokenHash)
+      .is('used_at', null)
+      .gt('expires_at', now)
+      .maybeSingle();
+
+    if (tokenError) throw tokenError;
+    if (!resetToken) return res.status(400).json(invalidLink);
+
+    const { empid } = resetToken;
+
+    const { data: user, error: userError } = await supabase
+      .from('employees')
+      .select('empid, name, email')
+      .eq('empid', empid)
+      .maybeSingle();
+
+    if (userError) throw userError;
+    if (!user) return res.status(400).json(invalidLink);
+
+    const policyErrors = validatePasswordStrength(newPassword, { email: user.email, name: user.name });
+    if (policyErrors.length > 0)
+      return res.status(400).json({ error: "Password does not meet requirements", details: policyErrors });
+
+    // Claim the token atomically: only one request can flip used_at
+    const { data: claimed, error: claimError } = await supabase
+      .from('password_reset_tokens')
+      .update({ used_at: now })
+      .eq('token_hash', tokenHash)
+      .is('used_at', null)
+      .select('id');
+
+    if (claimError) throw claimError;
+    if (!claimed || claimed.length === 0) return res.status(400).json(invalidLink);
+
+    const { error: updateError } = await supabase
+      .from('employees')
+      .update({ password: await hashPassword(newPassword) })
+      .eq('empid', empid);
+
+    if (updateError) throw updateError;
+
+    // Sign out everywhere
+    await revokeAllSessions(empid, "password_reset");
+    recordAuthEvent(req, AUDIT_EVENTS.PASSWORD_RESET, { empid, email: user.email });
+
+    sendNotificationToUser(empid, { template: "auth.password_reset" });
+
+    res.json({ success: true, message: "Password has been reset. Please log in again." });
+  } catch (err) {
+    console.error("Reset password error →", err);
+    res.status(500).json({ error: "Failed to reset password" });
+  }
+};
+
+// ---------------------------
+// UNLOCK ACCOUNT (Admin)
+// ---------------------------
+export const unlockAccount = async (req, res) => {
+  const { empid } = req.params;
+
+  try {
+    const { data: user, error } = await supabase
+      .from('employees')
+      .select('empid, email')
+      .eq('empid', empid)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!user) return res.status(404).json({ error: "Employee not found" });
+
+    await clearLoginFailures(user.email);
+    console.log(`Account ${empid} unlocked by ${req.user.empid}`);
+    recordAuthEvent(req, AUDIT_EVENTS.ACCOUNT_UNLOCKED, { empid, email: user.email, metadata: { unlockedBy: req.user.empid } });
+
+    sendNotificationToUser(empid, { template: "auth.account_unlocked" });
+
+    res.json({ success: true, message: "Account unlocked" });
+  } catch (err) {
+    console.error("Unlock account error →", err);
+    res.status(500).json({ error: "Failed to unlock account" });
+  }
+};
+
+// ---------------------------
+// VERIFY EMAIL
+// ---------------------------
+export const verifyEmail = async (req, res) => {
+  const { token } = req.body;
+
+  if (!token)
+    return res.status(400).json({ error: "Verification token required" });
+
+  try {
+    const now = new Date().toISOString();
+
+    const { data: claimed, error: claimError } = await supabase
+      .from('email_verification_tokens')
+      .update({ used_at: now })
+      .eq('token_hash', hashToken(token))
+      .is('used_at', null)
+      .gt('expires_at', now)
+      .select('empid');
+
+    if (claimError) throw claimError;
+
+    if (!claimed || claimed.length === 0)
+      return res.status(400).json({ error: "Verification link is invalid or has expired", code: "VERIFICATION_TOKEN_INVALID" });
+
+    const { error: updateError } = await supabase
+      .from('employees')
+      .update({ email_verified: true })
+      .eq('empid', claimed[0].empid);
+
+    if (updateError) throw updateError;
+
+    recordAuthEvent(req, AUDIT_EVENTS.EMAIL_VERIFIED, { empid: claimed[0].empid });
+
+    res.json({ success: true, message: "Email verified. You can now log in." });
+  } catch (err) {
+    console.error("Verify email error →", err);
+    res.status(500).json({ error: "Failed to verify email" });
+  }
+};
+
+// ---------------------------
+// RESEND VERIFICATION
+// ---------------------------
+export const resendVerification = async (req, res) => {
+  if (!req.body.email)
+    return res.status(400).json({ error: "Email required" });
+
+  const email = normalizeEmail(req.body.email);
+
+  const genericResponse = { success: true, message: "If that account is awaiting verification, a new link has been sent" };
+
+  try {
+    const { data: user, error } = await supabase
+      .from('employees')
+      .select('empid, name, email, email_verified')
+      .ilike('email', escapeLike(email))
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!user || user.email_verified !== false) return res.json(genericResponse);
+
+    await sendVerificationEmail(user);
+    res.json(genericResponse);
+  } catch (err) {
+    console.error("Resend verification error →", err);
+    res.status(500).json({ error: "Failed to resend verification email" });
+  }
+};
+
+// ---------------------------
+// CREATE INVITE (Manager / Admin)
+// ---------------------------
+export const createInvite = async (req, res) => {
+  const { email, name, cluster, cluster2, role, role_type } = req.body;
+
+  if (!email || !name)
+    return res.status(400).json({ error: "Email and name required" });
+
+  if (!isAllowedEmailDomain(email))
+    return res.status(400).json({ error: "Invites are restricted to company email addresses", code: "EMAIL_DOMAIN_NOT_ALLOWED" });
+
+  // Only admins may invite someone straight into a privileged role
+  if (role_type && resolveRole(role_type) !== ROLES.IC && !can(req.user, "roles:assign"))
+    return forbidden(res, "roles:assign", "Only admins can invite managers or admins");
+
+  try {
+    const { data: existing, error: findError } = await supabase
+      .from('employees')
+      .select('empid')
+      .ilike('email', escapeLike(email));
+
+    if (findError) throw findError;
+    if (existing.length > 0)
+      return res.status(409).json({ error: "Email already registered" });
+
+    // Re-inviting replaces any outstanding invite for the same address
+    const { error: revokeError } = await supabase
+      .from('employee_invites')
+      .update({ revoked_at: new Date().toISOString() })
+      .ilike('email', escapeLike(email))
+      .is('accepted_at', null)
+      .is('revoked_at', null);
+
+    if (revokeError) throw revokeError;
+
+    const token = generateOpaqueToken();
+    const expiresAt = new Date();
+    expiresAt.setDate(expiresAt.getDate() + INVITE_TTL_DAYS);
+
+    const { data: invite, error: insertError } = await supabase
+      .from('employee_invites')
+      .insert([
+        {
+          token_hash: hashToken(token),
+          email: String(email).trim(),
+          name,
+          cluster: cluster || null,
+          cluster2: cluster2 || null,
+          role: role || null,
+          role_type: role_type || null,
+          invited_by: req.user.empid,
+          expires_at: expiresAt.toISOString()
+        }
+      ])
+      .select('id, email, name, cluster, cluster2, role, role_type, expires_at')
+      .single();
+
+    if (insertError) throw insertError;
+
+    const link = `${APP_URL}/signup?invite=${encodeURIComponent(token)}`;
+
+    await sendMail({
+      to: invite.email,
+      subject: "You're invited to Bluebird",
+      text: `Hi ${name},\n\nYou've been invited to join Bluebird. Use the link below to create your account. It expires in ${INVITE_TTL_DAYS} days.\n\n${link}`,
+      html: `<p>Hi ${escapeHtml(name)},</p><p>You've been invited to join Bluebird. Use the link below to create your account. It expires in ${INVITE_TTL_DAYS} days.</p><p><a href="${escapeHtml(link)}">Create account</a></p>`
+    });
+
+    res.status(201).json({ success: true, invite });
+  } catch (err) {
+    console.error("Create invite error →", err);
+    res.status(500).json({ error: "Failed to create invite" });
+  }
+};
+
+// ---------------------------
+// GET INVITE (prefill signup form)
+// ---------------------------
+export const getInvite = async (req, res) => {
+  const { token } = req.params;
+
+  try {
+    const invite = await findOpenInvite(token);
+    if (!invite)
+      return res.status(404).json({ error: "Invite is invalid or has expired", code: "INVITE_INVALID" });
+
+    res.json({
+      email: invite.email,
+      name: invite.name,
+      cluster: invite.cluster,
+      cluster2: invite.cluster2,
+      role: invite.role,
+      expires_at: invite.expires_at
+    });
+  } catch (err) {
+    console.error("Get invite error →", err);
+    res.status(500).json({ error: "Failed to load invite" });
+  }
+};
+
+// ---------------------------
+// LIST MY SESSIONS (devices)
+// ---------------------------
+export const getMySessions = async (req, res) => {
+  const { empid, sessionId } = req.user;
+
+  try {
+    const sessions = await listActiveSessions(empid);
+    res.json(sessions.map((s) => ({ ...s, current: s.id === sessionId })));
+  } catch (err) {
+    console.error("List sessions error →", err);
+    res.status(500).json({ error: "Failed to fetch sessions" });
+  }
+};
+
+// ---------------------------
+// REVOKE ONE OF MY SESSIONS
+// ---------------------------
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export const revokeMySession = async (req, res) => {
+  const { empid } = req.user;
+  const { id } = req.params;
+
+  if (!UUID_PATTERN.test(id))
+    return res.status(404).json({ error: "Session not found" });
+
+  try {
+    const revoked = await revokeOwnSession(empid, id);
+    if (!revoked) return res.status(404).json({ error: "Session not found" });
+
+    recordAuthEvent(req, AUDIT_EVENTS.SESSION_REVOKED, { empid, sessionId: id, metadata: { revokedBy: empid } });
+    res.json({ success: true, message: "Session revoked" });
+  } catch (err) {
+    console.error("Revoke session error →", err);
+    res.status(500).json({ error: "Failed to revoke session" });
+  }
+};
+
+// ---------------------------
+// REVOKE ALL OTHER SESSIONS
+// ---------------------------
+export const revokeOtherSessions = async (req, res) => {
+  const { empid, sessionId } = req.user;
+
+  try {
+    await revokeAllSessions(empid, "user_revoked", { exceptSessionId: sessionId });
+    recordAuthEvent(req, AUDIT_EVENTS.SESSION_REVOKED, { empid, sessionId, metadata: { scope: "all_other_sessions" } });
+    res.json({ success: true, message: "All other sessions revoked" });
+  } catch (err) {
+    console.error("Revoke sessions error →", err);
+    res.status(500).json({ error: "Failed to revoke sessions" });
+  }
+};
+
+// ---------------------------
+// AUDIT EVENTS (Manager / Admin)
+// ---------------------------
+export const getAuditEvents = async (req, res) => {
+  const { empid, type, from, to } = req.query;
+  const pagination = parsePagination(req.query, { defaultLimit: 50, maxLimit: 200 });
+
+  for (const [label, value] of [["from", from], ["to", to]]) {
+    if (value && isNaN(new Date(value).getTime()))
+      return res.status(400).json({ error: `Invalid "${label}" date` });
+  }
+
+  try {
+    const { events, total } = await queryAuthEvents({
+      empid,
+      eventType: type,
+      from: from && new Date(from).toISOString(),
+      // A date-only "to" includes that whole day
+      to: to && (/^\d{4}-\d{2}-\d{2}$/.test(to)
+        ? new Date(new Date(to).getTime() + 24 * 60 * 60 * 1000 - 1).toISOString()
+        : new Date(to).toISOString()),
+      page: pagination.page,
+      limit: pagination.limit
+    });
+
+    res.json(paginated(events, pagination, total));
+  } catch (err) {
+    console.error("Audit query error →", err);
+    res.status(500).json({ error: "Failed to fetch audit events" });
+  }
+};
@@ -0,0 +1,242 @@
+import supabase from "../db/supabaseClient.js";
+import { sendNotificationToUser } from "./notificationController.js";
+import { can } from "../utils/permissions.js";
+import { forbidden } from "../middleware/rbacMiddleware.js";
+import { parsePagination, paginated } from "../utils/queryHelpers.js";
+
+const MAX_COMMENT_LENGTH = 4000;
+
+const COMMENT_SELECT = 'id, project_id, parent_id, body, mentions, created_at, edited_at, empid, author:employees(empid, name)';
+
+// "@1234 can you check?" -> ["1234"]
+const MENTION_PATTERN = /(?:^|[^\w@])@([\w-]+)/g;
+
+const extractMentions = (body) => [...new Set([...body.matchAll(MENTION_PATTERN)].map((m) => m[1]))];
+
+// Keep only mentions that name real employees
+const resolveMentions = async (body) => {
+  const candidates = extractMentions(body);
+  if (candidates.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from('employees')
+    .select('empid')
+    .in('empid', candidates);
+
+  if (error) throw error;
+  return (data || []).map((e) => String(e.empid));
+};
+
+const validateBody = (body) => {
+  const text = typeof body === "string" ? body.trim() : "";
+  if (!text) return { error: "Comment body required" };
+  if (text.length > MAX_COMMENT_LENGTH) return { error: `Comments are limited to ${MAX_COMMENT_LENGTH} characters` };
+  return { text };
+};
+
+const loadProject = async (id) => {
+  const { data, error } = await supabase
+    .from('projects')
+    .select('id, empid, project_name')
+    .eq('id', id)
+    .is('deleted_at', null)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+// Load a comment on the project and check the caller may act on it (author, or a role with "any" access)
+// Returns the comment or sends the 404/403 response and returns null
+const loadAuthorizedComment = async (req, res, permission, deniedMessage) => {
+  const { id, commentId } = req.params;
+
+  const { data: comment, error } = await supabase
+    .from('project_comments')
+    .select('*')
+    .eq('id', commentId)
+    .eq('project_id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!comment) {
+    res.status(404).json({ error: "Comment not found" });
+    return null;
+  }
+
+  const isOwner = String(comment.empid) === String(req.user.empid);
+  if (!can(req.user, permission, { isOwner })) {
+    forbidden(res, permission, deniedMessage);
+    return null;
+  }
+
+  return comment;
+};
+
+const notifyMentions = (empids, project, author) =>
+  empids.forEach((empid) => sendNotificationToUser(empid, {
+    template: "comment.mention",
+    params: { author, project: project.project_name }
+  }));
+
+// ---------------------------
+// LIST COMMENTS
+// ---------------------------
+// Oldest first; ?parent_id= narrows to the replies of one comment
+export const getProjectComments = async (req, res) => {
+  const { id } = req.params;
+  const { parent_id } = req.query;
+  const pagination = parsePagination(req.query, { defaultLimit: 50 });
+
+  try {
+    const project = await loadProject(id);
+    if (!project) return res.status(404).json({ error: "Project not found" });
+
+    let query = supabase
+      .from('project_comments')
+      .select(COMMENT_SELECT, { count: 'exact' })
+      .eq('project_id', id)
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true })
+      .range(pagination.offset, pagination.offset + pagination.limit - 1);
+
+    if (parent_id) query = query.eq('parent_id', parent_id);
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+
+    res.set('X-Total-Count', String(count || 0));
+    res.json(paginated(data || [], pagination, count || 0));
+  } catch (err) {
+    console.error("List comments error →", err);
+    res.status(500).json({ error: "Failed to fetch comments" });
+  }
+};
+
+// ---------------------------
+// CREATE COMMENT
+// ---------------------------
+export const createComment = async (req, res) => {
+  const { id } = req.params;
+  const { empid } = req.user;
+  const { parent_id } = req.body;
+
+  const { text, error: bodyError } = validateBody(req.body.body);
+  if (bodyError) return res.status(400).json({ error: bodyError });
+
+  try {
+    const project = await loadProject(id);
+    if (!project) return res.status(404).json({ error: "Project not found" });
+
+    let parent = null;
+    if (parent_id) {
+      const { data, error } = await supabase
+        .from('project_comments')
+        .select('id, empid')
+        .eq('id', parent_id)
+        .eq('project_id', id)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!data) return res.status(400).json({ error: "parent_id does not belong to this project" });
+      parent = data;
+    }
+
+    const mentions = await resolveMentions(text);
+
+    const { data, error } = await supabase
+      .from('project_comments')
+      .insert([{ project_id: project.id, parent_id: parent ? parent.id : null, empid, body: text, mentions }])
+      .select(COMMENT_SELECT)
+      .single();
+
+    if (error) throw error;
+
+    res.status(201).json(data);
+
+    // Mentioned people first; the creator and the parent's author hear about it only once
+    const author = data.author?.name || `Employee ${empid}`;
+    const notified = new Set([String(empid)]);
+    const mentioned = mentions.filter((m) => !notified.has(m));
+    mentioned.forEach((m) => notified.add(m));
+    notifyMentions(mentioned, project, author);
+
+    if (parent && parent.empid && !notified.has(String(parent.empid))) {
+      notified.add(String(parent.empid));
+      sendNotificationToUser(parent.empid, {
+        template: "comment.reply",
+        params: { author, project: project.project_name }
+      });
+    }
+
+    if (project.empid && !notified.has(String(project.empid))) {
+      sendNotificationToUser(project.empid, {
+        template: "comment.new",
+        params: { author, project: project.project_name }
+      });
+    }
+  } catch (err) {
+    console.error("Create comment error →", err);
+    res.status(500).json({ error: "Failed to post comment" });
+  }
+};
+
+// ---------------------------
+// EDIT COMMENT (author)
+// ---------------------------
+export const updateComment = async (req, res) => {
+  const { text, error: bodyError } = validateBody(req.body.body);
+  if (bodyError) return res.status(400).json({ error: bodyError });
+
+  try {
+    const project = await loadProject(req.params.id);
+    if (!project) return res.status(404).json({ error: "Project not found" });
+
+    const comment = await loadAuthorizedComment(req, res, 'comments:update', "Only the author can edit this comment");
+    if (!comment) return;
+
+    const mentions = await resolveMentions(text);
+
+    const { data, error } = await supabase
+      .from('project_comments')
+      .update({ body: text, mentions, edited_at: new Date().toISOString() })
+      .eq('id', comment.id)
+      .select(COMMENT_SELECT)
+      .single();
+
+    if (error) throw error;
+
+    res.json(data);
+
+    // Only people newly mentioned by the edit are notified
+    const previous = new Set((comment.mentions || []).map(String));
+    const added = mentions.filter((m) => !previous.has(m) && m !== String(req.user.empid));
+    notifyMentions(added, project, data.author?.name || `Employee ${req.user.empid}`);
+  } catch (err) {
+    console.error("Update comment error →", err);
+    res.status(500).json({ error: "Failed to update comment" });
+  }
+};
+
+// ---------------------------
+// DELETE COMMENT (author / Admin)
+// ---------------------------
+// Replies are removed with their parent
+export const deleteComment = async (req, res) => {
+  try {
+    const comment = await loadAuthorizedComment(req, res, 'comments:delete', "Only the author can delete this comment");
+    if (!comment) return;
+
+    const { error } = await supabase
+      .from('project_comments')
+      .delete()
+      .eq('id', comment.id);
+
+    if (error) throw error;
+
+    res.json({ success: true, message: "Comment deleted" });
+  } catch (err) {
+    console.error("Delete comment error →", err);
+    res.status(500).json({ error: "Failed to delete comment" });
+  }
+};
@@ -1,89 +1,107 @@
 import supabase from "../db/supabaseClient.js";
 import { sendNotificationToUser } from "./notificationController.js";
-
-/**
- * Utilities
- */
-
-// Parse stored list-like values (stringified JSON, CSV, newline or array)
-const safeJsonParse = (value) => {
-  if (value === undefined || value === null) return [];
-  if (Array.isArray(value)) return value.filter(Boolean);
-  if (typeof value === "object") {
-    try {
-      return Object.values(value).flat().filter(Boolean);
-    } catch {
-      return [];
-    }
-  }
-  if (typeof value === "string") {
-    const s = value.trim();
-    if (!s) return [];
-    // try JSON
-    try {
-      const parsed = JSON.parse(s);
-      if (Array.isArray(parsed)) return parsed.filter(Boolean);
-    } catch { }
-    // split by newline or comma
-    return s.split(/\r?\n|,/).map((x) => x.trim()).filter(Boolean);
-  }
-  return [];
-};
-
-// Normalize lists to JSON string for storage. Return undefined if input omitted.
-const normalizeListForStore = (val) => {
-  if (val === undefined || val === null) return undefined;
-  if (Array.isArray(val)) return JSON.stringify(val.filter(Boolean));
-  if (typeof val === "string") {
-    const s = val.trim();
-    if (s === "") return JSON.stringify([]);
-    // try parse JSON string
-    try {
-      const parsed = JSON.parse(s);
-      if (Array.isArray(parsed)) return JSON.stringify(parsed.filter(Boolean));
-    } catch { }
-    // split by newline/comma
-    const arr = s.split(/\r?\n|,/).map((x) => x.trim()).filter(Boolean);
-    return JSON.stringify(arr);
-  }
-  // coerce other values into single-element array
-  return JSON.stringify([String(val)]);
+import { can } from "../utils/permissions.js";
+import { forbidden } from "../middleware/rbacMiddleware.js";
+import { PUBLIC_EMPLOYEE_SELECT } from "../utils/employeeFields.js";
+import {
+  escapeLike,
+  quoteFilterValue,
+  parsePagination,
+  paginated,
+  parseSort,
+  applySort,
+  parseDate,
+  toIsoDate
+} from "../utils/queryHelpers.js";
+import { safeJsonParse, normalizeListForStore } from "../utils/listFields.js";
+import { resolveSkills, syncEmployeeSkillsFromNames, syncEmployeeInterestsFromNames } from "../services/skillService.js";
+import { publish } from "../services/realtimeService.js";
+
+// Free-text list -> catalog names (unknown entries are kept verbatim)
+const canonicalizeSkillList = async (stored) => {
+  const { matched, unmatched } = await resolveSkills(safeJsonParse(stored));
+  return { names: [...matched.map(({ skill }) => skill.name), ...unmatched], unmatched };
 };
 
 /**
  * Controllers
  */
 
-// GET ALL
+const SORTABLE_EMPLOYEE_FIELDS = ["empid", "name", "stars", "availability", "cluster", "role", "role_type", "from_date", "to_date", "updated_at", "last_login"];
+
+// GET ALL (paginated, filtered and sorted in the database)
+// Query: search, cluster, role, role_type, availability, skill, available_from, available_to,
+//        sort (e.g. "name,-stars"), page, limit
 export const getAllEmployees = async (req, res) => {
-  const { search = "", availability = "" } = req.query;
+  const {
+    search = "",
+    availability = "",
+    cluster = "",
+    role = "",
+    role_type = "",
+    skill = "",
+    available_from = "",
+    available_to = "",
+  } = req.query;
+
+  const pagination = parsePagination(req.query);
+  const { sort, error: sortError } = parseSort(req.query.sort, SORTABLE_EMPLOYEE_FIELDS, [{ column: "empid", ascending: true }]);
+  if (sortError) return res.status(400).json({ error: sortError });
+
+  // Date window: keep employees whose availability window overlaps [available_from, available_to]
+  const windowFrom = available_from ? parseDate(available_from) : null;
+  const windowTo = available_to ? parseDate(available_to) : null;
+  if ((available_from && !windowFrom) || (available_to && !windowTo))
+    return res.status(400).json({ error: "Invalid available_from / available_to date" });
+
   try {
-    const { data: employees, error } = await supabase
+    let query = supabase
       .from('employees')
-      .select('*')
-      .order('empid', { ascending: true });
+      .select(PUBLIC_EMPLOYEE_SELECT, { count: 'exact' });
+
+    // OR-conditions are collected and ANDed together at the end
+    const orGroups = [];
+
+    if (search) {
+      const term = quoteFilterValue(`%${escapeLike(search)}%`);
+      orGroups.push(`name.ilike.${term},current_skills.ilike.${term}`);
+    }
+    if (availability && availability !== "All") query = query.eq('availability', availability);
+    if (cluster) {
+      const value = quoteFilterValue(cluster);
+      orGroups.push(`cluster.eq.${value},cluster2.eq.${value}`);
+    }
+    if (role) query = query.eq('role', role);
+    if (role_type) query = query.eq('role_type', role_type);
+
+    // skill=React,Node requires every listed skill
+    String(skill).split(",").map((s) => s.trim()).filter(Boolean).forEach((s) => {
+      query = query.ilike('current_skills', `%${escapeLike(s)}%`);
+    });
+
+    // from_date / to_date are stored as YYYY-MM-DD, so text comparison orders correctly
+    if (windowTo) orGroups.push(`from_date.is.null,from_date.eq."",from_date.lte.${toIsoDate(windowTo)}`);
+    if (windowFrom) orGroups.push(`to_date.is.null,to_date.eq."",to_date.gte.${toIsoDate(windowFrom)}`);
+
+    // supabase-js has no and(); a single-branch or(and(...)) expresses the same thing
+    if (orGroups.length === 1) query = query.or(orGroups[0]);
+    if (orGroups.length > 1) query = query.or(`and(${orGroups.map((g) => `or(${g})`).join(",")})`);
+
+    query = applySort(query, sort).range(pagination.offset, pagination.offset + pagination.limit - 1);
+
+    const { data: employees, error, count } = await query;
 
     if (error) throw error;
 
-    const filtered = (employees || [])
-      .filter((emp) => {
-        const name = (emp.name || "").toString().toLowerCase();
-        const skills = (emp.current_skills || "").toString().toLowerCase();
-        const matchesSearch =
-          !search ||
-          name.includes(search.toLowerCase()) ||
-          skills.includes(search.toLowerCase());
-        const matchesAvail =
-          !availability || availability === "All" || emp.availability === availability;
-        return matchesSearch && matchesAvail;
-      })
-      .map((emp) => ({
-        ...emp,
-        current_skills: safeJsonParse(emp.current_skills),
-        interests: safeJsonParse(emp.interests),
-        previous_projects: safeJsonParse(emp.previous_projects),
-      }));
-    res.json(filtered);
+    const rows = (employees || []).map((emp) => ({
+      ...emp,
+      current_skills: safeJsonParse(emp.current_skills),
+      interests: safeJsonParse(emp.interests),
+      previous_projects: safeJsonParse(emp.previous_projects),
+    }));
+
+    res.set('X-Total-Count', String(count || 0));
+    res.json(paginated(rows, pagination, count || 0));
   } catch (err) {
     console.error("Fetch employees error →", err);
     res.status(500).json({ error: "Supabase fetch error" });
@@ -96,7 +114,7 @@ export const getEmployeeById = async (req, res) => {
   try {
     const { data, error } = await supabase
       .from('employees')
-      .select('*')
+      .select(PUBLIC_EMPLOYEE_SELECT)
       .eq('empid', empid);
 
     if (error) throw error;
@@ -117,7 +135,10 @@ export const getEmployeeById = async (req, res) => {
 export const updateEmployee = async (req, res) => {
   // console.log("updateEmployee HIT!", req.params, req.body);
   const { empid } = req.params;
-  const profileFields = ["empid", "name", "email", "role", "cluster", "cluster2"];
+  // empid and email are identity: the email went through the domain allowlist and verification at
+  // signup, so it isn't editable here. The job role is set by managers.
+  const profileFields = ["name", "cluster", "cluster2"];
+  const managedProfileFields = ["role"];
   const detailScalarFields = ["current_project", "availability", "hours_available", "from_date", "to_date", "stars"];
   try {
     // fetch existing
@@ -131,17 +152,20 @@ export const updateEmployee = async (req, res) => {
     const existing = findData[0];
 
     const body = req.body || {};
-    // console.log("Update Body:", body);
     const updatePayload = {};
 
-    // NUCLEAR DEBUG: Direct Star Update
+    // Stars are awarded by managers only, even when sent through the profile update
+    if (body.stars !== undefined && !can(req.user, "employees:stars")) {
+      return forbidden(res, "employees:stars", "Only managers can award stars");
+    }
+
+    // A stars change is saved on its own and ends the request
     if (body.stars !== undefined) {
-      // console.log("Direct Star Update Triggered:", body.stars);
       const { data: starData, error: starError } = await supabase
         .from('employees')
         .update({ stars: body.stars })
         .eq('empid', empid)
-        .select();
+        .select(PUBLIC_EMPLOYEE_SELECT);
 
       if (starError) {
         console.error("Star Update Error:", starError);
@@ -150,11 +174,17 @@ export const updateEmployee = async (req, res) => {
       return res.json({ success: true, message: "Star updated directly", data: starData });
     }
 
-    // DEBUG: ISOLATION - Only update name
-    // if (body.name) updatePayload.name = body.name;
+    // The profile form posts every field back; only a real change to an identity field is refused
+    for (const f of ["empid", "email"]) {
+      if (body[f] !== undefined && body[f] !== null && String(body[f]).trim().toLowerCase() !== String(existing[f] ?? "").trim().toLowerCase())
+        return res.status(400).json({ error: `${f} can't be changed`, code: "IMMUTABLE_FIELD" });
+    }
 
     // PROFILE fields
-    profileFields.forEach((f) => {
+    const editableProfileFields = can(req.user, "employees:update", { isOwner: false })
+      ? [...profileFields, ...managedProfileFields]
+      : profileFields;
+    editableProfileFields.forEach((f) => {
       if (Object.prototype.hasOwnProperty.call(body, f)) {
         if (body[f] === undefined) return;
         updatePayload[f] = body[f];
@@ -163,14 +193,23 @@ export const updateEmployee = async (req, res) => {
       }
     });
 
-    // DETAIL list fields -> normalize JSON strings
+    // DETAIL list fields -> normalize JSON strings, mapped onto the skills catalog
+    const unmatchedSkills = [];
     if (Object.prototype.hasOwnProperty.call(body, "current_skills")) {
       const val = normalizeListForStore(body.current_skills);
-      if (val !== undefined) updatePayload.current_skills = val;
+      if (val !== undefined) {
+        const { names, unmatched } = await canonicalizeSkillList(val);
+        updatePayload.current_skills = JSON.stringify(names);
+        unmatchedSkills.push(...unmatched);
+      }
     }
     if (Object.prototype.hasOwnProperty.call(body, "interests")) {
       const val = normalizeListForStore(body.interests);
-      if (val !== undefined) updatePayload.interests = val;
+      if (val !== undefined) {
+        const { names, unmatched } = await canonicalizeSkillList(val);
+        updatePayload.interests = JSON.stringify(names);
+        unmatchedSkills.push(...unmatched);
+      }
     }
     if (Object.prototype.hasOwnProperty.call(body, "previous_projects")) {
       const val = normalizeListForStore(body.previous_projects);
@@ -185,6 +224,14 @@ export const updateEmployee = async (req, res) => {
       }
     });
 
+    // Store availability dates as YYYY-MM-DD so they can be filtered and sorted in the database
+    for (const f of ["from_date", "to_date"]) {
+      if (!updatePayload[f]) continue;
+      const parsed = parseDate(updatePayload[f]);
+      if (!parsed) return res.status(400).json({ error: `Invalid ${f}` });
+      updatePayload[f] = toIsoDate(parsed);
+    }
+
     // handle noCurrentProject flag (clear current_project)
     if (Object.prototype.hasOwnProperty.call(body, "noCurrentProject")) {
       if (body.noCurrentProject) updatePayload.current_project = "";
@@ -240,10 +287,16 @@ export const updateEmployee = async (req, res) => {
       .from('employees')
       .update(updatePayload)
       .eq('empid', empid)
-      .select();
+      .select(PUBLIC_EMPLOYEE_SELECT);
 
     if (updateError) throw updateError;
 
+    // Keep the structured skill tables in step with the profile form
+    if (updatePayload.current_skills !== undefined)
+      await syncEmployeeSkillsFromNames(empid, JSON.parse(updatePayload.current_skills));
+    if (updatePayload.interests !== undefined)
+      await syncEmployeeInterestsFromNames(empid, JSON.parse(updatePayload.interests));
+
     // return refreshed row
     const updatedRow = updatedData && updatedData.length > 0 ? updatedData[0] : null;
     if (updatedRow) {
@@ -252,14 +305,23 @@ export const updateEmployee = async (req, res) => {
       updatedRow.previous_projects = safeJsonParse(updatedRow.previous_projects);
     }
 
-    res.json({ success: true, message: "Employee updated", data: updatedRow || null });
+    res.json({
+      success: true,
+      message: "Employee updated",
+      data: updatedRow || null,
+      // Entries not in the skills catalog yet; they are stored as free text only
+      unmatched_skills: [...new Set(unmatchedSkills)]
+    });
+
+    // Live updates for dashboards and lists
+    publish("employee.updated", { empid, fields: Object.keys(updatePayload).filter((k) => k !== "updated_at") });
+    if (isAvailabilityUpdate && updatedRow) {
+      const { name, availability, hours_available, from_date, to_date } = updatedRow;
+      publish("employee.availability", { empid, name, availability, hours_available, from_date, to_date });
+    }
 
     // Send Notification
-    sendNotificationToUser(empid, {
-      title: "Profile Updated",
-      message: "Your profile details have been successfully updated.",
-      url: "/profile"
-    });
+    sendNotificationToUser(empid, { template: "profile.updated" });
   } catch (err) {
     console.error("Update employee error →", err);
     res.status(500).json({ error: "Supabase update error", details: err.message || err });
@@ -271,8 +333,6 @@ export const updateEmployeeStars = async (req, res) => {
   const { empid } = req.params;
   const { stars } = req.body;
 
-  // console.log(`updateEmployeeStars HIT! empid: ${empid}, stars: ${stars}`);
-
   if (stars === undefined) {
     return res.status(400).json({ error: "Stars value is required" });
   }
@@ -282,11 +342,13 @@ export const updateEmployeeStars = async (req, res) => {
       .from('employees')
       .update({ stars })
       .eq('empid', empid)
-      .select();
+      .select(PUBLIC_EMPLOYEE_SELECT);
 
     if (error) throw error;
 
     res.json({ success: true, message: "Stars updated successfully", data });
+
+    publish("employee.updated", { empid, fields: ["stars"], stars });
   } catch (err) {
     console.error("Star update error →", err);
     res.status(500).json({ error: "Failed to update stars" });
@@ -321,44 +383,6 @@ export const getDashboardMetrics = async (req, res) => {
     const monthStart = new Date(now);
     const monthEnd = new Date(now.getFullYear(), now.getMonth() + 1, 0);
 
-    // Helper to robustly parse date strings in YYYY-MM-DD, DD/MM/YYYY, or DD/MM/YY formats
-    const parseDate = (dStr) => {
-      if (!dStr) return null;
-      if (dStr instanceof Date) return isNaN(dStr.getTime()) ? null : dStr;
-      const s = String(dStr).trim();
-      if (!s) return null;
-
-      // Check standard ISO / YYYY-MM-DD format first
-      if (/^\d{4}-\d{2}-\d{2}/.test(s)) {
-        const d = new Date(s);
-        if (!isNaN(d.getTime())) return d;
-      }
-
-      // Handle DD/MM/YYYY, DD/MM/YY, DD-MM-YYYY formats
-      const parts = s.split(/[\/\-\.]/);
-      if (parts.length === 3) {
-        let p1 = parseInt(parts[0], 10);
-        let p2 = parseInt(parts[1], 10);
-        let p3 = parseInt(parts[2], 10);
-
-        if (p1 > 1000) {
-          // YYYY-MM-DD
-          const d = new Date(p1, p2 - 1, p3);
-          if (!isNaN(d.getTime())) return d;
-        } else if (p3 > 0) {
-          // DD/MM/YYYY or DD/MM/YY
-          let year = p3 < 100 ? p3 + 2000 : p3;
-          let month = p2 - 1;
-          let day = p1;
-          const d = new Date(year, month, day);
-          if (!isNaN(d.getTime())) return d;
-        }
-      }
-
-      const d = new Date(s);
-      return !isNaN(d.getTime()) ? d : null;
-    };
-
     // Helper to calculate working days (Mon-Fri only, excluding Sat & Sun)
     const getWorkingDaysInRange = (startDate, endDate) => {
       let count = 0;
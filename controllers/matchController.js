@@ -0,0 +1,84 @@
+import supabase from "../db/supabaseClient.js";
+import { rankCandidatesForProject, rankProjectsForEmployee } from "../services/matchingService.js";
+import { PUBLIC_EMPLOYEE_SELECT } from "../utils/employeeFields.js";
+import { safeJsonParse } from "../utils/listFields.js";
+
+// ?limit=&min_score=
+const parseMatchQuery = (query) => ({
+  limit: Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100),
+  minScore: Math.min(Math.max(parseFloat(query.min_score) || 0, 0), 1),
+});
+
+// ---------------------------
+// GET /api/projects/:id/matches
+// ---------------------------
+// Employees ranked by how well they fit the project, with a score breakdown.
+export const getProjectMatches = async (req, res) => {
+  const { id } = req.params;
+  const { limit, minScore } = parseMatchQuery(req.query);
+
+  try {
+    const { data: project, error } = await supabase
+      .from('projects')
+      .select('*')
+      .eq('id', id)
+      .is('deleted_at', null)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!project) return res.status(404).json({ error: "Project not found" });
+
+    const ranked = await rankCandidatesForProject(project);
+    const results = ranked.filter((m) => m.score >= minScore);
+
+    res.json({
+      project: { id: project.id, project_name: project.project_name, end_date: project.end_date },
+      total: results.length,
+      matches: results.slice(0, limit).map(({ employee, score, breakdown }) => ({
+        employee: {
+          ...employee,
+          current_skills: safeJsonParse(employee.current_skills),
+          interests: safeJsonParse(employee.interests),
+          previous_projects: safeJsonParse(employee.previous_projects),
+        },
+        score,
+        breakdown
+      }))
+    });
+  } catch (err) {
+    console.error("Project matches error →", err);
+    res.status(500).json({ error: "Failed to compute project matches" });
+  }
+};
+
+// ---------------------------
+// GET /api/employees/:empid/project-matches
+// ---------------------------
+// Open projects ranked by fit for one employee ("which activities fit me").
+export const getEmployeeProjectMatches = async (req, res) => {
+  const { empid } = req.params;
+  const { limit, minScore } = parseMatchQuery(req.query);
+
+  try {
+    const { data: employee, error } = await supabase
+      .from('employees')
+      .select(PUBLIC_EMPLOYEE_SELECT)
+      .eq('empid', empid)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!employee) return res.status(404).json({ error: "Employee not found" });
+
+    const ranked = await rankProjectsForEmployee(employee);
+    const results = ranked.filter((m) => m.score >= minScore);
+
+    res.json({
+      empid,
+      total: results.length,
+      matches: results.slice(0, limit).map(({ project, score, breakdown }) => ({ project, score, breakdown }))
+    });
+  } catch (err) {
+    console.error("Employee project matches error →", err);
+    res.status(500).json({ error: "Failed to compute project matches" });
+  }
+};
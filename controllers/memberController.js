@@ -0,0 +1,152 @@
+import supabase from "../db/supabaseClient.js";
+import { sendNotificationToUser } from "./notificationController.js";
+import { loadAuthorizedProject } from "./projectController.js";
+import { isStaffable } from "../services/projectLifecycleService.js";
+import {
+  assignProjectMember,
+  removeProjectMember,
+  listProjectMembers,
+  listEmployeeAllocations,
+  AllocationError
+} from "../services/membershipService.js";
+
+const CONFLICT_CODES = ["OVER_ALLOCATED", "CAPACITY_CONFLICT", "STALE_ALLOCATION"];
+
+const allocationErrorResponse = (res, err) => {
+  const status = err.code === "EMPLOYEE_NOT_FOUND" ? 404 : CONFLICT_CODES.includes(err.code) ? 409 : 400;
+  return res.status(status).json({ error: err.message, code: err.code });
+};
+
+const notStaffableResponse = (res, project) =>
+  res.status(409).json({ error: `Cannot staff a ${project.status} project`, code: "PROJECT_NOT_STAFFABLE" });
+
+// ---------------------------
+// LIST MEMBERS
+// ---------------------------
+export const getProjectMembers = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const { data: project, error } = await supabase
+      .from('projects')
+      .select('id')
+      .eq('id', id)
+      .is('deleted_at', null)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!project) return res.status(404).json({ error: "Project not found" });
+
+    res.json(await listProjectMembers(id));
+  } catch (err) {
+    console.error("List members error →", err);
+    res.status(500).json({ error: "Failed to fetch project members" });
+  }
+};
+
+// ---------------------------
+// ADD MEMBER (creator / Admin)
+// ---------------------------
+export const addMember = async (req, res) => {
+  const { empid, role, allocated_hours_per_week, start_date, end_date } = req.body;
+
+  if (!empid) return res.status(400).json({ error: "empid required" });
+
+  try {
+    const authorized = await loadAuthorizedProject(req, res, 'projects:staff', "Unauthorized: Only the creator can staff this activity.");
+    if (!authorized) return;
+    const { project } = authorized;
+    if (!isStaffable(project.status)) return notStaffableResponse(res, project);
+
+    const result = await assignProjectMember(project, {
+      empid, role, allocated_hours_per_week, start_date, end_date, addedBy: req.user.empid
+    });
+
+    res.status(result.created ? 201 : 200).json(result);
+
+    if (result.created) {
+      const hours = result.member.allocated_hours_per_week;
+      sendNotificationToUser(empid, {
+        template: hours > 0 ? "member.added_with_hours" : "member.added",
+        params: { project: project.project_name, hours }
+      });
+    }
+  } catch (err) {
+    if (err instanceof AllocationError) return allocationErrorResponse(res, err);
+    console.error("Add member error →", err);
+    res.status(500).json({ error: "Failed to add project member" });
+  }
+};
+
+// ---------------------------
+// UPDATE ALLOCATION (creator / Admin)
+// ---------------------------
+export const updateMember = async (req, res) => {
+  const { empid } = req.params;
+  const { role, allocated_hours_per_week, start_date, end_date } = req.body;
+
+  try {
+    const authorized = await loadAuthorizedProject(req, res, 'projects:staff', "Unauthorized: Only the creator can staff this activity.");
+    if (!authorized) return;
+    const { project } = authorized;
+    if (!isStaffable(project.status)) return notStaffableResponse(res, project);
+
+    const { data: existing, error } = await supabase
+      .from('project_members')
+      .select('id')
+      .eq('project_id', project.id)
+      .eq('empid', empid)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!existing) return res.status(404).json({ error: "Member not found" });
+
+    const result = await assignProjectMember(project, { empid, role, allocated_hours_per_week, start_date, end_date });
+    res.json(result);
+  } catch (err) {
+    if (err instanceof AllocationError) return allocationErrorResponse(res, err);
+    console.error("Update member error →", err);
+    res.status(500).json({ error: "Failed to update project member" });
+  }
+};
+
+// ---------------------------
+// REMOVE MEMBER (creator / Admin)
+// ---------------------------
+export const removeMember = async (req, res) => {
+  const { empid } = req.params;
+
+  try {
+    const authorized = await loadAuthorizedProject(req, res, 'projects:staff', "Unauthorized: Only the creator can staff this activity.");
+    if (!authorized) return;
+    const { project } = authorized;
+
+    const removed = await removeProjectMember(project.id, empid);
+    if (!removed) return res.status(404).json({ error: "Member not found" });
+
+    res.json({ success: true, message: "Member removed" });
+
+    sendNotificationToUser(empid, {
+      template: "member.removed",
+      params: { project: project.project_name }
+    });
+  } catch (err) {
+    if (err instanceof AllocationError) return allocationErrorResponse(res, err);
+    console.error("Remove member error →", err);
+    res.status(500).json({ error: "Failed to remove project member" });
+  }
+};
+
+// ---------------------------
+// EMPLOYEE ALLOCATIONS
+// ---------------------------
+export const getEmployeeAllocations = async (req, res) => {
+  const { empid } = req.params;
+
+  try {
+    res.json({ empid, ...(await listEmployeeAllocations(empid)) });
+  } catch (err) {
+    console.error("Fetch allocations error →", err);
+    res.status(500).json({ error: "Failed to fetch allocations" });
+  }
+};
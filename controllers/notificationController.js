@@ -1,177 +1,636 @@
-import webpush from 'web-push';
 import supabase from '../db/supabaseClient.js';
 import dotenv from 'dotenv';
+import { parsePagination, paginated } from '../utils/queryHelpers.js';
+import {
+    NOTIFICATION_CATEGORIES,
+    getPreferences,
+    loadPreferencesMap,
+    mergePreferences,
+    savePreferences,
+    resolveChannels
+} from '../services/notificationPreferenceService.js';
+import {
+    parseBrowserSubscription,
+    saveSubscription,
+    removeSubscriptions,
+    listSubscriptions,
+    loadSubscriptionsMap
+} from '../services/pushSubscriptionService.js';
+import { createBroadcast, enqueuePushDeliveries, registerBroadcastExpander } from '../services/notificationQueueService.js';
+import {
+    SUPPORTED_LOCALES,
+    DEFAULT_LOCALE,
+    isTemplateKey,
+    renderTemplate,
+    templateCategory,
+    listTemplates,
+    setTemplateOverride,
+    removeTemplateOverride
+} from '../services/notificationTemplateService.js';
+import { sendNotificationEmail } from '../services/notificationEmailService.js';
+import { parseAudience, resolveAudience, countAudience } from '../services/audienceService.js';
+import { publish } from '../services/realtimeService.js';
 
 dotenv.config();
 
-// Initialize Web Push
-// It's better to do this in index.js, but we can do it here if imported.
-// We'll export a setup function or just rely on env vars being set when this module loads.
-
-const { VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY, VAPID_MAILTO } = process.env;
-
-if (!VAPID_PUBLIC_KEY || !VAPID_PRIVATE_KEY) {
-    console.error("VAPID Keys missing in environment variables");
-} else {
-    webpush.setVapidDetails(
-        VAPID_MAILTO || 'mailto:test@example.com',
-        VAPID_PUBLIC_KEY,
-        VAPID_PRIVATE_KEY
-    );
-}
-
 // ----------------------
 // SUBSCRIBE ENDPOINT
 // ----------------------
+// POST /api/notifications/subscribe { subscription, device_label }
 export const subscribe = async (req, res) => {
-    const { subscription, empid } = req.body;
+    const { subscription, device_label } = req.body;
+    const { empid } = req.user;
 
-    if (!subscription || !empid) {
-        return res.status(400).json({ error: "Subscription and empid required" });
+    if (!subscription) {
+        return res.status(400).json({ error: "Subscription required" });
+    }
+
+    const parsed = parseBrowserSubscription(subscription);
+    if (!parsed) {
+        return res.status(400).json({ error: "Subscription needs an https endpoint and p256dh/auth keys" });
     }
 
     try {
-        // 1. Get current subscriptions for user
-        const { data: user, error: fetchError } = await supabase
-            .from('employees')
-            .select('push_subscriptions')
-            .eq('empid', empid)
-            .single();
+        const saved = await saveSubscription(empid, parsed, {
+            deviceLabel: typeof device_label === 'string' ? device_label.trim().slice(0, 100) || null : null,
+            userAgent: req.get('user-agent') || null
+        });
 
-        if (fetchError) throw fetchError;
-
-        let subscriptions = [];
-        if (user && user.push_subscriptions) {
-            // Handle JSONB or Text
-            if (typeof user.push_subscriptions === 'string') {
-                try {
-                    subscriptions = JSON.parse(user.push_subscriptions);
-                } catch (e) {
-                    subscriptions = [];
-                }
-            } else if (Array.isArray(user.push_subscriptions)) {
-                subscriptions = user.push_subscriptions;
-            }
-        }
+        res.status(201).json({ success: true, message: "Subscribed successfully", subscription: saved });
 
-        // 2. Add new subscription if not exists (check endpoint)
-        const exists = subscriptions.some(s => s.endpoint === subscription.endpoint);
-        if (!exists) {
-            subscriptions.push(subscription);
+    } catch (err) {
+        console.error("Subscription error:", err);
+        res.status(500).json({ error: "Failed to save subscription" });
+    }
+};
 
-            // 3. Update DB
-            const { error: updateError } = await supabase
-                .from('employees')
-                .update({ push_subscriptions: subscriptions }) // Supabase handles array->jsonb
-                .eq('empid', empid);
+// DELETE /api/notifications/subscribe { endpoint } (omit endpoint to remove every device)
+export const unsubscribe = async (req, res) => {
+    const endpoint = (req.body && req.body.endpoint) || null;
 
-            if (updateError) throw updateError;
-        }
+    try {
+        const removed = await removeSubscriptions(req.user.empid, endpoint);
+        if (endpoint && removed === 0) return res.status(404).json({ error: "Subscription not found" });
 
-        res.status(201).json({ success: true, message: "Subscribed successfully" });
+        res.json({ success: true, removed });
+    } catch (err) {
+        console.error("Unsubscribe error:", err);
+        res.status(500).json({ error: "Failed to remove subscription" });
+    }
+};
 
+// GET /api/notifications/subscriptions: the caller's registered devices
+export const getSubscriptions = async (req, res) => {
+    try {
+        res.json(await listSubscriptions(req.user.empid));
     } catch (err) {
-        console.error("Subscription error:", err);
-        res.status(500).json({ error: "Failed to save subscription" });
+        console.error("List subscriptions error:", err);
+        res.status(500).json({ error: "Failed to fetch subscriptions" });
     }
 };
 
+const DEFAULT_ICON = '/Logo/MainLogo.png';
+
+// Ids are bigint identities; anything else would reach Postgres as a cast error (500)
+const isIdParam = (value) => /^\d+$/.test(String(value));
+const INSERT_CHUNK_SIZE = 500;
+
+// The template (or payload.category) picks the preference bucket; anything unknown counts as an activity
+const categoryOf = (payload) => {
+    const category = (payload.template && templateCategory(payload.template)) || payload.category;
+    return NOTIFICATION_CATEGORIES.includes(category) ? category : 'activities';
+};
+
+// Fills title / message / url from payload.template + payload.params in the given locale.
+// The key and params stay on the payload (and so in the inbox row's `data`).
+const localizePayload = async (payload, locale) => {
+    if (!payload.template) return payload;
+
+    const rendered = await renderTemplate(payload.template, payload.params || {}, locale);
+    return {
+        ...payload,
+        category: rendered.category,
+        title: rendered.title,
+        message: rendered.message,
+        url: payload.url || rendered.url
+    };
+};
+
+// ----------------------
+// INBOX STORE (Internal)
+// ----------------------
+// Persists one inbox row per recipient and returns the rows (with ids) in insert order.
+// title / message / url / category get their own columns; anything else in the payload (icon, image, ...) goes to `data`.
+const storeNotifications = async (empids, payload) => {
+    const { title, message, url, category, ...data } = payload;
+    const stored = [];
+
+    for (let i = 0; i < empids.length; i += INSERT_CHUNK_SIZE) {
+        const rows = empids.slice(i, i + INSERT_CHUNK_SIZE).map(empid => ({
+            empid,
+            title,
+            message: message || null,
+            url: url || null,
+            category: categoryOf({ category }),
+            data
+        }));
+
+        const { data: inserted, error } = await supabase
+            .from('notifications')
+            .insert(rows)
+            .select('id, empid, created_at');
+
+        if (error) throw error;
+        stored.push(...(inserted || []));
+    }
+
+    // Connected clients get the entry straight away (see /api/stream)
+    stored.forEach(row => publish('notification', {
+        id: row.id,
+        title,
+        message: message || null,
+        url: url || null,
+        category: categoryOf({ category }),
+        created_at: row.created_at
+    }, { empids: [row.empid] }));
+
+    return stored;
+};
+
+// Push deliveries for every device of the given recipients; `ids` maps empid -> inbox row id
+const buildPushDeliveries = async (empids, payload, ids = new Map()) => {
+    const subscriptions = await loadSubscriptionsMap(empids);
+    const deliveries = [];
+
+    subscriptions.forEach((rows, empid) => rows.forEach(row => deliveries.push({
+        empid,
+        subscription_id: row.id,
+        notification_id: ids.get(empid) || null,
+        // The id lets the PWA mark the inbox entry read when the push is opened
+        payload: { ...payload, id: ids.get(empid) || null }
+    })));
+
+    return deliveries;
+};
+
 // ----------------------
 // SEND NOTIFICATION HELPER (Internal)
 // ----------------------
+// payload is { template, params } (see services/notificationTemplateService.js), rendered in
+// the user's locale. Stores the notification in the user's inbox, queues a push to each of
+// their devices and emails it, each only when the user's preferences for the template's
+// category (security | profile | activities | reminders) allow it. Resolves to the inbox row
+// ({ id, empid, created_at }), or null if it wasn't stored.
 export const sendNotificationToUser = async (empid, payload) => {
     try {
-        // Default Icon
-        if (!payload.icon) payload.icon = '/Logo/MainLogo.png';
-        if (!payload.image) payload.image = '/Logo/MainLogo.png'; // Show vivid logo as main image
+        // Default Icon; the caller's payload is left untouched
+        payload = { ...payload, icon: payload.icon || DEFAULT_ICON, image: payload.image || DEFAULT_ICON }; // Show vivid logo as main image
 
-        // 1. Fetch user subscriptions
-        const { data: user, error } = await supabase
-            .from('employees')
-            .select('push_subscriptions')
-            .eq('empid', empid)
-            .single();
+        const preferences = await getPreferences(empid);
+        const localized = await localizePayload(payload, preferences.locale);
+        const channels = resolveChannels(preferences, categoryOf(localized));
 
-        if (error || !user || !user.push_subscriptions) return;
+        const [stored = null] = channels.in_app ? await storeNotifications([empid], localized) : [];
 
-        let subscriptions = [];
-        if (typeof user.push_subscriptions === 'string') {
-            try { subscriptions = JSON.parse(user.push_subscriptions); } catch (e) { }
-        } else {
-            subscriptions = user.push_subscriptions;
+        if (channels.email) {
+            // A mail failure shouldn't hold back the push
+            sendNotificationEmail(empid, localized, preferences.locale)
+                .catch(err => console.error(`Notification email to ${empid} failed:`, err.message || err));
         }
+        if (!channels.push) return stored;
 
-        if (!Array.isArray(subscriptions) || subscriptions.length === 0) return;
-
-        // 2. Send to all subscriptions
-        const notifications = subscriptions.map(sub => {
-            return webpush.sendNotification(sub, JSON.stringify(payload))
-                .catch(err => {
-                    if (err.statusCode === 410 || err.statusCode === 404) {
-                        // Subscription expired, could remove it here but complex async
-                        console.log(`Subscription expired for ${empid}`);
-                    } else {
-                        console.error('Push Error:', err);
-                    }
-                });
-        });
-
-        await Promise.all(notifications);
-        console.log(`Notification sent to ${empid}`);
+        const ids = new Map(stored ? [[String(empid), stored.id]] : []);
+        await enqueuePushDeliveries(await buildPushDeliveries([String(empid)], localized, ids));
 
+        return stored;
     } catch (err) {
         console.error(`Failed to send notification to ${empid}:`, err);
+        return null;
+    }
+};
+
+// ----------------------
+// BROADCAST TO AUDIENCE (Internal)
+// ----------------------
+// `audience` selects the recipients (see services/audienceService.js), e.g.
+// { skills: ["React"], exclude: ["E100"] } or { cluster: ["MEBM"], role_type: ["IC"] }.
+// Records the broadcast and returns it straight away; the queue worker resolves the
+// audience, fills the inboxes and pushes (see expandBroadcast). Resolves to the broadcast
+// row, or null if it couldn't be queued.
+export const broadcastNotification = async (audience, payload, { createdBy = null } = {}) => {
+    try {
+        // Default Icon; the caller's payload is left untouched
+        payload = { ...payload, icon: payload.icon || DEFAULT_ICON, image: payload.image || DEFAULT_ICON };
+
+        return await createBroadcast({
+            category: categoryOf(payload),
+            payload,
+            audience: audience || {},
+            createdBy
+        });
+    } catch (err) {
+        console.error("Broadcast error:", err);
+        return null;
     }
 };
 
+// Runs in the queue worker for each queued broadcast
+const expandBroadcast = async (broadcast) => {
+    const { payload, category } = broadcast;
+
+    const employees = await resolveAudience(broadcast.audience || {});
+
+    // Work out each recipient's channels once, from their preferences for this category
+    const preferences = await loadPreferencesMap(employees.map(emp => emp.empid));
+    const now = new Date();
+    const channelsFor = new Map(employees.map(emp =>
+        [String(emp.empid), resolveChannels(preferences.get(String(emp.empid)), category, now)]));
+
+    // Render the copy once per locale in the audience
+    const byLocale = new Map();
+    employees.forEach(emp => {
+        const prefs = preferences.get(String(emp.empid));
+        const locale = (prefs && prefs.locale) || DEFAULT_LOCALE;
+        if (!byLocale.has(locale)) byLocale.set(locale, []);
+        byLocale.get(locale).push(emp);
+    });
+
+    const deliveries = [];
+    for (const [locale, group] of byLocale) {
+        const localized = await localizePayload(payload, locale);
+
+        // The inbox entry doesn't depend on having a device subscribed
+        const stored = await storeNotifications(
+            group.filter(emp => channelsFor.get(String(emp.empid)).in_app).map(emp => emp.empid),
+            localized
+        );
+        const ids = new Map(stored.map(row => [String(row.empid), row.id]));
+
+        const pushRecipients = group.filter(emp => channelsFor.get(String(emp.empid)).push).map(emp => String(emp.empid));
+        deliveries.push(...await buildPushDeliveries(pushRecipients, localized, ids));
+    }
+
+    console.log(`Broadcast ${broadcast.id} queued for ${employees.length} employees (${deliveries.length} push deliveries)`);
+    return { recipientCount: employees.length, deliveries };
+};
+
+registerBroadcastExpander(expandBroadcast);
+
 // ----------------------
-// BROADCAST TO ROLE (Internal)
+// MANAGER BROADCAST
 // ----------------------
-export const broadcastNotification = async (roleType, payload) => {
+const ANNOUNCEMENT_TITLE_MAX = 120;
+const ANNOUNCEMENT_MESSAGE_MAX = 1000;
+
+// POST /api/notifications/broadcast/preview { audience } -> { recipient_count }
+export const previewBroadcast = async (req, res) => {
+    const { audience, error } = parseAudience(req.body && req.body.audience);
+    if (error) return res.status(400).json({ error });
+
     try {
-        // Default Icon
-        if (!payload.icon) payload.icon = '/Logo/MainLogo.png';
-        if (!payload.image) payload.image = '/Logo/MainLogo.png';
+        res.json({ audience, recipient_count: await countAudience(audience) });
+    } catch (err) {
+        console.error("Broadcast preview error:", err);
+        res.status(500).json({ error: "Failed to count recipients" });
+    }
+};
 
-        // Fetch all users with role_type (case insensitive ideally, or just exact)
-        // Assuming role_type is what distinguishes IC vs Manager. 
-        // Or check `role` field.
-        // User request: "all the IC should receive a notification"
+// POST /api/notifications/broadcast { audience, title, message, url }
+// Queues an announcement; the response carries the recipient count at the time of sending.
+export const sendBroadcast = async (req, res) => {
+    const { audience, error } = parseAudience(req.body && req.body.audience);
+    if (error) return res.status(400).json({ error });
 
-        // Let's filter by role_type != 'Manager' or role_type = 'IC'? 
-        // Let's assume anyone NOT a manager is an IC for safety, or check logic.
-        // Better: Fetch all, filter in memory or DB.
+    const title = typeof req.body.title === 'string' ? req.body.title.trim() : '';
+    const message = typeof req.body.message === 'string' ? req.body.message.trim() : '';
+    const url = typeof req.body.url === 'string' && req.body.url.startsWith('/') ? req.body.url : undefined;
 
-        let query = supabase.from('employees').select('empid, push_subscriptions, role_type');
+    if (!title || !message) {
+        return res.status(400).json({ error: "title and message are required" });
+    }
+    if (title.length > ANNOUNCEMENT_TITLE_MAX || message.length > ANNOUNCEMENT_MESSAGE_MAX) {
+        return res.status(400).json({ error: `title is limited to ${ANNOUNCEMENT_TITLE_MAX} and message to ${ANNOUNCEMENT_MESSAGE_MAX} characters` });
+    }
 
-        if (roleType) {
-            // This might need adjustment based on exact role strings
-            query = query.neq('role_type', 'Manager'); // Broadcast to non-managers (ICs)
+    try {
+        const recipientCount = await countAudience(audience);
+        if (recipientCount === 0) {
+            return res.status(400).json({ error: "No employees match this audience", code: "EMPTY_AUDIENCE" });
         }
 
-        const { data: employees, error } = await query;
+        const broadcast = await broadcastNotification(audience, {
+            template: 'broadcast.announcement',
+            params: { title, message },
+            ...(url ? { url } : {})
+        }, { createdBy: req.user.empid });
+
+        if (!broadcast) return res.status(500).json({ error: "Failed to queue broadcast" });
+
+        res.status(202).json({ broadcast, recipient_count: recipientCount });
+    } catch (err) {
+        console.error("Send broadcast error:", err);
+        res.status(500).json({ error: "Failed to send broadcast" });
+    }
+};
+
+// ----------------------
+// DELIVERY STATS
+// ----------------------
+const BROADCAST_FIELDS = 'id, category, payload, audience, status, recipient_count, push_total, sent, failed, pruned, error, created_by, created_at, started_at, completed_at';
+
+// GET /api/notifications/broadcasts?page=&limit=
+export const getBroadcasts = async (req, res) => {
+    const pagination = parsePagination(req.query, { defaultLimit: 20 });
+
+    try {
+        const { data, error, count } = await supabase
+            .from('notification_broadcasts')
+            .select(BROADCAST_FIELDS, { count: 'exact' })
+            .order('created_at', { ascending: false })
+            .range(pagination.offset, pagination.offset + pagination.limit - 1);
 
         if (error) throw error;
 
-        const promises = employees.map(emp => {
-            // Reuse logic or just manual send
-            if (!emp.push_subscriptions) return Promise.resolve();
+        res.set('X-Total-Count', String(count || 0));
+        res.json(paginated(data || [], pagination, count || 0));
+    } catch (err) {
+        console.error("Fetch broadcasts error:", err);
+        res.status(500).json({ error: "Failed to fetch broadcasts" });
+    }
+};
 
-            let subs = emp.push_subscriptions;
-            if (typeof subs === 'string') {
-                try { subs = JSON.parse(subs); } catch { return Promise.resolve(); }
-            }
-            if (!Array.isArray(subs)) return Promise.resolve();
+// GET /api/notifications/broadcasts/:id (stats plus the deliveries still pending)
+export const getBroadcast = async (req, res) => {
+    if (!isIdParam(req.params.id)) return res.status(400).json({ error: "Invalid broadcast id" });
 
-            return Promise.all(subs.map(sub =>
-                webpush.sendNotification(sub, JSON.stringify(payload)).catch(e => console.error(e.message))
-            ));
-        });
+    try {
+        const { data: broadcast, error } = await supabase
+            .from('notification_broadcasts')
+            .select(BROADCAST_FIELDS)
+            .eq('id', req.params.id)
+            .maybeSingle();
 
-        await Promise.all(promises);
-        console.log(`Broadcast sent to ${employees.length} employees`);
+        if (error) throw error;
+        if (!broadcast) return res.status(404).json({ error: "Broadcast not found" });
 
+        const { count: pending, error: pendingError } = await supabase
+            .from('notification_deliveries')
+            .select('id', { count: 'exact', head: true })
+            .eq('broadcast_id', broadcast.id)
+            .in('status', ['pending', 'sending']);
+
+        if (pendingError) throw pendingError;
+
+        res.json({ ...broadcast, pending: pending || 0 });
     } catch (err) {
-        console.error("Broadcast error:", err);
+        console.error("Fetch broadcast error:", err);
+        res.status(500).json({ error: "Failed to fetch broadcast" });
+    }
+};
+
+// GET /api/notifications/dead-letters?page=&limit= (deliveries that ran out of retries)
+export const getDeadLetters = async (req, res) => {
+    const pagination = parsePagination(req.query, { defaultLimit: 50 });
+
+    try {
+        const { data, error, count } = await supabase
+            .from('notification_deliveries')
+            .select('id, broadcast_id, notification_id, empid, subscription_id, attempts, last_status_code, last_error, created_at, updated_at', { count: 'exact' })
+            .eq('status', 'dead')
+            .order('updated_at', { ascending: false })
+            .range(pagination.offset, pagination.offset + pagination.limit - 1);
+
+        if (error) throw error;
+
+        res.set('X-Total-Count', String(count || 0));
+        res.json(paginated(data || [], pagination, count || 0));
+    } catch (err) {
+        console.error("Fetch dead letters error:", err);
+        res.status(500).json({ error: "Failed to fetch dead letters" });
+    }
+};
+
+// ----------------------
+// INBOX ENDPOINTS
+// ----------------------
+// Every query is scoped to the caller's own inbox.
+
+// GET /api/notifications?page=&limit=&unread=true&category=
+export const getNotifications = async (req, res) => {
+    const { empid } = req.user;
+    const { category } = req.query;
+
+    if (category && !NOTIFICATION_CATEGORIES.includes(category))
+        return res.status(400).json({ error: `category must be one of: ${NOTIFICATION_CATEGORIES.join(', ')}` });
+
+    const pagination = parsePagination(req.query, { defaultLimit: 20 });
+    const unreadOnly = req.query.unread === 'true' || req.query.unread === '1';
+
+    try {
+        let query = supabase
+            .from('notifications')
+            .select('id, category, title, message, url, data, read_at, created_at', { count: 'exact' })
+            .eq('empid', empid)
+            .order('created_at', { ascending: false })
+            .order('id', { ascending: false })
+            .range(pagination.offset, pagination.offset + pagination.limit - 1);
+
+        if (unreadOnly) query = query.is('read_at', null);
+        if (category) query = query.eq('category', category);
+
+        const { data, error, count } = await query;
+        if (error) throw error;
+
+        res.set('X-Total-Count', String(count || 0));
+        res.json(paginated(data || [], pagination, count || 0));
+    } catch (err) {
+        console.error("Fetch notifications error:", err);
+        res.status(500).json({ error: "Failed to fetch notifications" });
+    }
+};
+
+// GET /api/notifications/unread-count (cheap enough for the PWA to poll)
+export const getUnreadCount = async (req, res) => {
+    try {
+        const { count, error } = await supabase
+            .from('notifications')
+            .select('id', { count: 'exact', head: true })
+            .eq('empid', req.user.empid)
+            .is('read_at', null);
+
+        if (error) throw error;
+
+        res.json({ unread: count || 0 });
+    } catch (err) {
+        console.error("Unread count error:", err);
+        res.status(500).json({ error: "Failed to count notifications" });
+    }
+};
+
+// PATCH /api/notifications/:id/read
+export const markNotificationRead = async (req, res) => {
+    if (!isIdParam(req.params.id)) return res.status(400).json({ error: "Invalid notification id" });
+
+    try {
+        const { data: existing, error: findError } = await supabase
+            .from('notifications')
+            .select('id, read_at')
+            .eq('id', req.params.id)
+            .eq('empid', req.user.empid)
+            .maybeSingle();
+
+        if (findError) throw findError;
+        if (!existing) return res.status(404).json({ error: "Notification not found" });
+        if (existing.read_at) return res.json(existing);
+
+        const { data, error } = await supabase
+            .from('notifications')
+            .update({ read_at: new Date().toISOString() })
+            .eq('id', existing.id)
+            .select('id, read_at')
+            .single();
+
+        if (error) throw error;
+
+        res.json(data);
+    } catch (err) {
+        console.error("Mark read error:", err);
+        res.status(500).json({ error: "Failed to update notification" });
+    }
+};
+
+// POST /api/notifications/read-all
+export const markAllNotificationsRead = async (req, res) => {
+    try {
+        const { data, error } = await supabase
+            .from('notifications')
+            .update({ read_at: new Date().toISOString() })
+            .eq('empid', req.user.empid)
+            .is('read_at', null)
+            .select('id');
+
+        if (error) throw error;
+
+        res.json({ success: true, updated: (data || []).length });
+    } catch (err) {
+        console.error("Mark all read error:", err);
+        res.status(500).json({ error: "Failed to update notifications" });
+    }
+};
+
+// DELETE /api/notifications/:id
+export const deleteNotification = async (req, res) => {
+    if (!isIdParam(req.params.id)) return res.status(400).json({ error: "Invalid notification id" });
+
+    try {
+        const { data, error } = await supabase
+            .from('notifications')
+            .delete()
+            .eq('id', req.params.id)
+            .eq('empid', req.user.empid)
+            .select('id');
+
+        if (error) throw error;
+        if (!data || data.length === 0) return res.status(404).json({ error: "Notification not found" });
+
+        res.json({ success: true, message: "Notification deleted" });
+    } catch (err) {
+        console.error("Delete notification error:", err);
+        res.status(500).json({ error: "Failed to delete notification" });
+    }
+};
+
+// ----------------------
+// PREFERENCES
+// ----------------------
+// GET /api/notifications/preferences
+export const getNotificationPreferences = async (req, res) => {
+    try {
+        res.json(await getPreferences(req.user.empid));
+    } catch (err) {
+        console.error("Fetch preferences error:", err);
+        res.status(500).json({ error: "Failed to fetch notification preferences" });
+    }
+};
+
+// PUT /api/notifications/preferences { channels, quiet_hours, timezone, locale, digest } (partial updates merge)
+export const updateNotificationPreferences = async (req, res) => {
+    try {
+        const current = await getPreferences(req.user.empid);
+
+        const { preferences, error } = mergePreferences(current, req.body || {});
+        if (error) return res.status(400).json({ error });
+
+        res.json(await savePreferences(req.user.empid, preferences));
+    } catch (err) {
+        console.error("Update preferences error:", err);
+        res.status(500).json({ error: "Failed to update notification preferences" });
+    }
+};
+
+// ----------------------
+// TEMPLATES (Admin)
+// ----------------------
+const TEMPLATE_TITLE_MAX = 120;
+const TEMPLATE_MESSAGE_MAX = 1000;
+
+// Shared :key / :locale check for the override endpoints; sends the 404/400 and returns false
+const validTemplateParams = (req, res) => {
+    if (!isTemplateKey(req.params.key)) {
+        res.status(404).json({ error: "Template not found" });
+        return false;
+    }
+    if (!SUPPORTED_LOCALES.includes(req.params.locale)) {
+        res.status(400).json({ error: `locale must be one of: ${SUPPORTED_LOCALES.join(", ")}` });
+        return false;
+    }
+    return true;
+};
+
+// GET /api/notifications/templates: every event with its default copy, overrides and variables
+export const getTemplates = async (req, res) => {
+    try {
+        res.json({ locales: SUPPORTED_LOCALES, default_locale: DEFAULT_LOCALE, templates: await listTemplates() });
+    } catch (err) {
+        console.error("Fetch templates error:", err);
+        res.status(500).json({ error: "Failed to fetch notification templates" });
+    }
+};
+
+// PUT /api/notifications/templates/:key/:locale { title, message }
+export const updateTemplate = async (req, res) => {
+    if (!validTemplateParams(req, res)) return;
+
+    const title = typeof req.body?.title === 'string' ? req.body.title.trim() : '';
+    const message = typeof req.body?.message === 'string' ? req.body.message.trim() : '';
+
+    if (!title || !message) {
+        return res.status(400).json({ error: "title and message are required" });
+    }
+    if (title.length > TEMPLATE_TITLE_MAX || message.length > TEMPLATE_MESSAGE_MAX) {
+        return res.status(400).json({ error: `title is limited to ${TEMPLATE_TITLE_MAX} and message to ${TEMPLATE_MESSAGE_MAX} characters` });
+    }
+
+    try {
+        const override = await setTemplateOverride(req.params.key, req.params.locale, { title, message }, req.user.empid);
+        res.json(override);
+    } catch (err) {
+        console.error("Update template error:", err);
+        res.status(500).json({ error: "Failed to update notification template" });
+    }
+};
+
+// DELETE /api/notifications/templates/:key/:locale: back to the built-in copy
+export const resetTemplate = async (req, res) => {
+    if (!validTemplateParams(req, res)) return;
+
+    try {
+        const removed = await removeTemplateOverride(req.params.key, req.params.locale);
+        if (!removed) return res.status(404).json({ error: "No override for this template" });
+
+        res.json({ success: true, message: "Template reset to default" });
+    } catch (err) {
+        console.error("Reset template error:", err);
+        res.status(500).json({ error: "Failed to reset notification template" });
     }
 };
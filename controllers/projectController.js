@@ -1,40 +1,298 @@
 import supabase from '../db/supabaseClient.js';
-import { broadcastNotification } from './notificationController.js';
+import { broadcastNotification, sendNotificationToUser } from './notificationController.js';
+import { can, ROLES } from '../utils/permissions.js';
+import { forbidden } from '../middleware/rbacMiddleware.js';
+import {
+    escapeLike,
+    quoteFilterValue,
+    parsePagination,
+    paginated,
+    parseSort,
+    applySort,
+    parseDate,
+    toIsoDate
+} from '../utils/queryHelpers.js';
+import { resolveSkills, syncProjectSkillsFromNames } from '../services/skillService.js';
+import { safeJsonParse } from '../utils/listFields.js';
+import {
+    PROJECT_STATUS,
+    INITIAL_STATUSES,
+    normalizeStatus,
+    allowedTransitions,
+    transitionPermission,
+    requiresCurrentEndDate,
+    transitionProject,
+    recordStatusChange,
+    listStatusHistory,
+    isProjectVisibleTo,
+    LifecycleError
+} from '../services/projectLifecycleService.js';
+import { publish, projectSummary } from '../services/realtimeService.js';
+import { parseReminderDays } from '../services/projectDeadlineService.js';
+import { archiveProject, restoreProject as restoreArchivedProject, restorableUntil, PROJECT_RETENTION_DAYS } from '../services/projectArchiveService.js';
+
+// Map required_skills onto catalog names (unknown entries are kept verbatim)
+const canonicalSkillNames = async (skillsArray) => {
+    const { matched, unmatched } = await resolveSkills(skillsArray);
+    return [...matched.map(({ skill }) => skill.name), ...unmatched];
+};
+
+// end_date is stored as YYYY-MM-DD: the list filters and sorting, the deadline reminders and
+// the expiry job all compare it as text. Returns { value } (undefined when not sent, null to
+// clear it) or { error }
+const normalizeEndDate = (value) => {
+    if (value === undefined) return { value: undefined };
+    if (value === null || value === '') return { value: null };
+
+    const parsed = parseDate(value);
+    return parsed ? { value: toIsoDate(parsed) } : { error: "Invalid end_date" };
+};
+
+// Load a project and check the caller may act on it (creator, or a role with "any" access)
+// Archived projects count as missing unless includeDeleted is set.
+// Returns { project } or sends the 404/403 response and returns null
+export const loadAuthorizedProject = async (req, res, permission, deniedMessage, { includeDeleted = false } = {}) => {
+    const { id } = req.params;
+
+    let query = supabase
+        .from('projects')
+        .select('*')
+        .eq('id', id);
+
+    if (!includeDeleted) query = query.is('deleted_at', null);
+
+    const { data: existing, error } = await query.maybeSingle();
+
+    if (error) throw error;
+
+    if (!existing) {
+        res.status(404).json({ error: "Project not found" });
+        return null;
+    }
+
+    const isOwner = String(existing.empid) === String(req.user.empid);
+    if (!can(req.user, permission, { isOwner })) {
+        forbidden(res, permission, deniedMessage);
+        return null;
+    }
+
+    return { project: existing };
+};
+
+// Member notification templates for the transitions people on the project care about
+const MEMBER_TEMPLATES = {
+    [PROJECT_STATUS.IN_PROGRESS]: 'project.started',
+    [PROJECT_STATUS.COMPLETED]: 'project.completed',
+    [PROJECT_STATUS.CANCELLED]: 'project.cancelled',
+    [PROJECT_STATUS.EXPIRED]: 'project.expired',
+};
+
+// Fire-and-forget notifications after a status change; the "new activity" broadcast
+// only goes out when a project becomes Open, to the non-Manager employees holding one of
+// its required skills (all non-Managers when it lists none).
+export const notifyStatusChange = async (project, to) => {
+    try {
+        if (to === PROJECT_STATUS.OPEN) {
+            const skills = safeJsonParse(project.required_skills);
+            const exclude = project.empid ? [String(project.empid)] : [];
+
+            const role_type = [ROLES.IC, ROLES.ADMIN];
+
+            broadcastNotification(skills.length > 0 ? { role_type, skills, exclude } : { role_type, exclude }, {
+                template: 'project.new',
+                params: { project: project.project_name }
+            }, { createdBy: project.empid });
+            return;
+        }
+
+        const template = MEMBER_TEMPLATES[to];
+        if (!template) return;
+
+        const { data: members, error } = await supabase
+            .from('project_members')
+            .select('empid')
+            .eq('project_id', project.id);
+
+        if (error) throw error;
+
+        (members || []).forEach(({ empid }) => sendNotificationToUser(empid, {
+            template,
+            params: { project: project.project_name }
+        }));
+    } catch (err) {
+        console.error("Status notification error →", err);
+    }
+};
+
+// Live update for /api/stream listeners who can see the project
+const publishProject = (type, project) =>
+    publish(type, { project: projectSummary(project) }, { visibleTo: (user) => isProjectVisibleTo(project, user) });
+
+// Validate and check permission for moving `project` to `status`. `endDate` is the end date the
+// project will have once the request is applied (defaults to the stored one).
+// Returns the canonical target status, or sends the 400/403/409 response and returns null
+const checkTransition = (req, res, project, status, { endDate = project.end_date } = {}) => {
+    const to = normalizeStatus(status);
+    if (!to) {
+        res.status(400).json({
+            error: `status must be one of: ${Object.values(PROJECT_STATUS).join(', ')}`,
+            code: "INVALID_STATUS"
+        });
+        return null;
+    }
+
+    const permission = transitionPermission(project.status, to);
+    if (!permission) {
+        res.status(409).json({
+            error: `Cannot move a project from ${project.status} to ${to}`,
+            code: "INVALID_TRANSITION",
+            allowed: allowedTransitions(project.status)
+        });
+        return null;
+    }
+
+    const isOwner = String(project.empid) === String(req.user.empid);
+    if (!can(req.user, permission, { isOwner })) {
+        forbidden(res, permission, `Unauthorized: You cannot move this activity to ${to}.`);
+        return null;
+    }
+
+    if (requiresCurrentEndDate(project.status, to) && endDate && String(endDate).slice(0, 10) < toIsoDate(new Date())) {
+        res.status(409).json({
+            error: `Extend the end date to today or later before moving this activity to ${to}`,
+            code: 'END_DATE_PASSED'
+        });
+        return null;
+    }
+
+    return to;
+};
+
+const lifecycleErrorResponse = (res, err) =>
+    res.status(err.code === "INVALID_STATUS" ? 400 : 409).json({ error: err.message, code: err.code });
+
+const SORTABLE_PROJECT_FIELDS = ["id", "project_name", "end_date", "status", "leader_name"];
+
+const EXPIRED_MODES = ["include", "exclude", "only"];
+const ARCHIVED_MODES = ["exclude", "include", "only"];
+
+// A project is expired once its end_date has passed while it is still live
+const isExpired = (project, today) =>
+    project.status === PROJECT_STATUS.EXPIRED ||
+    Boolean(project.end_date) &&
+    String(project.end_date).slice(0, 10) < today &&
+    ![PROJECT_STATUS.COMPLETED, PROJECT_STATUS.CANCELLED].includes(project.status);
 
-// Get all projects
-// Get all projects with Creator Name manually mapped
+// Get all projects (paginated, filtered and sorted in the database)
+// Query: search, status, skill, creator, end_from, end_to, expired (include|exclude|only),
+//        archived (exclude|include|only, managers), sort (e.g. "end_date,-id"), page, limit
 export const getProjects = async (req, res) => {
+    const {
+        search = '',
+        status = '',
+        skill = '',
+        creator = '',
+        end_from = '',
+        end_to = '',
+        expired = 'include',
+        archived = 'exclude'
+    } = req.query;
+
+    const pagination = parsePagination(req.query);
+    const { sort, error: sortError } = parseSort(req.query.sort, SORTABLE_PROJECT_FIELDS, [{ column: 'id', ascending: false }]);
+    if (sortError) return res.status(400).json({ error: sortError });
+
+    if (!EXPIRED_MODES.includes(expired))
+        return res.status(400).json({ error: `expired must be one of: ${EXPIRED_MODES.join(', ')}` });
+
+    if (!ARCHIVED_MODES.includes(archived))
+        return res.status(400).json({ error: `archived must be one of: ${ARCHIVED_MODES.join(', ')}` });
+    if (archived !== 'exclude' && !can(req.user, 'projects:restore'))
+        return forbidden(res, 'projects:restore', "Only managers can list archived activities.");
+
+    // status=Open,Staffing
+    const statuses = String(status).split(',').map(s => s.trim()).filter(s => s);
+    const canonicalStatuses = statuses.map(normalizeStatus);
+    if (canonicalStatuses.some(s => !s))
+        return res.status(400).json({ error: `status must be among: ${Object.values(PROJECT_STATUS).join(', ')}` });
+
+    const endFrom = end_from ? parseDate(end_from) : null;
+    const endTo = end_to ? parseDate(end_to) : null;
+    if ((end_from && !endFrom) || (end_to && !endTo))
+        return res.status(400).json({ error: "Invalid end_from / end_to date" });
+
     try {
-        const { data: projects, error } = await supabase
+        // skill=React,Node requires every listed skill; each one gets its own inner-joined
+        // project_skills embed so the filters don't collide
+        const skillNames = String(skill).split(',').map(s => s.trim()).filter(s => s);
+        const { matched, unmatched } = await resolveSkills(skillNames);
+        if (unmatched.length > 0) {
+            res.set('X-Total-Count', '0');
+            return res.status(200).json({ ...paginated([], pagination, 0), unmatched_skills: unmatched });
+        }
+
+        const skillEmbeds = matched.map((_, i) => `,required_${i}:project_skills!inner(skill_id)`).join('');
+
+        let query = supabase
             .from('projects')
-            .select('*')
-            .order('id', { ascending: false });
+            .select(`*, creator:employees!empid(name)${skillEmbeds}`, { count: 'exact' });
 
-        if (error) throw error;
+        matched.forEach(({ skill: s }, i) => {
+            query = query.eq(`required_${i}.skill_id`, s.id);
+        });
 
-        // Manual Join: Fetch creator names for these empids
-        // This avoids Foreign Key errors if constraints aren't set up
-        const empids = [...new Set(projects.map(p => p.empid).filter(id => id))];
+        // OR-conditions are collected and ANDed together at the end
+        const orGroups = [];
 
-        let creatorMap = {};
-        if (empids.length > 0) {
-            const { data: employees, error: empError } = await supabase
-                .from('employees')
-                .select('empid, name')
-                .in('empid', empids);
+        // Drafts are only visible to their creator (and Admins)
+        if (!can(req.user, 'projects:update', { isOwner: false }))
+            orGroups.push(`status.neq.${quoteFilterValue(PROJECT_STATUS.DRAFT)},empid.eq.${quoteFilterValue(req.user.empid)}`);
 
-            if (!empError && employees) {
-                employees.forEach(e => creatorMap[e.empid] = e.name);
-            }
+        if (search) {
+            const term = quoteFilterValue(`%${escapeLike(search)}%`);
+            orGroups.push(`project_name.ilike.${term},description.ilike.${term}`);
         }
 
-        const enrichedData = projects.map(p => ({
-            ...p,
-            creator_name: creatorMap[p.empid] || "Unknown"
-        }));
+        if (archived === 'exclude') query = query.is('deleted_at', null);
+        if (archived === 'only') query = query.not('deleted_at', 'is', null);
+
+        if (canonicalStatuses.length > 0) query = query.in('status', canonicalStatuses);
+        if (creator) query = query.eq('empid', creator === 'me' ? req.user.empid : creator);
+        if (endFrom) query = query.gte('end_date', toIsoDate(endFrom));
+        if (endTo) query = query.lte('end_date', toIsoDate(endTo));
+
+        const today = toIsoDate(new Date());
+        const finishedStatuses = `(${[PROJECT_STATUS.COMPLETED, PROJECT_STATUS.CANCELLED].map(quoteFilterValue).join(',')})`;
+        if (expired === 'exclude')
+            orGroups.push(`end_date.is.null,end_date.gte.${today},status.in.${finishedStatuses}`);
+        if (expired === 'only')
+            query = query.lt('end_date', today).not('status', 'in', finishedStatuses);
+
+        // supabase-js has no and(); a single-branch or(and(...)) expresses the same thing
+        if (orGroups.length === 1) query = query.or(orGroups[0]);
+        if (orGroups.length > 1) query = query.or(`and(${orGroups.map(g => `or(${g})`).join(',')})`);
+
+        query = applySort(query, sort).range(pagination.offset, pagination.offset + pagination.limit - 1);
+
+        const { data: projects, error, count } = await query;
+
+        if (error) throw error;
+
+        const rows = (projects || []).map(p => {
+            const { creator: creatorRow, ...project } = p;
+            matched.forEach((_, i) => delete project[`required_${i}`]);
+            return {
+                ...project,
+                creator_name: creatorRow?.name || "Unknown",
+                is_expired: isExpired(project, today),
+                ...(project.deleted_at && { restorable_until: restorableUntil(project) })
+            };
+        });
 
-        res.status(200).json(enrichedData);
+        res.set('X-Total-Count', String(count || 0));
+        res.status(200).json(paginated(rows, pagination, count || 0));
     } catch (error) {
+        console.error("Error fetching projects:", error);
         res.status(500).json({ error: error.message });
     }
 };
@@ -42,8 +300,8 @@ export const getProjects = async (req, res) => {
 // Create a new project
 export const createProject = async (req, res) => {
     try {
+        const { empid } = req.user;
         let {
-            empid,
             project_name,
             leader_name,
             required_skills,
@@ -52,13 +310,10 @@ export const createProject = async (req, res) => {
             description,
             poc1,
             poc2,
-            poc3
+            poc3,
+            reminder_days
         } = req.body;
 
-
-
-
-
         // Ensure required_skills is an array (Supabase handles JSONB automatically if passed as array/object)
         let skillsArray = [];
         if (Array.isArray(required_skills)) {
@@ -66,37 +321,47 @@ export const createProject = async (req, res) => {
         } else if (typeof required_skills === 'string') {
             skillsArray = required_skills.split(',').map(s => s.trim()).filter(s => s);
         }
+        const reminders = reminder_days === undefined ? { days: null } : parseReminderDays(reminder_days);
+        if (reminders.error) return res.status(400).json({ error: reminders.error });
+
+        const endDate = normalizeEndDate(end_date);
+        if (endDate.error) return res.status(400).json({ error: endDate.error });
+
+        // New projects start as Draft or Open (the default); the rest of the lifecycle goes through /status
+        status = status === undefined || status === null || status === '' ? PROJECT_STATUS.OPEN : normalizeStatus(status);
+        if (!INITIAL_STATUSES.includes(status))
+            return res.status(400).json({ error: `New activities must start as ${INITIAL_STATUSES.join(' or ')}`, code: "INVALID_STATUS" });
+
+        skillsArray = await canonicalSkillNames(skillsArray);
 
         const { data, error } = await supabase
             .from('projects')
             .insert([
                 {
-                    empid: empid || 0, // Default to 0 if not provided
+                    empid,
                     project_name,
                     leader_name,
                     required_skills: skillsArray,
-                    end_date,
+                    end_date: endDate.value,
                     status,
                     description,
                     poc1,
                     poc2,
-                    poc3
+                    poc3,
+                    reminder_days: reminders.days
                 }
             ])
             .select();
 
         if (error) throw error;
 
+        await syncProjectSkillsFromNames(data[0].id, skillsArray);
+        await recordStatusChange(data[0].id, { from: null, to: status, changedBy: empid, reason: "Created" });
+
         res.status(201).json(data[0]);
 
-        // Broadcast Notification to all ICs (Non-Managers)
-        // We assume "IC" or empty role_type implies non-manager.
-        // broadcastNotification will handle fetching appropriate users.
-        broadcastNotification("IC", {
-            title: "New Activity Available",
-            message: `A new activity "${project_name}" has been posted. Check it out!`,
-            url: "/inline-activities"
-        });
+        publishProject('project.created', data[0]);
+        notifyStatusChange(data[0], status);
     } catch (error) {
         console.error("Error creating project:", error);
         res.status(500).json({ error: error.message });
@@ -106,19 +371,22 @@ export const createProject = async (req, res) => {
 // Update project status
 export const updateProjectStatus = async (req, res) => {
     try {
-        const { id } = req.params;
-        const { status } = req.body;
+        const { status, reason } = req.body;
 
-        const { data, error } = await supabase
-            .from('projects')
-            .update({ status })
-            .eq('id', id)
-            .select();
+        const authorized = await loadAuthorizedProject(req, res, 'projects:update', "Unauthorized: Only the creator can update this activity's status.");
+        if (!authorized) return;
+        const { project } = authorized;
 
-        if (error) throw error;
+        const to = checkTransition(req, res, project, status);
+        if (!to) return;
+
+        const result = await transitionProject(project, to, { changedBy: req.user.empid, reason: reason || null });
 
-        res.status(200).json(data[0]);
+        res.status(200).json(result.project);
+
+        notifyStatusChange(result.project, to);
     } catch (error) {
+        if (error instanceof LifecycleError) return lifecycleErrorResponse(res, error);
         console.error("Error updating project status:", error);
         res.status(500).json({ error: error.message });
     }
@@ -129,7 +397,6 @@ export const updateProject = async (req, res) => {
     try {
         const { id } = req.params;
         let {
-            user_empid,
             project_name,
             leader_name,
             required_skills,
@@ -138,23 +405,33 @@ export const updateProject = async (req, res) => {
             description,
             poc1,
             poc2,
-            poc3
+            poc3,
+            reminder_days
         } = req.body;
 
         // Verify Ownership
-        const { data: existing } = await supabase
-            .from('projects')
-            .select('empid')
-            .eq('id', id)
-            .single();
-
-        if (existing) {
-            // If user_empid is provided, verify it matches
-            if (user_empid && String(existing.empid) !== String(user_empid)) {
-                return res.status(403).json({ error: "Unauthorized: Only the creator can edit this activity." });
-            }
+        const authorized = await loadAuthorizedProject(req, res, 'projects:update', "Unauthorized: Only the creator can edit this activity.");
+        if (!authorized) return;
+        const { project } = authorized;
+
+        const reminders = reminder_days === undefined ? {} : parseReminderDays(reminder_days);
+        if (reminders.error) return res.status(400).json({ error: reminders.error });
+
+        const endDate = normalizeEndDate(end_date);
+        if (endDate.error) return res.status(400).json({ error: endDate.error });
+
+        // A changed status goes through the lifecycle, same as PATCH /:id/status
+        let nextStatus = null;
+        if (status !== undefined && status !== null && status !== '' && normalizeStatus(status) !== project.status) {
+            nextStatus = checkTransition(req, res, project, status, {
+                endDate: endDate.value === undefined ? project.end_date : endDate.value
+            });
+            if (!nextStatus) return;
         }
 
+        // Skills are only touched when the field is sent; a partial update leaves them alone
+        const updatesSkills = Object.prototype.hasOwnProperty.call(req.body, 'required_skills');
+
         // Ensure required_skills is an array
         let skillsArray = [];
         if (Array.isArray(required_skills)) {
@@ -162,63 +439,127 @@ export const updateProject = async (req, res) => {
         } else if (typeof required_skills === 'string') {
             skillsArray = required_skills.split(',').map(s => s.trim()).filter(s => s);
         }
+        skillsArray = await canonicalSkillNames(skillsArray);
 
         const updatePayload = {
             project_name,
             leader_name,
-            required_skills: skillsArray,
-            end_date,
-            status,
+            required_skills: updatesSkills ? skillsArray : undefined,
+            end_date: endDate.value,
             description,
             poc1,
             poc2,
-            poc3
+            poc3,
+            reminder_days: reminders.days
         }
 
-        const { data, error } = await supabase
-            .from('projects')
-            .update(updatePayload)
-            .eq('id', id)
-            .select();
+        // With a status change the fields ride along with the transition, so nothing is saved
+        // (or broadcast) when the transition is rejected
+        let updated;
+        if (nextStatus) {
+            const result = await transitionProject(project, nextStatus, {
+                changedBy: req.user.empid,
+                reason: req.body.reason || null,
+                fields: updatePayload
+            });
+            updated = result.project;
+        } else {
+            const { data, error } = await supabase
+                .from('projects')
+                .update(updatePayload)
+                .eq('id', id)
+                .select();
+
+            if (error) throw error;
+            updated = data[0];
+        }
 
-        if (error) throw error;
+        if (updatesSkills) await syncProjectSkillsFromNames(id, skillsArray);
+
+        publishProject('project.updated', updated);
+
+        res.status(200).json(updated);
 
-        res.status(200).json(data[0]);
+        if (nextStatus) notifyStatusChange(updated, nextStatus);
     } catch (error) {
+        if (error instanceof LifecycleError) return lifecycleErrorResponse(res, error);
         console.error("Error updating project:", error);
         res.status(500).json({ error: error.message });
     }
 };
 
-// Delete project
+// Delete (archive) project; it can be restored within PROJECT_RETENTION_DAYS
 export const deleteProject = async (req, res) => {
     try {
-        const { id } = req.params;
-        const { user_empid } = req.body;
-
         // Verify Ownership
-        const { data: existing } = await supabase
-            .from('projects')
-            .select('empid')
-            .eq('id', id)
-            .single();
+        const authorized = await loadAuthorizedProject(req, res, 'projects:delete', "Unauthorized: Only the creator can delete this activity.");
+        if (!authorized) return;
 
-        if (existing) {
-            if (user_empid && String(existing.empid) !== String(user_empid)) {
-                return res.status(403).json({ error: "Unauthorized: Only the creator can delete this activity." });
-            }
-        }
+        const archived = await archiveProject(authorized.project.id, req.user.empid);
+        if (!archived) return res.status(404).json({ error: "Project not found" });
+
+        res.status(200).json({
+            message: "Project archived",
+            deleted_at: archived.deleted_at,
+            restorable_until: restorableUntil(archived)
+        });
+
+        publishProject('project.archived', archived);
+    } catch (error) {
+        console.error("Error deleting project:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Restore an archived project (creator or a manager, within the retention window)
+export const restoreProject = async (req, res) => {
+    try {
+        const authorized = await loadAuthorizedProject(req, res, 'projects:restore', "Unauthorized: Only the creator or a manager can restore this activity.", { includeDeleted: true });
+        if (!authorized) return;
 
-        const { error } = await supabase
+        const result = await restoreArchivedProject(authorized.project);
+
+        if (result.error === 'not_archived')
+            return res.status(409).json({ error: "Project is not archived", code: "NOT_ARCHIVED" });
+        if (result.error === 'expired')
+            return res.status(410).json({
+                error: `Archived projects can only be restored within ${PROJECT_RETENTION_DAYS} days`,
+                code: "RETENTION_EXPIRED"
+            });
+
+        res.status(200).json(result.project);
+
+        publishProject('project.restored', result.project);
+    } catch (error) {
+        console.error("Error restoring project:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Status transition history
+export const getProjectHistory = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { data: project, error } = await supabase
             .from('projects')
-            .delete()
-            .eq('id', id);
+            .select('id, status, empid')
+            .eq('id', id)
+            .is('deleted_at', null)
+            .maybeSingle();
 
         if (error) throw error;
+        if (!project || !isProjectVisibleTo(project, req.user)) return res.status(404).json({ error: "Project not found" });
 
-        res.status(200).json({ message: "Project deleted successfully" });
+        const history = await listStatusHistory(id);
+
+        res.status(200).json({
+            status: project.status,
+            allowed_transitions: allowedTransitions(project.status),
+            history
+        });
     } catch (error) {
-        console.error("Error deleting project:", error);
+        console.error("Error fetching project history:", error);
         res.status(500).json({ error: error.message });
     }
 };
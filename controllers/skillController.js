@@ -0,0 +1,317 @@
+import supabase from "../db/supabaseClient.js";
+import {
+  normalizeSkillKey,
+  loadSkillIndex,
+  getEmployeeSkills,
+  getEmployeeInterests,
+  replaceEmployeeSkills,
+  resolveSkills,
+  DEFAULT_PROFICIENCY
+} from "../services/skillService.js";
+import { parseDate, toIsoDate } from "../utils/queryHelpers.js";
+import { safeJsonParse } from "../utils/listFields.js";
+
+const SKILL_SELECT = 'id, name, category, created_at, updated_at, skill_aliases(alias)';
+
+const formatSkill = (row) => ({
+  id: row.id,
+  name: row.name,
+  category: row.category,
+  aliases: (row.skill_aliases || []).map((a) => a.alias),
+  created_at: row.created_at,
+  updated_at: row.updated_at
+});
+
+// Aliases must not collide with another skill's name or alias
+const findConflicts = async (keys, { exceptSkillId } = {}) => {
+  const index = await loadSkillIndex();
+  return keys.filter((key) => {
+    const hit = index.get(key);
+    return hit && hit.id !== exceptSkillId;
+  });
+};
+
+// ---------------------------
+// LIST CATALOG
+// ---------------------------
+export const getSkills = async (req, res) => {
+  const { search = "", category = "" } = req.query;
+
+  try {
+    let query = supabase
+      .from('skills')
+      .select(SKILL_SELECT)
+      .order('name', { ascending: true });
+
+    if (category) query = query.eq('category', category);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    let skills = (data || []).map(formatSkill);
+
+    // Search covers aliases too, so "js" finds JavaScript
+    if (search) {
+      const term = normalizeSkillKey(search);
+      skills = skills.filter((s) =>
+        normalizeSkillKey(s.name).includes(term) || s.aliases.some((a) => a.includes(term))
+      );
+    }
+
+    res.json(skills);
+  } catch (err) {
+    console.error("Fetch skills error →", err);
+    res.status(500).json({ error: "Failed to fetch skills" });
+  }
+};
+
+// ---------------------------
+// CREATE SKILL
+// ---------------------------
+export const createSkill = async (req, res) => {
+  const { name, category, aliases = [] } = req.body;
+
+  if (!name || !String(name).trim())
+    return res.status(400).json({ error: "Skill name required" });
+
+  const aliasKeys = [...new Set((Array.isArray(aliases) ? aliases : [aliases]).map(normalizeSkillKey).filter(Boolean))]
+    .filter((a) => a !== normalizeSkillKey(name));
+
+  try {
+    const conflicts = await findConflicts([normalizeSkillKey(name), ...aliasKeys]);
+    if (conflicts.length > 0)
+      return res.status(409).json({ error: "Skill name or alias already exists", conflicts });
+
+    const { data: skill, error } = await supabase
+      .from('skills')
+      .insert([{ name: String(name).trim(), category: category || null }])
+      .select('id')
+      .single();
+
+    if (error) throw error;
+
+    if (aliasKeys.length > 0) {
+      const { error: aliasError } = await supabase
+        .from('skill_aliases')
+        .insert(aliasKeys.map((alias) => ({ alias, skill_id: skill.id })));
+
+      if (aliasError) throw aliasError;
+    }
+
+    const { data, error: fetchError } = await supabase
+      .from('skills')
+      .select(SKILL_SELECT)
+      .eq('id', skill.id)
+      .single();
+
+    if (fetchError) throw fetchError;
+
+    res.status(201).json(formatSkill(data));
+  } catch (err) {
+    console.error("Create skill error →", err);
+    res.status(500).json({ error: "Failed to create skill" });
+  }
+};
+
+// ---------------------------
+// UPDATE SKILL
+// ---------------------------
+export const updateSkill = async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const { name, category } = req.body;
+
+  if (name !== undefined && !String(name).trim())
+    return res.status(400).json({ error: "Skill name cannot be empty" });
+
+  try {
+    if (name !== undefined) {
+      const conflicts = await findConflicts([normalizeSkillKey(name)], { exceptSkillId: id });
+      if (conflicts.length > 0)
+        return res.status(409).json({ error: "Skill name or alias already exists", conflicts });
+    }
+
+    const updatePayload = { updated_at: new Date().toISOString() };
+    if (name !== undefined) updatePayload.name = String(name).trim();
+    if (category !== undefined) updatePayload.category = category || null;
+
+    const { data, error } = await supabase
+      .from('skills')
+      .update(updatePayload)
+      .eq('id', id)
+      .select(SKILL_SELECT);
+
+    if (error) throw error;
+    if (!data || data.length === 0) return res.status(404).json({ error: "Skill not found" });
+
+    res.json(formatSkill(data[0]));
+  } catch (err) {
+    console.error("Update skill error →", err);
+    res.status(500).json({ error: "Failed to update skill" });
+  }
+};
+
+// ---------------------------
+// DELETE SKILL
+// ---------------------------
+export const deleteSkill = async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+
+  try {
+    const { data, error } = await supabase
+      .from('skills')
+      .delete()
+      .eq('id', id)
+      .select('id');
+
+    if (error) throw error;
+    if (!data || data.length === 0) return res.status(404).json({ error: "Skill not found" });
+
+    res.json({ success: true, message: "Skill deleted" });
+  } catch (err) {
+    console.error("Delete skill error →", err);
+    res.status(500).json({ error: "Failed to delete skill" });
+  }
+};
+
+// ---------------------------
+// ALIASES
+// ---------------------------
+export const addSkillAlias = async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const alias = normalizeSkillKey(req.body.alias || "");
+
+  if (!alias) return res.status(400).json({ error: "Alias required" });
+
+  try {
+    const { data: skill, error: findError } = await supabase
+      .from('skills')
+      .select('id')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (findError) throw findError;
+    if (!skill) return res.status(404).json({ error: "Skill not found" });
+
+    const conflicts = await findConflicts([alias], { exceptSkillId: id });
+    if (conflicts.length > 0)
+      return res.status(409).json({ error: "Alias already belongs to another skill", conflicts });
+
+    const { error } = await supabase
+      .from('skill_aliases')
+      .upsert([{ alias, skill_id: id }], { onConflict: 'alias' });
+
+    if (error) throw error;
+
+    res.status(201).json({ success: true, alias, skill_id: id });
+  } catch (err) {
+    console.error("Add alias error →", err);
+    res.status(500).json({ error: "Failed to add alias" });
+  }
+};
+
+export const removeSkillAlias = async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const alias = normalizeSkillKey(req.params.alias || "");
+
+  try {
+    const { data, error } = await supabase
+      .from('skill_aliases')
+      .delete()
+      .eq('skill_id', id)
+      .eq('alias', alias)
+      .select('alias');
+
+    if (error) throw error;
+    if (!data || data.length === 0) return res.status(404).json({ error: "Alias not found" });
+
+    res.json({ success: true, message: "Alias removed" });
+  } catch (err) {
+    console.error("Remove alias error →", err);
+    res.status(500).json({ error: "Failed to remove alias" });
+  }
+};
+
+// ---------------------------
+// EMPLOYEE SKILLS
+// ---------------------------
+export const getEmployeeSkillProfile = async (req, res) => {
+  const { empid } = req.params;
+
+  try {
+    const [skills, interests] = await Promise.all([getEmployeeSkills(empid), getEmployeeInterests(empid)]);
+    res.json({ empid, skills, interests });
+  } catch (err) {
+    console.error("Fetch employee skills error →", err);
+    res.status(500).json({ error: "Failed to fetch employee skills" });
+  }
+};
+
+/**
+ * PUT /api/employees/:empid/skills
+ * Body: { skills: [{ skill_id | name, proficiency (1-5), last_used (date) }] }
+ * Replaces the employee's full skill list. Free-text skills that aren't in the catalog stay
+ * in the legacy current_skills list.
+ */
+export const updateEmployeeSkillProfile = async (req, res) => {
+  const { empid } = req.params;
+  const { skills } = req.body;
+
+  if (!Array.isArray(skills))
+    return res.status(400).json({ error: "skills must be an array" });
+
+  try {
+    const { data: employee, error: findError } = await supabase
+      .from('employees')
+      .select('empid, current_skills')
+      .eq('empid', empid)
+      .maybeSingle();
+
+    if (findError) throw findError;
+    if (!employee) return res.status(404).json({ error: "Employee not found" });
+
+    const index = await loadSkillIndex();
+    const knownIds = new Set([...index.values()].map((s) => s.id));
+
+    const entries = [];
+    const errors = [];
+
+    skills.forEach((item, i) => {
+      if (!item || typeof item !== "object" || Array.isArray(item))
+        return errors.push(`skills[${i}]: must be an object with skill_id or name`);
+
+      const skill = item.skill_id !== undefined
+        ? (knownIds.has(Number(item.skill_id)) ? { id: Number(item.skill_id) } : null)
+        : index.get(normalizeSkillKey(item.name || ""));
+
+      if (!skill) return errors.push(`skills[${i}]: unknown skill "${item.skill_id ?? item.name}"`);
+
+      const proficiency = item.proficiency === undefined ? DEFAULT_PROFICIENCY : Number(item.proficiency);
+      if (!Number.isInteger(proficiency) || proficiency < 1 || proficiency > 5)
+        return errors.push(`skills[${i}]: proficiency must be an integer from 1 to 5`);
+
+      let lastUsed = null;
+      if (item.last_used) {
+        const parsed = parseDate(item.last_used);
+        if (!parsed) return errors.push(`skills[${i}]: invalid last_used date`);
+        lastUsed = toIsoDate(parsed);
+      }
+
+      if (entries.some((e) => e.skill_id === skill.id))
+        return errors.push(`skills[${i}]: duplicate skill`);
+
+      entries.push({ skill_id: skill.id, proficiency, last_used: lastUsed });
+    });
+
+    if (errors.length > 0)
+      return res.status(400).json({ error: "Invalid skills", details: errors });
+
+    const legacyNames = safeJsonParse(employee.current_skills).map((s) => (typeof s === "string" ? s : s?.name)).filter(Boolean);
+    const { unmatched } = await resolveSkills(legacyNames, { index });
+    await replaceEmployeeSkills(empid, entries, { extraNames: unmatched });
+
+    res.json({ success: true, empid, skills: await getEmployeeSkills(empid) });
+  } catch (err) {
+    console.error("Update employee skills error →", err);
+    res.status(500).json({ error: "Failed to update employee skills" });
+  }
+};
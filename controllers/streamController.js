@@ -0,0 +1,94 @@
+import { addClient, eventsSince, STREAM_EVENTS } from "../services/realtimeService.js";
+import { isSessionActive } from "../services/sessionService.js";
+import { issueStreamTicket } from "../services/streamTicketService.js";
+
+const HEARTBEAT_MS = parseInt(process.env.STREAM_HEARTBEAT_MS, 10) || 25 * 1000;
+const SESSION_CHECK_MS = parseInt(process.env.STREAM_SESSION_CHECK_MS, 10) || 60 * 1000;
+const RETRY_MS = 5000;
+// setTimeout overflows past ~24.8 days
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+const formatEvent = (event) =>
+  `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ ...event.data, at: event.at })}\n\n`;
+
+// ---------------------------
+// TICKET
+// ---------------------------
+// POST /api/stream/ticket -> { ticket, expires_at }, good for opening one stream
+export const createStreamTicket = async (req, res) => {
+  try {
+    const { ticket, expiresAt } = await issueStreamTicket(req.user);
+    res.status(201).json({ ticket, expires_at: expiresAt.toISOString() });
+  } catch (err) {
+    console.error("Stream ticket error →", err);
+    res.status(500).json({ error: "Failed to issue stream ticket" });
+  }
+};
+
+// ---------------------------
+// OPEN STREAM
+// ---------------------------
+// GET /api/stream?events=project.status,notification
+// Server-Sent Events for the caller. The stream ends with an `end` event when the access
+// token expires (reason "token_expired", reconnect with a fresh token and ticket), the session is
+// revoked ("session_revoked") or a newer stream replaces it ("too_many_streams").
+// Reconnects send Last-Event-ID and receive what they missed, as far as the buffer goes.
+export const openStream = (req, res) => {
+  const requested = String(req.query.events || "").split(",").map((e) => e.trim()).filter(Boolean);
+  const unknown = requested.filter((e) => !STREAM_EVENTS.includes(e));
+  if (unknown.length > 0)
+    return res.status(400).json({ error: `Unknown event "${unknown[0]}". Use: ${STREAM_EVENTS.join(", ")}` });
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    // Stop proxies from buffering the stream
+    "X-Accel-Buffering": "no"
+  });
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const timers = [];
+  let closed = false;
+  let unsubscribe = () => {};
+
+  const close = (reason) => {
+    if (closed) return;
+    closed = true;
+    timers.forEach((t) => clearTimeout(t));
+    unsubscribe();
+    if (reason) res.write(`event: end\ndata: ${JSON.stringify({ reason })}\n\n`);
+    res.end();
+  };
+
+  const client = {
+    user: req.user,
+    events: requested.length > 0 ? new Set(requested) : null,
+    send: (event) => res.write(formatEvent(event)),
+    close: () => close("too_many_streams")
+  };
+
+  // Catch up first, then register; both happen before any other event can be published
+  const lastEventId = req.get("last-event-id") || req.query.last_event_id;
+  eventsSince(client, lastEventId).forEach(client.send);
+  unsubscribe = addClient(client);
+
+  res.write(`event: ready\ndata: ${JSON.stringify({ empid: req.user.empid, events: requested.length > 0 ? requested : STREAM_EVENTS })}\n\n`);
+
+  // Comment lines keep idle connections open through proxies
+  timers.push(setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS));
+
+  timers.push(setInterval(async () => {
+    try {
+      if (!(await isSessionActive(req.user.sessionId, req.user.empid))) close("session_revoked");
+    } catch (err) {
+      console.error("Stream session check error →", err.message || err);
+    }
+  }, SESSION_CHECK_MS));
+
+  if (req.user.expiresAt) {
+    timers.push(setTimeout(() => close("token_expired"), Math.min(Math.max(req.user.expiresAt * 1000 - Date.now(), 0), MAX_TIMEOUT_MS)));
+  }
+
+  req.on("close", () => close());
+};
@@ -0,0 +1,18 @@
+-- Refresh-token sessions for token based auth.
+-- Refresh tokens are never stored in clear text, only their SHA-256 hash.
+create table if not exists auth_sessions (
+    id uuid primary key default gen_random_uuid(),
+    empid text not null,
+    refresh_token_hash text not null unique,
+    previous_token_hash text,
+    user_agent text,
+    ip text,
+    created_at timestamptz not null default now(),
+    last_used_at timestamptz,
+    expires_at timestamptz not null,
+    revoked_at timestamptz,
+    revoked_reason text
+);
+
+create index if not exists auth_sessions_empid_idx on auth_sessions (empid);
+create index if not exists auth_sessions_previous_token_hash_idx on auth_sessions (previous_token_hash);
@@ -0,0 +1,12 @@
+-- One-time password reset tokens. Only the SHA-256 hash of the token is stored.
+create table if not exists password_reset_tokens (
+    id uuid primary key default gen_random_uuid(),
+    empid text not null,
+    token_hash text not null unique,
+    requested_ip text,
+    created_at timestamptz not null default now(),
+    expires_at timestamptz not null,
+    used_at timestamptz
+);
+
+create index if not exists password_reset_tokens_empid_idx on password_reset_tokens (empid);
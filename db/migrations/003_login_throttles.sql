@@ -0,0 +1,55 @@
+-- Failed login tracking for brute-force protection.
+-- key is "email:<lowercased email>" or "ip:<address>".
+create table if not exists login_throttles (
+    key text primary key,
+    failures integer not null default 0,
+    last_failed_at timestamptz,
+    locked_until timestamptz,
+    updated_at timestamptz not null default now()
+);
+
+-- Counts one failed login against a throttle key in a single statement, so concurrent
+-- guesses can't overwrite each other's count. Failures older than p_window_seconds, or
+-- from before an expired lockout, start the count again. newly_locked is true only for the
+-- call that locked the key.
+create or replace function record_login_failure(
+    p_key text,
+    p_max_failures integer,
+    p_window_seconds integer,
+    p_lockout_seconds integer
+)
+returns table (failure_count integer, lock_until timestamptz, newly_locked boolean)
+language plpgsql
+as $$
+declare
+    r login_throttles;
+begin
+    insert into login_throttles as t (key, failures, last_failed_at, updated_at)
+    values (p_key, 1, now(), now())
+    on conflict (key) do update set
+        failures = case
+            when (t.locked_until is not null and t.locked_until <= now())
+              or t.last_failed_at is null
+              or t.last_failed_at < now() - make_interval(secs => p_window_seconds)
+            then 1
+            else t.failures + 1
+        end,
+        locked_until = case when t.locked_until <= now() then null else t.locked_until end,
+        last_failed_at = now(),
+        updated_at = now()
+    returning t.* into r;
+
+    -- The upsert holds the row lock, so only one caller can take this branch
+    if r.failures >= p_max_failures and r.locked_until is null then
+        update login_throttles t
+        set locked_until = now() + make_interval(secs => p_lockout_seconds)
+        where t.key = p_key
+        returning t.* into r;
+
+        return query select r.failures, r.locked_until, true;
+        return;
+    end if;
+
+    return query select r.failures, r.locked_until, false;
+end;
+$$;
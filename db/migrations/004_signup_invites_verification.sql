@@ -0,0 +1,55 @@
+-- Email verification, manager invites and collision-free employee IDs.
+
+-- Existing accounts are treated as verified; new self-service signups insert false.
+alter table employees add column if not exists email_verified boolean not null default true;
+
+create unique index if not exists employees_empid_key on employees (empid);
+create unique index if not exists employees_email_lower_key on employees (lower(email));
+
+create table if not exists email_verification_tokens (
+    id uuid primary key default gen_random_uuid(),
+    empid text not null,
+    token_hash text not null unique,
+    created_at timestamptz not null default now(),
+    expires_at timestamptz not null,
+    used_at timestamptz
+);
+
+create index if not exists email_verification_tokens_empid_idx on email_verification_tokens (empid);
+
+create table if not exists employee_invites (
+    id uuid primary key default gen_random_uuid(),
+    token_hash text not null unique,
+    email text not null,
+    name text,
+    cluster text,
+    cluster2 text,
+    role text,
+    role_type text,
+    invited_by text not null,
+    created_at timestamptz not null default now(),
+    expires_at timestamptz not null,
+    accepted_at timestamptz,
+    accepted_empid text,
+    revoked_at timestamptz
+);
+
+create index if not exists employee_invites_email_idx on employee_invites (lower(email));
+
+-- Employee IDs come from a sequence so concurrent signups can never collide.
+-- Legacy IDs (derived from Date.now()) share the E###### format, so skip any that are taken.
+create sequence if not exists employee_empid_seq;
+
+create or replace function next_empid() returns text
+language plpgsql
+as $$
+declare
+    candidate text;
+begin
+    loop
+        candidate := 'E' || lpad(nextval('employee_empid_seq')::text, 6, '0');
+        exit when not exists (select 1 from employees where empid = candidate);
+    end loop;
+    return candidate;
+end;
+$$;
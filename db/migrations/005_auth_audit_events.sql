@@ -0,0 +1,29 @@
+-- Append-only authentication audit trail.
+create table if not exists auth_audit_events (
+    id bigint generated always as identity primary key,
+    event_type text not null,
+    empid text,
+    email text,
+    session_id uuid,
+    ip text,
+    user_agent text,
+    metadata jsonb not null default '{}'::jsonb,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists auth_audit_events_empid_created_idx on auth_audit_events (empid, created_at desc);
+create index if not exists auth_audit_events_created_idx on auth_audit_events (created_at desc);
+
+-- Rows can be inserted but never changed or removed
+create or replace function auth_audit_events_immutable() returns trigger
+language plpgsql
+as $$
+begin
+    raise exception 'auth_audit_events is append-only';
+end;
+$$;
+
+drop trigger if exists auth_audit_events_no_update on auth_audit_events;
+create trigger auth_audit_events_no_update
+    before update or delete on auth_audit_events
+    for each row execute function auth_audit_events_immutable();
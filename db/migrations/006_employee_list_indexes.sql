@@ -0,0 +1,23 @@
+-- Indexes backing server-side filtering / sorting on GET /api/employees.
+create extension if not exists pg_trgm;
+
+create index if not exists employees_cluster_idx on employees (cluster);
+create index if not exists employees_cluster2_idx on employees (cluster2);
+create index if not exists employees_availability_idx on employees (availability);
+create index if not exists employees_role_idx on employees (role);
+create index if not exists employees_role_type_idx on employees (role_type);
+create index if not exists employees_from_to_date_idx on employees (from_date, to_date);
+
+-- Trigram indexes make ilike '%term%' searches indexable
+create index if not exists employees_name_trgm_idx on employees using gin (name gin_trgm_ops);
+create index if not exists employees_current_skills_trgm_idx on employees using gin (current_skills gin_trgm_ops);
+
+-- Normalize legacy DD/MM/YYYY, DD-MM-YYYY and DD/MM/YY availability dates to YYYY-MM-DD
+-- so the date window filter can compare them as text.
+update employees
+set from_date = to_char(to_date(from_date, case when from_date ~ '^\d{1,2}[/.-]\d{1,2}[/.-]\d{2}$' then 'DD/MM/YY' else 'DD/MM/YYYY' end), 'YYYY-MM-DD')
+where from_date ~ '^\d{1,2}[/.-]\d{1,2}[/.-](\d{2}|\d{4})$';
+
+update employees
+set to_date = to_char(to_date(to_date, case when to_date ~ '^\d{1,2}[/.-]\d{1,2}[/.-]\d{2}$' then 'DD/MM/YY' else 'DD/MM/YYYY' end), 'YYYY-MM-DD')
+where to_date ~ '^\d{1,2}[/.-]\d{1,2}[/.-](\d{2}|\d{4})$';
@@ -0,0 +1,44 @@
+-- Canonical skills catalog with aliases, per-employee proficiency and per-project requirements.
+create table if not exists skills (
+    id bigint generated always as identity primary key,
+    name text not null,
+    category text,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create unique index if not exists skills_name_lower_key on skills (lower(name));
+
+-- Synonyms ("JS", "Javascript", "ECMAScript" -> JavaScript). Stored lowercased.
+create table if not exists skill_aliases (
+    alias text primary key,
+    skill_id bigint not null references skills (id) on delete cascade
+);
+
+create index if not exists skill_aliases_skill_id_idx on skill_aliases (skill_id);
+
+create table if not exists employee_skills (
+    empid text not null,
+    skill_id bigint not null references skills (id) on delete cascade,
+    proficiency smallint not null default 3 check (proficiency between 1 and 5),
+    last_used date,
+    updated_at timestamptz not null default now(),
+    primary key (empid, skill_id)
+);
+
+create index if not exists employee_skills_skill_id_idx on employee_skills (skill_id);
+
+create table if not exists employee_interests (
+    empid text not null,
+    skill_id bigint not null references skills (id) on delete cascade,
+    primary key (empid, skill_id)
+);
+
+create table if not exists project_skills (
+    project_id bigint not null,
+    skill_id bigint not null references skills (id) on delete cascade,
+    min_proficiency smallint not null default 1 check (min_proficiency between 1 and 5),
+    primary key (project_id, skill_id)
+);
+
+create index if not exists project_skills_skill_id_idx on project_skills (skill_id);
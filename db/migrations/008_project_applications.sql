@@ -0,0 +1,33 @@
+-- IC applications to projects and the resulting memberships.
+-- Foreign keys let PostgREST embed applicant / project details.
+create table if not exists project_applications (
+    id bigint generated always as identity primary key,
+    project_id bigint not null references projects (id) on delete cascade,
+    empid text not null references employees (empid) on delete cascade,
+    note text,
+    hours_offered numeric(5, 2),
+    status text not null default 'applied'
+        check (status in ('applied', 'shortlisted', 'accepted', 'rejected', 'withdrawn')),
+    decided_by text,
+    decided_at timestamptz,
+    decision_note text,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now(),
+    unique (project_id, empid)
+);
+
+create index if not exists project_applications_empid_idx on project_applications (empid);
+create index if not exists project_applications_project_status_idx on project_applications (project_id, status);
+
+create table if not exists project_members (
+    id bigint generated always as identity primary key,
+    project_id bigint not null references projects (id) on delete cascade,
+    empid text not null references employees (empid) on delete cascade,
+    role text not null default 'Member',
+    source text not null default 'manual',
+    added_by text,
+    created_at timestamptz not null default now(),
+    unique (project_id, empid)
+);
+
+create index if not exists project_members_empid_idx on project_members (empid);
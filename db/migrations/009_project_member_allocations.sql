@@ -0,0 +1,10 @@
+-- Staffing allocations on project memberships.
+alter table project_members add column if not exists allocated_hours_per_week numeric(5, 2) not null default 0
+    check (allocated_hours_per_week >= 0 and allocated_hours_per_week <= 168);
+alter table project_members add column if not exists start_date date;
+alter table project_members add column if not exists end_date date;
+alter table project_members add column if not exists updated_at timestamptz not null default now();
+
+alter table project_members drop constraint if exists project_members_dates_check;
+alter table project_members add constraint project_members_dates_check
+    check (start_date is null or end_date is null or start_date <= end_date);
@@ -0,0 +1,37 @@
+-- Project status lifecycle: canonical statuses plus an append-only transition history.
+
+-- Map legacy free-text statuses onto the lifecycle
+update projects set status = case lower(trim(coalesce(status, '')))
+    when 'draft' then 'Draft'
+    when 'staffing' then 'Staffing'
+    when 'in progress' then 'In Progress'
+    when 'in_progress' then 'In Progress'
+    when 'ongoing' then 'In Progress'
+    when 'completed' then 'Completed'
+    when 'closed' then 'Completed'
+    when 'done' then 'Completed'
+    when 'cancelled' then 'Cancelled'
+    when 'canceled' then 'Cancelled'
+    else 'Open'
+end;
+
+alter table projects alter column status set default 'Draft';
+alter table projects alter column status set not null;
+
+alter table projects drop constraint if exists projects_status_check;
+alter table projects add constraint projects_status_check
+    check (status in ('Draft', 'Open', 'Staffing', 'In Progress', 'Completed', 'Cancelled'));
+
+create index if not exists projects_status_idx on projects (status);
+
+create table if not exists project_status_history (
+    id bigint generated always as identity primary key,
+    project_id bigint not null references projects (id) on delete cascade,
+    from_status text,
+    to_status text not null,
+    changed_by text references employees (empid) on delete set null,
+    reason text,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists project_status_history_project_idx on project_status_history (project_id, created_at);
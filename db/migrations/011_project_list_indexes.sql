@@ -0,0 +1,30 @@
+-- Server-side filtering / sorting for GET /api/projects.
+create extension if not exists pg_trgm;
+
+-- A foreign key lets PostgREST embed the creator (creator:employees!empid(name)) instead of a
+-- second lookup. NOT VALID keeps legacy rows with unknown creators while checking new ones.
+do $$
+begin
+    if not exists (select 1 from pg_constraint where conname = 'projects_empid_fkey') then
+        alter table projects
+            add constraint projects_empid_fkey foreign key (empid)
+            references employees (empid) on delete set null not valid;
+    end if;
+end $$;
+
+create index if not exists projects_empid_idx on projects (empid);
+create index if not exists projects_end_date_idx on projects (end_date);
+create index if not exists projects_project_name_trgm_idx on projects using gin (project_name gin_trgm_ops);
+create index if not exists projects_description_trgm_idx on projects using gin (description gin_trgm_ops);
+
+-- Text end dates: normalize legacy DD/MM/YYYY, DD-MM-YYYY and DD/MM/YY to YYYY-MM-DD
+-- so range filters and sorting can compare them as text.
+do $$
+begin
+    if (select data_type from information_schema.columns
+        where table_name = 'projects' and column_name = 'end_date') = 'text' then
+        update projects
+        set end_date = to_char(to_date(end_date, case when end_date ~ '^\d{1,2}[/.-]\d{1,2}[/.-]\d{2}$' then 'DD/MM/YY' else 'DD/MM/YYYY' end), 'YYYY-MM-DD')
+        where end_date ~ '^\d{1,2}[/.-]\d{1,2}[/.-](\d{2}|\d{4})$';
+    end if;
+end $$;
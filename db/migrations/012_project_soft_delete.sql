@@ -0,0 +1,6 @@
+-- Soft delete for projects: archived rows keep their data until the retention window
+-- passes and the scheduler purges them.
+alter table projects add column if not exists deleted_at timestamptz;
+alter table projects add column if not exists deleted_by text references employees (empid) on delete set null;
+
+create index if not exists projects_deleted_at_idx on projects (deleted_at) where deleted_at is not null;
@@ -0,0 +1,15 @@
+-- Discussion threads on projects. Replies point at their parent comment; mentions hold
+-- the empids referenced as @empid in the body.
+create table if not exists project_comments (
+    id bigint generated always as identity primary key,
+    project_id bigint not null references projects (id) on delete cascade,
+    parent_id bigint references project_comments (id) on delete cascade,
+    empid text references employees (empid) on delete set null,
+    body text not null check (char_length(body) between 1 and 4000),
+    mentions text[] not null default '{}',
+    created_at timestamptz not null default now(),
+    edited_at timestamptz
+);
+
+create index if not exists project_comments_project_idx on project_comments (project_id, created_at);
+create index if not exists project_comments_parent_idx on project_comments (parent_id);
@@ -0,0 +1,17 @@
+-- Deadline handling: the Expired status, per-project reminder lead times and a log of
+-- reminders already sent (so each lead time fires once per end_date).
+alter table projects drop constraint if exists projects_status_check;
+alter table projects add constraint projects_status_check
+    check (status in ('Draft', 'Open', 'Staffing', 'In Progress', 'Completed', 'Cancelled', 'Expired'));
+
+-- Days before end_date to send reminders, e.g. {7,1}; null falls back to DEADLINE_REMINDER_DAYS
+alter table projects add column if not exists reminder_days integer[];
+
+create table if not exists project_deadline_reminders (
+    id bigint generated always as identity primary key,
+    project_id bigint not null references projects (id) on delete cascade,
+    lead_days integer not null,
+    end_date text not null,
+    sent_at timestamptz not null default now(),
+    unique (project_id, lead_days, end_date)
+);
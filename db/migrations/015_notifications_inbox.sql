@@ -0,0 +1,15 @@
+-- In-app notification inbox. Every notification is stored here first; web push is one
+-- delivery channel on top of it.
+create table if not exists notifications (
+    id bigint generated always as identity primary key,
+    empid text not null references employees (empid) on delete cascade,
+    title text not null,
+    message text,
+    url text,
+    data jsonb not null default '{}',
+    read_at timestamptz,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists notifications_empid_created_idx on notifications (empid, created_at desc);
+create index if not exists notifications_unread_idx on notifications (empid) where read_at is null;
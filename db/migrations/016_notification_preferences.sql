@@ -0,0 +1,13 @@
+-- Per-user notification preferences: channel switches per category plus quiet hours.
+create table if not exists notification_preferences (
+    empid text primary key references employees (empid) on delete cascade,
+    -- { "<category>": { "push": bool, "in_app": bool, "email": bool } }; missing keys use the defaults
+    channels jsonb not null default '{}',
+    quiet_hours_start text check (quiet_hours_start ~ '^([01]\d|2[0-3]):[0-5]\d$'),
+    quiet_hours_end text check (quiet_hours_end ~ '^([01]\d|2[0-3]):[0-5]\d$'),
+    timezone text,
+    updated_at timestamptz not null default now()
+);
+
+alter table notifications add column if not exists category text not null default 'activities';
+create index if not exists notifications_empid_category_idx on notifications (empid, category);
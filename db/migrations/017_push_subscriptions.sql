@@ -0,0 +1,43 @@
+-- Web push subscriptions move out of employees.push_subscriptions into their own table,
+-- one row per device, so dead endpoints can be deleted individually.
+create table if not exists push_subscriptions (
+    id bigint generated always as identity primary key,
+    empid text not null references employees (empid) on delete cascade,
+    endpoint text not null unique,
+    p256dh text not null,
+    auth text not null,
+    expiration_time bigint,
+    device_label text,
+    user_agent text,
+    created_at timestamptz not null default now(),
+    last_success_at timestamptz,
+    last_failure_at timestamptz,
+    failure_count integer not null default 0
+);
+
+create index if not exists push_subscriptions_empid_idx on push_subscriptions (empid);
+
+-- Copy existing subscriptions (stored as JSONB or as a JSON string) and drop the old column
+do $$
+begin
+    if exists (select 1 from information_schema.columns
+               where table_name = 'employees' and column_name = 'push_subscriptions') then
+        insert into push_subscriptions (empid, endpoint, p256dh, auth, expiration_time)
+        select e.empid,
+               s ->> 'endpoint',
+               s -> 'keys' ->> 'p256dh',
+               s -> 'keys' ->> 'auth',
+               (s ->> 'expirationTime')::bigint
+        from employees e
+        cross join lateral jsonb_array_elements(
+            case when jsonb_typeof(e.push_subscriptions::jsonb) = 'array' then e.push_subscriptions::jsonb else '[]'::jsonb end
+        ) as s
+        where e.push_subscriptions is not null
+          and s ->> 'endpoint' is not null
+          and s -> 'keys' ->> 'p256dh' is not null
+          and s -> 'keys' ->> 'auth' is not null
+        on conflict (endpoint) do nothing;
+
+        alter table employees drop column push_subscriptions;
+    end if;
+end $$;
@@ -0,0 +1,86 @@
+-- Outbound notification queue. Broadcasts are recorded first and expanded into per-device
+-- push deliveries by the worker; each delivery is retried with backoff and dead-lettered
+-- after too many attempts.
+create table if not exists notification_broadcasts (
+    id bigint generated always as identity primary key,
+    category text not null default 'activities',
+    payload jsonb not null,
+    audience jsonb not null default '{}',
+    status text not null default 'queued'
+        check (status in ('queued', 'expanding', 'sending', 'completed', 'failed')),
+    recipient_count integer not null default 0,
+    push_total integer not null default 0,
+    sent integer not null default 0,
+    failed integer not null default 0,
+    pruned integer not null default 0,
+    error text,
+    created_by text references employees (empid) on delete set null,
+    created_at timestamptz not null default now(),
+    started_at timestamptz,
+    completed_at timestamptz
+);
+
+create index if not exists notification_broadcasts_status_idx on notification_broadcasts (status, created_at);
+
+create table if not exists notification_deliveries (
+    id bigint generated always as identity primary key,
+    broadcast_id bigint references notification_broadcasts (id) on delete cascade,
+    notification_id bigint references notifications (id) on delete set null,
+    empid text not null references employees (empid) on delete cascade,
+    subscription_id bigint references push_subscriptions (id) on delete set null,
+    channel text not null default 'push',
+    payload jsonb not null,
+    status text not null default 'pending'
+        check (status in ('pending', 'sending', 'sent', 'failed', 'pruned', 'dead')),
+    attempts integer not null default 0,
+    next_attempt_at timestamptz not null default now(),
+    locked_at timestamptz,
+    last_status_code integer,
+    last_error text,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists notification_deliveries_due_idx on notification_deliveries (next_attempt_at) where status = 'pending';
+create index if not exists notification_deliveries_broadcast_idx on notification_deliveries (broadcast_id, status);
+create index if not exists notification_deliveries_dead_idx on notification_deliveries (updated_at) where status = 'dead';
+
+-- Atomically claims up to batch_size due deliveries for one worker. Rows stuck in 'sending'
+-- (a worker died mid-batch) become claimable again after stale_seconds.
+create or replace function claim_notification_deliveries(batch_size integer, stale_seconds integer default 300)
+returns setof notification_deliveries
+language sql
+as $$
+    update notification_deliveries d
+    set status = 'sending', locked_at = now(), updated_at = now()
+    where d.id in (
+        select id from notification_deliveries
+        where (status = 'pending' and next_attempt_at <= now())
+           or (status = 'sending' and locked_at < now() - make_interval(secs => stale_seconds))
+        order by next_attempt_at
+        limit batch_size
+        for update skip locked
+    )
+    returning d.*;
+$$;
+
+-- Counts one finished delivery against its broadcast and completes the broadcast once
+-- every push delivery has an outcome.
+create or replace function record_broadcast_outcome(p_broadcast_id bigint, p_outcome text)
+returns void
+language sql
+as $$
+    update notification_broadcasts
+    set sent = sent + (p_outcome = 'sent')::int,
+        failed = failed + (p_outcome = 'failed')::int,
+        pruned = pruned + (p_outcome = 'pruned')::int,
+        status = case
+            when sent + failed + pruned + 1 >= push_total and status = 'sending' then 'completed'
+            else status
+        end,
+        completed_at = case
+            when sent + failed + pruned + 1 >= push_total and status = 'sending' then now()
+            else completed_at
+        end
+    where id = p_broadcast_id;
+$$;
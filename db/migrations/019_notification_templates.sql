@@ -0,0 +1,13 @@
+-- Admin overrides for the notification copy in services/notificationTemplateService.js,
+-- plus each user's preferred locale.
+create table if not exists notification_template_overrides (
+    event_key text not null,
+    locale text not null,
+    title text not null,
+    message text not null,
+    updated_by text references employees (empid) on delete set null,
+    updated_at timestamptz not null default now(),
+    primary key (event_key, locale)
+);
+
+alter table notification_preferences add column if not exists locale text;
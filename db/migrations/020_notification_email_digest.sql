@@ -0,0 +1,14 @@
+-- Email digest: each user's digest frequency plus a log of digests sent, so a period's
+-- digest goes out once even if several instances run the scheduler.
+alter table notification_preferences add column if not exists digest text
+    check (digest in ('off', 'daily', 'weekly'));
+
+create table if not exists notification_digests (
+    id bigint generated always as identity primary key,
+    empid text not null references employees (empid) on delete cascade,
+    frequency text not null check (frequency in ('daily', 'weekly')),
+    period_start text not null,
+    item_count integer not null default 0,
+    sent_at timestamptz not null default now(),
+    unique (empid, frequency, period_start)
+);
@@ -0,0 +1,16 @@
+-- Single-use tickets for opening the event stream. EventSource can't send an Authorization
+-- header, so the browser trades its access token for a short-lived ticket instead of putting
+-- the token in the URL. Only the SHA-256 hash of the ticket is stored.
+create table if not exists stream_tickets (
+    id bigint generated always as identity primary key,
+    token_hash text not null unique,
+    empid text not null references employees (empid) on delete cascade,
+    role_type text,
+    session_id uuid not null references auth_sessions (id) on delete cascade,
+    access_expires_at timestamptz,
+    created_at timestamptz not null default now(),
+    expires_at timestamptz not null,
+    used_at timestamptz
+);
+
+create index if not exists stream_tickets_expires_idx on stream_tickets (expires_at);
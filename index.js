@@ -4,6 +4,9 @@ import dotenv from 'dotenv';
 import employeeRoutes from './routes/employeeRoutes.js';
 import authRoutes from './routes/authRoutes.js';
 import projectRoutes from './routes/projectRoutes.js';
+import skillRoutes from './routes/skillRoutes.js';
+import notificationRoutes from './routes/notificationRoutes.js';
+import streamRoutes from './routes/streamRoutes.js';
 
 dotenv.config();
 
@@ -25,6 +28,12 @@ app.use(cors({
 
 app.use(express.json());
 
+// Behind the Vercel proxy: trust only the proxy hop(s) in front of us, so req.ip is the
+// client address and can't be spoofed with a forged X-Forwarded-For. TRUST_PROXY is a hop
+// count (default 1) or a comma-separated list of proxy addresses/subnets.
+const TRUST_PROXY = process.env.TRUST_PROXY || '1';
+app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? parseInt(TRUST_PROXY, 10) : TRUST_PROXY.split(',').map(s => s.trim()).filter(Boolean));
+
 
 
 // -----------------------------
@@ -40,12 +49,9 @@ app.get('/', (req, res) => {
 app.use('/api/employees', employeeRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/projects', projectRoutes);
-
-// -----------------------------
-// Notification Routes
-// -----------------------------
-import { subscribe } from './controllers/notificationController.js';
-app.post('/api/notifications/subscribe', subscribe);
+app.use('/api/skills', skillRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/stream', streamRoutes);
 
 // 404 Handler
 app.use((req, res) => {
@@ -66,22 +72,8 @@ app.listen(PORT, () =>
 import startScheduler from './scheduler.js';
 startScheduler();
 
-// TEST ROUTE TO CHECK SHEETDB CONNECTION
-app.get("/test-db", async (req, res) => {
-    try {
-        const response = await sheetDB.get("/");
-        res.json({
-            success: true,
-            rows: response.data.length,
-            sample: response.data[0]
-        });
-    } catch (err) {
-        console.error("DB Test Error →", err.message);
-        res.status(500).json({
-            success: false,
-            error: err.message
-        });
-    }
-});
+// Start Notification Queue Worker
+import { startNotificationWorker } from './services/notificationQueueService.js';
+startNotificationWorker();
 
 export default app;
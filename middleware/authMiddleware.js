@@ -0,0 +1,67 @@
+import { verifyAccessToken } from "../utils/tokens.js";
+import { isSessionActive } from "../services/sessionService.js";
+import { redeemStreamTicket } from "../services/streamTicketService.js";
+
+const bearerToken = (req) => {
+  const [scheme, token] = (req.headers.authorization || "").split(" ");
+  return scheme === "Bearer" && token ? token : null;
+};
+
+// ---------------------------
+// REQUIRE AUTH
+// ---------------------------
+// Exposes the verified claims as req.user once their session is known to be live
+const attachUser = async (claims, req, res, next) => {
+  try {
+    const active = await isSessionActive(claims.sessionId, claims.empid);
+    if (!active)
+      return res.status(401).json({ error: "Session has been revoked", code: "SESSION_REVOKED" });
+  } catch (err) {
+    console.error("Session lookup error →", err);
+    return res.status(500).json({ error: "Failed to verify session" });
+  }
+
+  req.user = claims;
+  next();
+};
+
+// Verifies the Bearer access token and exposes the caller as req.user.
+// Controllers must take the caller's identity from req.user, never from the body.
+export const requireAuth = async (req, res, next) => {
+  const token = bearerToken(req);
+
+  if (!token)
+    return res.status(401).json({ error: "Authentication required" });
+
+  let claims;
+  try {
+    claims = verifyAccessToken(token);
+  } catch (err) {
+    const expired = err.name === "TokenExpiredError";
+    return res.status(401).json({
+      error: expired ? "Access token expired" : "Invalid access token",
+      code: expired ? "TOKEN_EXPIRED" : "TOKEN_INVALID"
+    });
+  }
+
+  return attachUser(claims, req, res, next);
+};
+
+// EventSource can't set headers, so browsers open streams with a single-use ?ticket= from
+// POST /api/stream/ticket instead; a Bearer header still works for other clients
+export const requireStreamAuth = async (req, res, next) => {
+  if (bearerToken(req) || typeof req.query.ticket !== "string") return requireAuth(req, res, next);
+
+  let claims;
+  try {
+    claims = await redeemStreamTicket(req.query.ticket);
+  } catch (err) {
+    console.error("Stream ticket lookup error →", err);
+    return res.status(500).json({ error: "Failed to verify stream ticket" });
+  }
+
+  if (!claims)
+    return res.status(401).json({ error: "Invalid or expired stream ticket", code: "TICKET_INVALID" });
+
+  return attachUser(claims, req, res, next);
+};
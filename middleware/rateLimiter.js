@@ -0,0 +1,45 @@
+// ---------------------------
+// RATE LIMITER (in-memory, fixed window)
+// ---------------------------
+// Counts are per process, which is enough to slow down scripted abuse of a
+// single instance. `keyGenerator` decides what is limited (IP, email, ...);
+// returning a falsy key skips the limiter for that request.
+export const rateLimit = ({ windowMs, max, keyGenerator, message = "Too many requests, please try again later" }) => {
+  const hits = new Map();
+
+  // Drop expired windows so the map does not grow without bound
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key);
+    }
+  }, windowMs);
+  sweep.unref();
+
+  return (req, res, next) => {
+    const key = keyGenerator(req);
+    if (!key) return next();
+
+    const now = Date.now();
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+
+    entry.count++;
+    if (entry.count > max) {
+      res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+      return res.status(429).json({ error: message, code: "RATE_LIMITED" });
+    }
+
+    next();
+  };
+};
+
+export const byIp = (prefix) => (req) => `${prefix}:ip:${req.ip}`;
+
+export const byBodyField = (prefix, field) => (req) => {
+  const value = req.body && req.body[field];
+  return value ? `${prefix}:${field}:${String(value).trim().toLowerCase()}` : null;
+};
@@ -0,0 +1,30 @@
+import { can } from "../utils/permissions.js";
+
+// ---------------------------
+// FORBIDDEN RESPONSE
+// ---------------------------
+// Every authorization denial uses this payload shape.
+export const forbidden = (res, permission, message = "You do not have permission to perform this action") =>
+  res.status(403).json({ error: message, code: "FORBIDDEN", permission });
+
+// ---------------------------
+// AUTHORIZE
+// ---------------------------
+// Route-level policy check. Use `selfParam` when the route targets an
+// employee by URL param, so callers can act on their own record:
+//   router.put('/:empid', authorize('employees:update', { selfParam: 'empid' }), updateEmployee)
+// Record ownership that needs a DB lookup (e.g. project creator) is checked
+// in the controller with can(..., { isOwner }).
+export const authorize = (permission, { selfParam } = {}) => (req, res, next) => {
+  if (!req.user)
+    return res.status(401).json({ error: "Authentication required" });
+
+  const isOwner = selfParam ? String(req.params[selfParam]) === String(req.user.empid) : false;
+
+  // Defer ownership-based decisions to the controller when no selfParam is given
+  const deferToController = !selfParam && !can(req.user, permission) && can(req.user, permission, { isOwner: true });
+
+  if (can(req.user, permission, { isOwner }) || deferToController) return next();
+
+  return forbidden(res, permission);
+};
@@ -1,10 +1,48 @@
 import express from 'express';
-import { loginUser, signupUser, updatePassword } from '../controllers/authController.js';
+import { loginUser, signupUser, updatePassword, refreshSession, logoutUser, forgotPassword, resetPassword, unlockAccount,
+    verifyEmail, resendVerification, createInvite, getInvite,
+    getMySessions, revokeMySession, revokeOtherSessions, getAuditEvents } from '../controllers/authController.js';
+import { requireAuth } from '../middleware/authMiddleware.js';
+import { authorize } from '../middleware/rbacMiddleware.js';
+import { rateLimit, byIp, byBodyField } from '../middleware/rateLimiter.js';
 
 const router = express.Router();
 
+// Password reset rate limits (per IP and per email / token)
+const RESET_WINDOW_MS = (parseInt(process.env.RESET_RATE_LIMIT_WINDOW_MINUTES, 10) || 15) * 60 * 1000;
+const RESET_MAX = parseInt(process.env.RESET_RATE_LIMIT_MAX, 10) || 5;
+
+const forgotLimits = [
+    rateLimit({ windowMs: RESET_WINDOW_MS, max: RESET_MAX * 2, keyGenerator: byIp('forgot') }),
+    rateLimit({ windowMs: RESET_WINDOW_MS, max: RESET_MAX, keyGenerator: byBodyField('forgot', 'email') })
+];
+const verificationLimits = [
+    rateLimit({ windowMs: RESET_WINDOW_MS, max: RESET_MAX * 2, keyGenerator: byIp('verify') }),
+    rateLimit({ windowMs: RESET_WINDOW_MS, max: RESET_MAX, keyGenerator: byBodyField('verify', 'email') })
+];
+const resetLimits = [
+    rateLimit({ windowMs: RESET_WINDOW_MS, max: RESET_MAX * 2, keyGenerator: byIp('reset') }),
+    rateLimit({ windowMs: RESET_WINDOW_MS, max: RESET_MAX, keyGenerator: byBodyField('reset', 'token') })
+];
+
 router.post('/login', loginUser);
 router.post('/signup', signupUser);
-router.post('/update-password', updatePassword);
+router.post('/update-password', requireAuth, updatePassword);
+router.post('/refresh', refreshSession);
+router.post('/logout', logoutUser);
+router.post('/forgot-password', ...forgotLimits, forgotPassword);
+router.post('/reset-password', ...resetLimits, resetPassword);
+router.post('/verify-email', verificationLimits[0], verifyEmail);
+router.post('/resend-verification', ...verificationLimits, resendVerification);
+router.post('/invites', requireAuth, authorize('employees:invite'), createInvite);
+router.get('/invites/:token', getInvite);
+router.post('/unlock/:empid', requireAuth, authorize('accounts:unlock'), unlockAccount);
+
+// Active sessions / devices for the caller
+router.get('/sessions', requireAuth, getMySessions);
+router.delete('/sessions', requireAuth, revokeOtherSessions);
+router.delete('/sessions/:id', requireAuth, revokeMySession);
+
+router.get('/audit', requireAuth, authorize('audit:read'), getAuditEvents);
 
 export default router;
\ No newline at end of file
@@ -1,13 +1,27 @@
 import express from 'express';
 import { getAllEmployees, getEmployeeById, updateEmployee, updateEmployeeStars, getDashboardMetrics } from '../controllers/employeeController.js';
+import { getEmployeeSkillProfile, updateEmployeeSkillProfile } from '../controllers/skillController.js';
+import { getEmployeeProjectMatches } from '../controllers/matchController.js';
+import { getEmployeeApplications } from '../controllers/applicationController.js';
+import { getEmployeeAllocations } from '../controllers/memberController.js';
+import { requireAuth } from '../middleware/authMiddleware.js';
+import { authorize } from '../middleware/rbacMiddleware.js';
 
 const router = express.Router();
 
-router.get('/dashboard-metrics', getDashboardMetrics);
-router.get('/', getAllEmployees);
-router.get('/:empid', getEmployeeById);
-router.put('/:empid', updateEmployee);
-router.patch('/:empid', updateEmployee);
-router.patch('/:empid/stars', updateEmployeeStars);
+// All routes below require a valid access token
+router.use(requireAuth);
+
+router.get('/dashboard-metrics', authorize('dashboard:read'), getDashboardMetrics);
+router.get('/', authorize('employees:read'), getAllEmployees);
+router.get('/:empid', authorize('employees:read'), getEmployeeById);
+router.put('/:empid', authorize('employees:update', { selfParam: 'empid' }), updateEmployee);
+router.patch('/:empid', authorize('employees:update', { selfParam: 'empid' }), updateEmployee);
+router.patch('/:empid/stars', authorize('employees:stars'), updateEmployeeStars);
+router.get('/:empid/skills', authorize('employees:read'), getEmployeeSkillProfile);
+router.put('/:empid/skills', authorize('employees:update', { selfParam: 'empid' }), updateEmployeeSkillProfile);
+router.get('/:empid/applications', authorize('applications:read', { selfParam: 'empid' }), getEmployeeApplications);
+router.get('/:empid/allocations', authorize('allocations:read', { selfParam: 'empid' }), getEmployeeAllocations);
+router.get('/:empid/project-matches', authorize('employees:matches', { selfParam: 'empid' }), getEmployeeProjectMatches);
 
 export default router; // ✅ ES Module export
@@ -0,0 +1,49 @@
+import express from 'express';
+import {
+    subscribe,
+    unsubscribe,
+    getSubscriptions,
+    getNotifications,
+    getUnreadCount,
+    markNotificationRead,
+    markAllNotificationsRead,
+    deleteNotification,
+    getNotificationPreferences,
+    updateNotificationPreferences,
+    getBroadcasts,
+    getBroadcast,
+    getDeadLetters,
+    previewBroadcast,
+    sendBroadcast,
+    getTemplates,
+    updateTemplate,
+    resetTemplate
+} from '../controllers/notificationController.js';
+import { requireAuth } from '../middleware/authMiddleware.js';
+import { authorize } from '../middleware/rbacMiddleware.js';
+
+const router = express.Router();
+
+// All routes below require a valid access token
+router.use(requireAuth);
+
+router.post('/subscribe', authorize('notifications:subscribe'), subscribe);
+router.delete('/subscribe', authorize('notifications:subscribe'), unsubscribe);
+router.get('/subscriptions', authorize('notifications:subscribe'), getSubscriptions);
+router.get('/preferences', authorize('notifications:read'), getNotificationPreferences);
+router.put('/preferences', authorize('notifications:read'), updateNotificationPreferences);
+router.post('/broadcast/preview', authorize('notifications:send'), previewBroadcast);
+router.post('/broadcast', authorize('notifications:send'), sendBroadcast);
+router.get('/broadcasts', authorize('notifications:broadcasts'), getBroadcasts);
+router.get('/broadcasts/:id', authorize('notifications:broadcasts'), getBroadcast);
+router.get('/dead-letters', authorize('notifications:dead-letters'), getDeadLetters);
+router.get('/templates', authorize('notifications:templates'), getTemplates);
+router.put('/templates/:key/:locale', authorize('notifications:templates'), updateTemplate);
+router.delete('/templates/:key/:locale', authorize('notifications:templates'), resetTemplate);
+router.get('/', authorize('notifications:read'), getNotifications);
+router.get('/unread-count', authorize('notifications:read'), getUnreadCount);
+router.post('/read-all', authorize('notifications:read'), markAllNotificationsRead);
+router.patch('/:id/read', authorize('notifications:read'), markNotificationRead);
+router.delete('/:id', authorize('notifications:read'), deleteNotification);
+
+export default router;
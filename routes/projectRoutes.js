@@ -1,14 +1,38 @@
 import express from 'express';
-import { getProjects, createProject, updateProjectStatus, deleteProject, updateProject } from '../controllers/projectController.js';
+import { getProjects, createProject, updateProjectStatus, deleteProject, updateProject, getProjectHistory, restoreProject } from '../controllers/projectController.js';
+import { getProjectMatches } from '../controllers/matchController.js';
+import { applyToProject, withdrawApplication, getProjectApplications, reviewApplication } from '../controllers/applicationController.js';
+import { getProjectMembers, addMember, updateMember, removeMember } from '../controllers/memberController.js';
+import { getProjectComments, createComment, updateComment, deleteComment } from '../controllers/commentController.js';
+import { requireAuth } from '../middleware/authMiddleware.js';
+import { authorize } from '../middleware/rbacMiddleware.js';
 
 const router = express.Router();
 
+// All routes below require a valid access token
+router.use(requireAuth);
+
 console.log("Project Routes Loaded");
 
-router.get('/', getProjects);
-router.post('/', createProject);
-router.patch('/:id/status', updateProjectStatus);
-router.patch('/:id', updateProject);
-router.delete('/:id', deleteProject);
+router.get('/', authorize('projects:read'), getProjects);
+router.post('/', authorize('projects:create'), createProject);
+router.get('/:id/matches', authorize('projects:matches'), getProjectMatches);
+router.post('/:id/applications', authorize('applications:create'), applyToProject);
+router.delete('/:id/applications/me', authorize('applications:create'), withdrawApplication);
+router.get('/:id/applications', authorize('applications:review'), getProjectApplications);
+router.patch('/:id/applications/:applicationId', authorize('applications:review'), reviewApplication);
+router.get('/:id/members', authorize('projects:read'), getProjectMembers);
+router.post('/:id/members', authorize('projects:staff'), addMember);
+router.patch('/:id/members/:empid', authorize('projects:staff'), updateMember);
+router.delete('/:id/members/:empid', authorize('projects:staff'), removeMember);
+router.get('/:id/comments', authorize('comments:read'), getProjectComments);
+router.post('/:id/comments', authorize('comments:create'), createComment);
+router.patch('/:id/comments/:commentId', authorize('comments:update'), updateComment);
+router.delete('/:id/comments/:commentId', authorize('comments:delete'), deleteComment);
+router.get('/:id/history', authorize('projects:read'), getProjectHistory);
+router.patch('/:id/status', authorize('projects:update'), updateProjectStatus);
+router.patch('/:id', authorize('projects:update'), updateProject);
+router.delete('/:id', authorize('projects:delete'), deleteProject);
+router.post('/:id/restore', authorize('projects:restore'), restoreProject);
 
 export default router;
@@ -0,0 +1,18 @@
+import express from 'express';
+import { getSkills, createSkill, updateSkill, deleteSkill, addSkillAlias, removeSkillAlias } from '../controllers/skillController.js';
+import { requireAuth } from '../middleware/authMiddleware.js';
+import { authorize } from '../middleware/rbacMiddleware.js';
+
+const router = express.Router();
+
+// All routes below require a valid access token
+router.use(requireAuth);
+
+router.get('/', authorize('skills:read'), getSkills);
+router.post('/', authorize('skills:manage'), createSkill);
+router.patch('/:id', authorize('skills:manage'), updateSkill);
+router.delete('/:id', authorize('skills:delete'), deleteSkill);
+router.post('/:id/aliases', authorize('skills:manage'), addSkillAlias);
+router.delete('/:id/aliases/:alias', authorize('skills:manage'), removeSkillAlias);
+
+export default router;
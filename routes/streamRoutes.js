@@ -0,0 +1,13 @@
+import express from 'express';
+import { openStream, createStreamTicket } from '../controllers/streamController.js';
+import { requireAuth, requireStreamAuth } from '../middleware/authMiddleware.js';
+import { authorize } from '../middleware/rbacMiddleware.js';
+
+const router = express.Router();
+
+// EventSource can't send an Authorization header: browsers get a single-use ticket first
+// and open the stream with ?ticket=
+router.post('/ticket', requireAuth, authorize('stream:read'), createStreamTicket);
+router.get('/', requireStreamAuth, authorize('stream:read'), openStream);
+
+export default router;
@@ -1,6 +1,10 @@
 import cron from 'node-cron';
 import supabase from './db/supabaseClient.js';
 import { sendNotificationToUser } from './controllers/notificationController.js';
+import { purgeArchivedProjects, PROJECT_RETENTION_DAYS } from './services/projectArchiveService.js';
+import { sendDeadlineReminders, expireOverdueProjects, sendManagerSummaries } from './services/projectDeadlineService.js';
+import { notifyStatusChange } from './controllers/projectController.js';
+import { sendDigests, STALE_PROFILE_DAYS } from './services/notificationEmailService.js';
 
 const startScheduler = () => {
     console.log("Starting Inactivity Scheduler...");
@@ -10,7 +14,7 @@ const startScheduler = () => {
         console.log("Running Inactivity Check...");
         try {
             const fifteenDaysAgo = new Date();
-            fifteenDaysAgo.setDate(fifteenDaysAgo.getDate() - 15);
+            fifteenDaysAgo.setDate(fifteenDaysAgo.getDate() - STALE_PROFILE_DAYS);
             const cutoff = fifteenDaysAgo.toISOString();
 
             // Fetch users with:
@@ -43,9 +47,8 @@ const startScheduler = () => {
                 if (lastLogin < cutoffDate && lastUpdate < cutoffDate) {
                     // Send Notification
                     sendNotificationToUser(emp.empid, {
-                        title: "Update Your Details",
-                        message: "It's been 15 days! Please update your Skills and Availability in the Details screen.",
-                        url: "/details",
+                        template: 'profile.stale_reminder',
+                        params: { days: STALE_PROFILE_DAYS },
                         icon: '/Logo/MainLogo.png',
                         image: '/Logo/MainLogo.png'
                     });
@@ -58,6 +61,80 @@ const startScheduler = () => {
             console.error("Scheduler Error:", err);
         }
     });
+
+    // Run every day at 2:00 AM: drop projects archived longer than the retention window
+    cron.schedule('0 2 * * *', async () => {
+        console.log("Running Archived Project Purge...");
+        try {
+            const purged = await purgeArchivedProjects();
+            console.log(`Archived Project Purge Complete. Removed ${purged} projects older than ${PROJECT_RETENTION_DAYS} days.`);
+        } catch (err) {
+            console.error("Purge Scheduler Error:", err);
+        }
+    });
+
+    // Run every day at 12:05 AM: expire live projects whose end date has passed
+    cron.schedule('5 0 * * *', async () => {
+        console.log("Running Overdue Project Check...");
+        try {
+            const expired = await expireOverdueProjects(async (project) => {
+                notifyStatusChange(project, project.status);
+                if (project.empid) {
+                    sendNotificationToUser(project.empid, {
+                        template: 'project.expired_owner',
+                        params: { project: project.project_name }
+                    });
+                }
+            });
+            console.log(`Overdue Project Check Complete. Expired ${expired} projects.`);
+        } catch (err) {
+            console.error("Overdue Scheduler Error:", err);
+        }
+    });
+
+    // Run every day at 9:00 AM: deadline reminders to creators and members
+    cron.schedule('0 9 * * *', async () => {
+        console.log("Running Deadline Reminders...");
+        try {
+            const reminded = await sendDeadlineReminders(sendNotificationToUser);
+            console.log(`Deadline Reminders Complete. Reminded ${reminded} projects.`);
+        } catch (err) {
+            console.error("Reminder Scheduler Error:", err);
+        }
+    });
+
+    // Run every Monday at 9:30 AM: open-activity summary for managers
+    cron.schedule('30 9 * * 1', async () => {
+        console.log("Running Weekly Manager Summary...");
+        try {
+            const sent = await sendManagerSummaries(sendNotificationToUser);
+            console.log(`Weekly Manager Summary Complete. Sent ${sent} summaries.`);
+        } catch (err) {
+            console.error("Summary Scheduler Error:", err);
+        }
+    });
+
+    // Run every day at 8:00 AM: daily email digests
+    cron.schedule('0 8 * * *', async () => {
+        console.log("Running Daily Digest...");
+        try {
+            const sent = await sendDigests('daily');
+            console.log(`Daily Digest Complete. Sent ${sent} emails.`);
+        } catch (err) {
+            console.error("Daily Digest Scheduler Error:", err);
+        }
+    });
+
+    // Run every Monday at 8:00 AM: weekly email digests
+    cron.schedule('0 8 * * 1', async () => {
+        console.log("Running Weekly Digest...");
+        try {
+            const sent = await sendDigests('weekly');
+            console.log(`Weekly Digest Complete. Sent ${sent} emails.`);
+        } catch (err) {
+            console.error("Weekly Digest Scheduler Error:", err);
+        }
+    });
 };
 
 export default startScheduler;
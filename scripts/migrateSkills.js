@@ -0,0 +1,173 @@
+// One-off migration: map the free-text skill lists onto the skills catalog.
+//
+//   node scripts/migrateSkills.js            # apply
+//   node scripts/migrateSkills.js --dry-run  # report only
+//   node scripts/migrateSkills.js --strict   # don't create catalog entries for unknown skills
+//
+// 1. Seeds the catalog from db/seeds/skills.json (existing entries are left alone).
+// 2. Maps employees.current_skills -> employee_skills, employees.interests -> employee_interests
+//    and projects.required_skills -> project_skills.
+// 3. Rewrites those columns with the canonical names.
+import fs from "fs";
+import supabase from "../db/supabaseClient.js";
+import { safeJsonParse } from "../utils/listFields.js";
+import { normalizeSkillKey, loadSkillIndex, resolveSkills, DEFAULT_PROFICIENCY } from "../services/skillService.js";
+
+const DRY_RUN = process.argv.includes("--dry-run");
+const STRICT = process.argv.includes("--strict");
+
+const seed = JSON.parse(fs.readFileSync(new URL("../db/seeds/skills.json", import.meta.url), "utf8"));
+
+const stats = { seeded: 0, created: 0, employees: 0, employeeSkills: 0, interests: 0, projects: 0, projectSkills: 0 };
+const unknown = new Map(); // normalized -> original spelling
+
+const seedCatalog = async () => {
+  const index = await loadSkillIndex();
+
+  for (const entry of seed) {
+    if (index.has(normalizeSkillKey(entry.name))) continue;
+    stats.seeded++;
+    if (DRY_RUN) continue;
+
+    const { data: skill, error } = await supabase
+      .from('skills')
+      .insert([{ name: entry.name, category: entry.category || null }])
+      .select('id')
+      .single();
+
+    if (error) throw error;
+
+    const aliases = entry.aliases
+      .map(normalizeSkillKey)
+      .filter((a) => a && !index.has(a) && a !== normalizeSkillKey(entry.name));
+
+    if (aliases.length > 0) {
+      const { error: aliasError } = await supabase
+        .from('skill_aliases')
+        .upsert(aliases.map((alias) => ({ alias, skill_id: skill.id })), { onConflict: 'alias', ignoreDuplicates: true });
+      if (aliasError) throw aliasError;
+    }
+  }
+};
+
+// Title-case the first spelling seen and add it to the catalog
+const createMissingSkills = async (names) => {
+  for (const name of names) {
+    stats.created++;
+    if (DRY_RUN) continue;
+
+    // 23505: a differently-cased spelling already exists
+    const { error } = await supabase.from('skills').insert([{ name }]);
+    if (error && error.code !== "23505") throw error;
+  }
+};
+
+const collectUnknown = async (lists) => {
+  const index = await loadSkillIndex();
+  for (const list of lists) {
+    const { unmatched } = await resolveSkills(list, { index });
+    unmatched.forEach((u) => {
+      const key = normalizeSkillKey(u);
+      if (!unknown.has(key)) unknown.set(key, u.replace(/\b\w/g, (c) => c.toUpperCase()));
+    });
+  }
+};
+
+const migrateEmployees = async (employees, index) => {
+  for (const emp of employees) {
+    const skills = await resolveSkills(safeJsonParse(emp.current_skills), { index });
+    const interests = await resolveSkills(safeJsonParse(emp.interests), { index });
+
+    stats.employees++;
+    stats.employeeSkills += skills.matched.length;
+    stats.interests += interests.matched.length;
+    if (DRY_RUN) continue;
+
+    if (skills.matched.length > 0) {
+      const { error } = await supabase
+        .from('employee_skills')
+        .upsert(skills.matched.map(({ skill }) => ({
+          empid: emp.empid,
+          skill_id: skill.id,
+          proficiency: DEFAULT_PROFICIENCY
+        })), { onConflict: 'empid,skill_id', ignoreDuplicates: true });
+      if (error) throw error;
+    }
+
+    if (interests.matched.length > 0) {
+      const { error } = await supabase
+        .from('employee_interests')
+        .upsert(interests.matched.map(({ skill }) => ({ empid: emp.empid, skill_id: skill.id })), { onConflict: 'empid,skill_id', ignoreDuplicates: true });
+      if (error) throw error;
+    }
+
+    const { error } = await supabase
+      .from('employees')
+      .update({
+        current_skills: JSON.stringify([...skills.matched.map(({ skill }) => skill.name), ...skills.unmatched]),
+        interests: JSON.stringify([...interests.matched.map(({ skill }) => skill.name), ...interests.unmatched])
+      })
+      .eq('empid', emp.empid);
+    if (error) throw error;
+  }
+};
+
+const migrateProjects = async (projects, index) => {
+  for (const project of projects) {
+    const { matched, unmatched } = await resolveSkills(safeJsonParse(project.required_skills), { index });
+
+    stats.projects++;
+    stats.projectSkills += matched.length;
+    if (DRY_RUN) continue;
+
+    if (matched.length > 0) {
+      const { error } = await supabase
+        .from('project_skills')
+        .upsert(matched.map(({ skill }) => ({ project_id: project.id, skill_id: skill.id })), { onConflict: 'project_id,skill_id', ignoreDuplicates: true });
+      if (error) throw error;
+    }
+
+    const { error } = await supabase
+      .from('projects')
+      .update({ required_skills: [...matched.map(({ skill }) => skill.name), ...unmatched] })
+      .eq('id', project.id);
+    if (error) throw error;
+  }
+};
+
+const run = async () => {
+  console.log(`Skills migration${DRY_RUN ? " (dry run)" : ""}${STRICT ? " (strict)" : ""}`);
+
+  await seedCatalog();
+
+  const { data: employees, error: empError } = await supabase
+    .from('employees')
+    .select('empid, current_skills, interests');
+  if (empError) throw empError;
+
+  const { data: projects, error: projError } = await supabase
+    .from('projects')
+    .select('id, required_skills');
+  if (projError) throw projError;
+
+  await collectUnknown([
+    ...employees.flatMap((e) => [safeJsonParse(e.current_skills), safeJsonParse(e.interests)]),
+    ...projects.map((p) => safeJsonParse(p.required_skills))
+  ]);
+
+  if (!STRICT) await createMissingSkills([...unknown.values()]);
+
+  const index = await loadSkillIndex();
+  await migrateEmployees(employees, index);
+  await migrateProjects(projects, index);
+
+  console.log("Done:", stats);
+  if (unknown.size > 0) {
+    console.log(`${STRICT ? "Left unmapped" : "Added to catalog"} (${unknown.size}):`, [...unknown.values()].join(", "));
+  }
+};
+
+run().catch((err) => {
+  console.error("Skills migration failed →", err);
+  process.exit(1);
+});
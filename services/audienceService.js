@@ -0,0 +1,134 @@
+import supabase from "../db/supabaseClient.js";
+import { safeJsonParse } from "../utils/listFields.js";
+import { ROLE_TYPE_FILTERS, resolveRole } from "../utils/permissions.js";
+import { escapeLike, quoteFilterValue } from "../utils/queryHelpers.js";
+import { normalizeSkillKey, resolveSkills } from "./skillService.js";
+
+// ---------------------------
+// MODEL
+// ---------------------------
+// An audience describes who receives a broadcast:
+//   { all, empids, cluster, role, role_type, availability, skills, exclude }
+// Every criterion given must match (AND); a list matches any of its values (OR).
+// `cluster` matches either cluster or cluster2, `skills` matches anyone holding at least
+// one of the skills (catalog skill or free-text entry), `exclude` drops empids at the end.
+// `{ all: true }` with no other criteria targets every employee.
+const LIST_CRITERIA = ["empids", "cluster", "role", "role_type", "availability", "skills", "exclude"];
+const MAX_LIST_LENGTH = 1000;
+const PAGE_SIZE = 1000;
+
+// "a, b" | ["a", "b"] -> ["a", "b"]
+const toList = (value) =>
+  [...new Set((Array.isArray(value) ? value : String(value ?? "").split(","))
+    .map((v) => String(v ?? "").trim())
+    .filter(Boolean))];
+
+// Validates an audience from a request body. Returns { audience } or { error }
+export const parseAudience = (input) => {
+  if (!input || typeof input !== "object" || Array.isArray(input))
+    return { error: "audience must be an object" };
+
+  const unknown = Object.keys(input).filter((k) => k !== "all" && !LIST_CRITERIA.includes(k));
+  if (unknown.length > 0)
+    return { error: `Unknown audience field "${unknown[0]}". Use: all, ${LIST_CRITERIA.join(", ")}` };
+
+  const audience = {};
+  for (const key of LIST_CRITERIA) {
+    if (input[key] === undefined || input[key] === null) continue;
+    const list = toList(input[key]);
+    if (list.length > MAX_LIST_LENGTH) return { error: `audience.${key} is limited to ${MAX_LIST_LENGTH} entries` };
+    if (list.length > 0) audience[key] = key === "role_type" ? [...new Set(list.map(resolveRole))] : list;
+  }
+
+  const targeted = LIST_CRITERIA.some((k) => k !== "exclude" && audience[k]);
+  if (input.all === true && targeted) return { error: "audience.all can't be combined with other criteria" };
+  if (input.all === true) audience.all = true;
+  else if (!targeted) return { error: "audience needs at least one criterion, or { \"all\": true }" };
+
+  return { audience };
+};
+
+// ---------------------------
+// RESOLVE
+// ---------------------------
+// Employees holding any of the named skills: catalog skills through employee_skills, and
+// names not in the catalog against the legacy current_skills text
+const skillMatcher = async (names) => {
+  const { matched, unmatched } = await resolveSkills(names);
+  const holders = new Set();
+
+  if (matched.length > 0) {
+    const { data, error } = await supabase
+      .from('employee_skills')
+      .select('empid')
+      .in('skill_id', matched.map(({ skill }) => skill.id));
+
+    if (error) throw error;
+    (data || []).forEach((row) => holders.add(String(row.empid)));
+  }
+
+  // Catalog names are checked against the free text too, for profiles not migrated yet
+  const textKeys = new Set([...unmatched, ...matched.map(({ skill }) => skill.name)].map(normalizeSkillKey));
+
+  return (emp) => holders.has(String(emp.empid)) ||
+    safeJsonParse(emp.current_skills).some((s) => textKeys.has(normalizeSkillKey(typeof s === "string" ? s : s?.name || "")));
+};
+
+// Case-insensitive exact match of `column` against any of `values`, as or() conditions
+const ilikeAny = (column, values) =>
+  values.map((v) => `${column}.ilike.${quoteFilterValue(escapeLike(v))}`);
+
+// Everything but skills is filtered by the database; skills need the catalog lookup
+export const audienceFilters = (query, audience) => {
+  if (audience.empids) query = query.in('empid', audience.empids);
+  if (audience.exclude) query = query.not('empid', 'in', `(${audience.exclude.map(quoteFilterValue).join(',')})`);
+
+  const orGroups = [];
+  if (audience.cluster) orGroups.push([...ilikeAny('cluster', audience.cluster), ...ilikeAny('cluster2', audience.cluster)]);
+  if (audience.role) orGroups.push(ilikeAny('role', audience.role));
+  if (audience.role_type)
+    orGroups.push([...new Set(toList(audience.role_type).map(resolveRole))].flatMap((r) => ROLE_TYPE_FILTERS[r]));
+  if (audience.availability) orGroups.push(ilikeAny('availability', audience.availability));
+
+  if (orGroups.length === 1) query = query.or(orGroups[0].join(','));
+  if (orGroups.length > 1) query = query.or(`and(${orGroups.map((g) => `or(${g.join(',')})`).join(',')})`);
+  return query;
+};
+
+// Resolves to the matching employees ([{ empid, role_type }]). Audiences stored before
+// targeting existed ({ role_type: "IC" }) resolve the same way.
+export const resolveAudience = async (audience = {}) => {
+  const employees = [];
+  const columns = audience.skills ? 'empid, role_type, current_skills' : 'empid, role_type';
+
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const query = supabase
+      .from('employees')
+      .select(columns)
+      .order('empid', { ascending: true })
+      .range(offset, offset + PAGE_SIZE - 1);
+
+    const { data, error } = await audienceFilters(query, audience);
+    if (error) throw error;
+
+    employees.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+
+  const hasSkill = audience.skills ? await skillMatcher(audience.skills) : null;
+
+  return employees
+    .filter((emp) => !hasSkill || hasSkill(emp))
+    .map(({ empid, role_type }) => ({ empid, role_type }));
+};
+
+export const countAudience = async (audience = {}) => {
+  if (audience.skills) return (await resolveAudience(audience)).length;
+
+  const { count, error } = await audienceFilters(
+    supabase.from('employees').select('empid', { count: 'exact', head: true }),
+    audience
+  );
+  if (error) throw error;
+  return count || 0;
+};
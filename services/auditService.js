@@ -0,0 +1,69 @@
+import supabase from "../db/supabaseClient.js";
+
+// ---------------------------
+// EVENT TYPES
+// ---------------------------
+export const AUDIT_EVENTS = Object.freeze({
+  LOGIN_SUCCESS: "login_success",
+  LOGIN_FAILED: "login_failed",
+  LOGIN_BLOCKED: "login_blocked",
+  ACCOUNT_LOCKED: "account_locked",
+  ACCOUNT_UNLOCKED: "account_unlocked",
+  LOGOUT: "logout",
+  TOKEN_REFRESHED: "token_refreshed",
+  TOKEN_REUSE_DETECTED: "token_reuse_detected",
+  SESSION_REVOKED: "session_revoked",
+  PASSWORD_CHANGED: "password_changed",
+  PASSWORD_RESET_REQUESTED: "password_reset_requested",
+  PASSWORD_RESET: "password_reset",
+  EMAIL_VERIFIED: "email_verified",
+});
+
+// ---------------------------
+// RECORD EVENT (Internal)
+// ---------------------------
+// Never throws: a failed audit write is logged but must not break the auth flow.
+export const recordAuthEvent = async (req, eventType, { empid, email, sessionId, metadata } = {}) => {
+  try {
+    const { error } = await supabase
+      .from('auth_audit_events')
+      .insert([
+        {
+          event_type: eventType,
+          empid: empid || null,
+          email: email ? String(email).trim().toLowerCase() : null,
+          session_id: sessionId || null,
+          ip: req ? req.ip : null,
+          user_agent: req ? req.get('user-agent') || null : null,
+          metadata: metadata || {}
+        }
+      ]);
+
+    if (error) throw error;
+  } catch (err) {
+    console.error(`Audit write failed (${eventType}) →`, err.message || err);
+  }
+};
+
+// ---------------------------
+// QUERY EVENTS
+// ---------------------------
+export const queryAuthEvents = async ({ empid, eventType, from, to, page = 1, limit = 50 }) => {
+  const offset = (page - 1) * limit;
+
+  let query = supabase
+    .from('auth_audit_events')
+    .select('*', { count: 'exact' })
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (empid) query = query.eq('empid', empid);
+  if (eventType) query = query.eq('event_type', eventType);
+  if (from) query = query.gte('created_at', from);
+  if (to) query = query.lte('created_at', to);
+
+  const { data, error, count } = await query;
+  if (error) throw error;
+
+  return { events: data || [], total: count || 0 };
+};
@@ -0,0 +1,120 @@
+import supabase from "../db/supabaseClient.js";
+
+// ---------------------------
+// CONFIG
+// ---------------------------
+const int = (value, fallback) => {
+  const n = parseInt(value, 10);
+  return Number.isNaN(n) ? fallback : n;
+};
+
+const config = {
+  // failures tolerated before backoff kicks in
+  freeAttempts: int(process.env.LOGIN_FREE_ATTEMPTS, 3),
+  // backoff delay = base * 2^(failures - freeAttempts), capped at max
+  backoffBaseSeconds: int(process.env.LOGIN_BACKOFF_BASE_SECONDS, 1),
+  backoffMaxSeconds: int(process.env.LOGIN_BACKOFF_MAX_SECONDS, 300),
+  // account (email) lockout
+  maxFailures: int(process.env.LOGIN_MAX_FAILURES, 5),
+  lockoutMinutes: int(process.env.LOGIN_LOCKOUT_MINUTES, 15),
+  // per-IP lockout, higher because offices share addresses
+  ipMaxFailures: int(process.env.LOGIN_IP_MAX_FAILURES, 20),
+  // failures older than this no longer count
+  failureWindowMinutes: int(process.env.LOGIN_FAILURE_WINDOW_MINUTES, 60),
+};
+
+const emailKey = (email) => `email:${String(email).trim().toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+export const backoffSeconds = (failures) => {
+  if (failures <= config.freeAttempts) return 0;
+  const delay = config.backoffBaseSeconds * 2 ** (failures - config.freeAttempts - 1);
+  return Math.min(delay, config.backoffMaxSeconds);
+};
+
+const isStale = (row, now) =>
+  !row.last_failed_at ||
+  now - new Date(row.last_failed_at).getTime() > config.failureWindowMinutes * 60 * 1000;
+
+const fetchRows = async (keys) => {
+  const { data, error } = await supabase
+    .from('login_throttles')
+    .select('*')
+    .in('key', keys);
+
+  if (error) throw error;
+  return data || [];
+};
+
+// ---------------------------
+// CHECK BEFORE VERIFYING PASSWORD
+// ---------------------------
+// Decision for the throttle rows of one attempt at `now` (ms):
+// { allowed: true } or { allowed: false, locked, retryAfter (seconds) }.
+// `locked` is about the account only; a locked IP is reported as plain throttling.
+export const throttleDecision = (rows, now) => {
+  let retryAfter = 0;
+  let locked = false;
+
+  for (const row of rows) {
+    if (row.locked_until && new Date(row.locked_until).getTime() > now) {
+      if (row.key.startsWith("email:")) locked = true;
+      retryAfter = Math.max(retryAfter, Math.ceil((new Date(row.locked_until).getTime() - now) / 1000));
+      continue;
+    }
+    if (isStale(row, now)) continue;
+
+    const nextAllowedAt = new Date(row.last_failed_at).getTime() + backoffSeconds(row.failures) * 1000;
+    if (nextAllowedAt > now) {
+      retryAfter = Math.max(retryAfter, Math.ceil((nextAllowedAt - now) / 1000));
+    }
+  }
+
+  return retryAfter > 0 ? { allowed: false, locked, retryAfter } : { allowed: true };
+};
+
+export const checkLoginAllowed = async ({ email, ip }) => {
+  const keys = [emailKey(email)];
+  if (ip) keys.push(ipKey(ip));
+
+  return throttleDecision(await fetchRows(keys), Date.now());
+};
+
+// ---------------------------
+// RECORD FAILURE
+// ---------------------------
+// Returns { accountLocked: true } when this failure locked the account.
+// The count is incremented in the database (db/migrations/003_login_throttles.sql) so
+// concurrent attempts are all counted.
+export const recordLoginFailure = async ({ email, ip }) => {
+  const targets = [{ key: emailKey(email), max: config.maxFailures }];
+  if (ip) targets.push({ key: ipKey(ip), max: config.ipMaxFailures });
+
+  let accountLocked = false;
+  for (const { key, max } of targets) {
+    const { data, error } = await supabase.rpc('record_login_failure', {
+      p_key: key,
+      p_max_failures: max,
+      p_window_seconds: config.failureWindowMinutes * 60,
+      p_lockout_seconds: config.lockoutMinutes * 60
+    });
+
+    if (error) throw error;
+    const row = Array.isArray(data) ? data[0] : data;
+    if (row && row.newly_locked && key.startsWith("email:")) accountLocked = true;
+  }
+
+  return { accountLocked, lockoutMinutes: config.lockoutMinutes };
+};
+
+// ---------------------------
+// CLEAR (successful login / admin unlock)
+// ---------------------------
+export const clearLoginFailures = async (email) => {
+  const { error } = await supabase
+    .from('login_throttles')
+    .delete()
+    .eq('key', emailKey(email));
+
+  if (error) throw error;
+};
@@ -0,0 +1,116 @@
+import fs from "fs/promises";
+import path from "path";
+import nodemailer from "nodemailer";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// ---------------------------
+// CONFIG
+// ---------------------------
+// MAIL_TRANSPORT selects the delivery sink: "smtp", "file", "memory" or "console" (default
+// outside production). Production must name one explicitly, so auth emails are never
+// silently diverted to the log.
+const {
+  NODE_ENV,
+  MAIL_TRANSPORT = NODE_ENV === "production" ? undefined : "console",
+  MAIL_FROM = "Bluebird <no-reply@bluebird.local>",
+  MAIL_FILE_DIR = "mail-outbox",
+  SMTP_HOST,
+  SMTP_PORT,
+  SMTP_SECURE,
+  SMTP_USER,
+  SMTP_PASS,
+} = process.env;
+const MAIL_MEMORY_LIMIT = parseInt(process.env.MAIL_MEMORY_LIMIT, 10) || 100;
+
+if (!MAIL_TRANSPORT) {
+  throw new Error("MAIL_TRANSPORT must be set in production (e.g. smtp)");
+}
+if (NODE_ENV === "production" && ["console", "memory", "file"].includes(MAIL_TRANSPORT)) {
+  console.error(`MAIL_TRANSPORT is "${MAIL_TRANSPORT}" in production: emails are NOT being delivered`);
+}
+
+// Emailed links carry live single-use tokens (?token=, ?invite=). The console sink prints them in
+// full for local development, where it is the only way to follow them, but not in production logs.
+const redactTokens = (text) =>
+  NODE_ENV === "production"
+    ? String(text || "").replace(/([?&](?:token|invite)=)[^&\s"'<>]+/gi, "$1[redacted]")
+    : String(text || "");
+
+// ---------------------------
+// TRANSPORTS
+// ---------------------------
+// A transport is any object with `send(message)` returning a promise.
+const transports = {};
+
+export const registerMailTransport = (name, transport) => {
+  if (!transport || typeof transport.send !== "function")
+    throw new Error(`Mail transport "${name}" must implement send(message)`);
+  transports[name] = transport;
+};
+
+// SMTP (or any SMTP stand-in such as MailHog/Mailpit)
+let smtpClient = null;
+registerMailTransport("smtp", {
+  send: async (message) => {
+    if (!smtpClient) {
+      if (!SMTP_HOST) throw new Error("SMTP_HOST is not configured");
+      smtpClient = nodemailer.createTransport({
+        host: SMTP_HOST,
+        port: parseInt(SMTP_PORT, 10) || 587,
+        secure: SMTP_SECURE === "true",
+        auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASS } : undefined,
+      });
+    }
+    return smtpClient.sendMail(message);
+  },
+});
+
+// Writes each message as an .eml file, handy for local development
+const fileBuilder = nodemailer.createTransport({ streamTransport: true, buffer: true });
+registerMailTransport("file", {
+  send: async (message) => {
+    const { message: raw } = await fileBuilder.sendMail(message);
+    await fs.mkdir(MAIL_FILE_DIR, { recursive: true });
+    const safeTo = String(message.to).replace(/[^a-zA-Z0-9@._-]/g, "_");
+    const file = path.join(MAIL_FILE_DIR, `${Date.now()}-${safeTo}.eml`);
+    await fs.writeFile(file, raw);
+    return { file };
+  },
+});
+
+// Keeps the last MAIL_MEMORY_LIMIT messages in memory instead of sending them, for tests
+// and local checks
+const capturedMail = [];
+registerMailTransport("memory", {
+  send: async (message) => {
+    capturedMail.push({ ...message, sentAt: new Date().toISOString() });
+    if (capturedMail.length > MAIL_MEMORY_LIMIT) capturedMail.splice(0, capturedMail.length - MAIL_MEMORY_LIMIT);
+    return { captured: capturedMail.length };
+  },
+});
+
+export const getCapturedMail = () => [...capturedMail];
+
+export const clearCapturedMail = () => {
+  capturedMail.length = 0;
+};
+
+// Logs the message instead of sending it
+registerMailTransport("console", {
+  send: async (message) => {
+    console.log(`[Mail] To: ${message.to} | Subject: ${message.subject}\n${redactTokens(message.text)}`);
+    return { logged: true };
+  },
+});
+
+// ---------------------------
+// SEND MAIL
+// ---------------------------
+export const sendMail = async ({ to, subject, text, html }) => {
+  const transport = transports[MAIL_TRANSPORT];
+  if (!transport) throw new Error(`Unknown mail transport "${MAIL_TRANSPORT}"`);
+
+  return transport.send({ from: MAIL_FROM, to, subject, text, html });
+};
@@ -0,0 +1,320 @@
+import supabase from "../db/supabaseClient.js";
+import { PUBLIC_EMPLOYEE_SELECT } from "../utils/employeeFields.js";
+import { safeJsonParse } from "../utils/listFields.js";
+import { parseDate } from "../utils/queryHelpers.js";
+import { normalizeSkillKey } from "./skillService.js";
+import { ROLE_TYPE_FILTERS, ROLES } from "../utils/permissions.js";
+import { isRecruiting, RECRUITING_STATUSES } from "./projectLifecycleService.js";
+
+// ---------------------------
+// WEIGHTS
+// ---------------------------
+// Components without data (e.g. a project with no required skills) are left out
+// and the remaining weights are renormalized. A weight of 0 switches a component off.
+const weightFromEnv = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+const WEIGHTS = {
+  skills: weightFromEnv("MATCH_WEIGHT_SKILLS", 0.5),
+  availability: weightFromEnv("MATCH_WEIGHT_AVAILABILITY", 0.25),
+  interests: weightFromEnv("MATCH_WEIGHT_INTERESTS", 0.15),
+  cluster: weightFromEnv("MATCH_WEIGHT_CLUSTER", 0.1),
+};
+
+const FULL_DAY_HOURS = 8;
+const PAGE_SIZE = 1000;
+
+const round = (n) => Math.round(n * 1000) / 1000;
+
+const startOfToday = () => {
+  const d = new Date();
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+
+// ---------------------------
+// COMPONENT SCORES (0..1 or null when not applicable)
+// ---------------------------
+
+// Required skills covered, weighted by proficiency against the project's minimum
+const scoreSkills = (required, employeeSkills, employeeSkillText) => {
+  if (required.length === 0) return { score: null, matched: [], missing: [] };
+
+  const matched = [];
+  const missing = [];
+  let total = 0;
+
+  for (const req of required) {
+    const held = req.skill_id ? employeeSkills.get(req.skill_id) : null;
+
+    if (held) {
+      const min = req.min_proficiency || 1;
+      const credit = held.proficiency >= min
+        ? 0.6 + 0.4 * (held.proficiency / 5)
+        : 0.5 * (held.proficiency / min);
+      total += credit;
+      matched.push({ skill: req.name, proficiency: held.proficiency, required: min });
+    } else if (!req.skill_id && employeeSkillText.has(normalizeSkillKey(req.name))) {
+      // Free-text requirement that isn't in the catalog yet
+      total += 0.6;
+      matched.push({ skill: req.name, proficiency: null, required: null });
+    } else {
+      missing.push(req.name);
+    }
+  }
+
+  return { score: total / required.length, matched, missing };
+};
+
+const scoreInterests = (required, interestIds, interestText) => {
+  if (required.length === 0) return { score: null, matched: [] };
+
+  const matched = required
+    .filter((req) => (req.skill_id && interestIds.has(req.skill_id)) || interestText.has(normalizeSkillKey(req.name)))
+    .map((req) => req.name);
+
+  return { score: matched.length / required.length, matched };
+};
+
+// Availability state, partial hours and how much of the project's remaining window the employee covers
+const scoreAvailability = (employee, projectEndDate) => {
+  const state = String(employee.availability || "").trim().toLowerCase();
+  const today = startOfToday();
+
+  if (state === "available") return { score: 1, state: employee.availability, hoursPerDay: FULL_DAY_HOURS, windowCoverage: 1 };
+  if (state !== "partially available") return { score: 0, state: employee.availability || null, hoursPerDay: 0, windowCoverage: 0 };
+
+  const hours = parseFloat(employee.hours_available);
+  const hoursFactor = Number.isNaN(hours) ? 0.5 : Math.min(hours / FULL_DAY_HOURS, 1);
+
+  const projectEnd = parseDate(projectEndDate);
+  const from = parseDate(employee.from_date) || today;
+  const to = parseDate(employee.to_date);
+
+  // Inclusive day counts between today and the project's end date
+  const DAY = 24 * 60 * 60 * 1000;
+  let windowCoverage = 1;
+  if (projectEnd && projectEnd >= today) {
+    const windowStart = from > today ? from : today;
+    const windowEnd = to && to < projectEnd ? to : projectEnd;
+    const span = projectEnd - today + DAY;
+    windowCoverage = Math.max(0, windowEnd - windowStart + DAY) / span;
+  } else if (to && to < today) {
+    windowCoverage = 0;
+  }
+
+  return {
+    score: hoursFactor * Math.min(windowCoverage, 1),
+    state: employee.availability,
+    hoursPerDay: Number.isNaN(hours) ? null : hours,
+    windowCoverage: round(Math.min(windowCoverage, 1))
+  };
+};
+
+const clustersOf = (row) =>
+  [row && row.cluster, row && row.cluster2].map((c) => String(c || "").trim().toLowerCase()).filter(Boolean);
+
+const scoreCluster = (employee, projectClusters) => {
+  if (projectClusters.length === 0) return { score: null, shared: [] };
+  const shared = clustersOf(employee).filter((c) => projectClusters.includes(c));
+  return { score: shared.length > 0 ? 1 : 0, shared };
+};
+
+// ---------------------------
+// SCORE ONE PAIR
+// ---------------------------
+/**
+ * @param employee      public employee row
+ * @param project       project row
+ * @param ctx.required  [{ skill_id, name, min_proficiency }]
+ * @param ctx.skills    Map skill_id -> { proficiency }
+ * @param ctx.interests Set of skill_id
+ * @param ctx.projectClusters lowercased clusters of the project's creator
+ */
+export const scoreMatch = (employee, project, { required, skills, interests, projectClusters }) => {
+  const skillText = new Set(safeJsonParse(employee.current_skills).map(normalizeSkillKey));
+  const interestText = new Set(safeJsonParse(employee.interests).map(normalizeSkillKey));
+
+  const components = {
+    skills: scoreSkills(required, skills, skillText),
+    interests: scoreInterests(required, interests, interestText),
+    availability: scoreAvailability(employee, project.end_date),
+    cluster: scoreCluster(employee, projectClusters),
+  };
+
+  let weighted = 0;
+  let weightSum = 0;
+  const breakdown = {};
+
+  for (const [key, component] of Object.entries(components)) {
+    const { score, ...details } = component;
+    breakdown[key] = { score: score === null ? null : round(score), weight: WEIGHTS[key], ...details };
+    if (score === null) continue;
+    weighted += score * WEIGHTS[key];
+    weightSum += WEIGHTS[key];
+  }
+
+  return { score: weightSum > 0 ? round(weighted / weightSum) : 0, breakdown };
+};
+
+// ---------------------------
+// DATA LOADING
+// ---------------------------
+const loadRequiredSkills = async (projects) => {
+  const ids = projects.map((p) => p.id);
+  const byProject = new Map(ids.map((id) => [String(id), []]));
+  if (ids.length === 0) return byProject;
+
+  const { data, error } = await supabase
+    .from('project_skills')
+    .select('project_id, min_proficiency, skill:skills(id, name)')
+    .in('project_id', ids);
+
+  if (error) throw error;
+
+  for (const row of data || []) {
+    byProject.get(String(row.project_id)).push({ skill_id: row.skill.id, name: row.skill.name, min_proficiency: row.min_proficiency });
+  }
+
+  // Free-text requirements that never made it into the catalog
+  for (const project of projects) {
+    const list = byProject.get(String(project.id));
+    const known = new Set(list.map((r) => normalizeSkillKey(r.name)));
+    safeJsonParse(project.required_skills).forEach((name) => {
+      if (!known.has(normalizeSkillKey(name))) list.push({ skill_id: null, name, min_proficiency: null });
+    });
+  }
+
+  return byProject;
+};
+
+// Keeps in('empid', ...) lookups to a sane URL length
+const LOOKUP_CHUNK = 200;
+
+const selectByEmpids = async (table, columns, empids) => {
+  const rows = [];
+  for (let i = 0; i < empids.length; i += LOOKUP_CHUNK) {
+    const { data, error } = await supabase.from(table).select(columns).in('empid', empids.slice(i, i + LOOKUP_CHUNK));
+    if (error) throw error;
+    rows.push(...(data || []));
+  }
+  return rows;
+};
+
+const loadSkillMaps = async (empids) => {
+  const skills = new Map(empids.map((id) => [String(id), new Map()]));
+  const interests = new Map(empids.map((id) => [String(id), new Set()]));
+  if (empids.length === 0) return { skills, interests };
+
+  const [skillRows, interestRows] = await Promise.all([
+    selectByEmpids('employee_skills', 'empid, skill_id, proficiency', empids),
+    selectByEmpids('employee_interests', 'empid, skill_id', empids),
+  ]);
+
+  (skillRows || []).forEach((r) => skills.get(String(r.empid))?.set(r.skill_id, { proficiency: r.proficiency }));
+  (interestRows || []).forEach((r) => interests.get(String(r.empid))?.add(r.skill_id));
+
+  return { skills, interests };
+};
+
+const loadCreatorClusters = async (projects) => {
+  const empids = [...new Set(projects.map((p) => p.empid).filter(Boolean))];
+  const map = new Map();
+  if (empids.length === 0) return map;
+
+  const { data, error } = await supabase
+    .from('employees')
+    .select('empid, cluster, cluster2')
+    .in('empid', empids);
+
+  if (error) throw error;
+  (data || []).forEach((e) => map.set(String(e.empid), clustersOf(e)));
+  return map;
+};
+
+export const isOpenProject = (project) => {
+  if (!isRecruiting(project.status)) return false;
+  const end = parseDate(project.end_date);
+  return !end || end >= startOfToday();
+};
+
+// ---------------------------
+// RANK EMPLOYEES FOR A PROJECT
+// ---------------------------
+export const rankCandidatesForProject = async (project) => {
+  // Only ICs staff activities; the creator is never their own candidate
+  const candidates = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    let query = supabase
+      .from('employees')
+      .select(PUBLIC_EMPLOYEE_SELECT)
+      .or(ROLE_TYPE_FILTERS[ROLES.IC].join(','))
+      .order('empid', { ascending: true })
+      .range(offset, offset + PAGE_SIZE - 1);
+
+    if (project.empid) query = query.neq('empid', project.empid);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    candidates.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+
+  const [requiredByProject, { skills, interests }, creatorClusters] = await Promise.all([
+    loadRequiredSkills([project]),
+    loadSkillMaps(candidates.map((e) => e.empid)),
+    loadCreatorClusters([project]),
+  ]);
+
+  const ctxBase = {
+    required: requiredByProject.get(String(project.id)),
+    projectClusters: creatorClusters.get(String(project.empid)) || [],
+  };
+
+  return candidates
+    .map((employee) => ({
+      employee,
+      ...scoreMatch(employee, project, {
+        ...ctxBase,
+        skills: skills.get(String(employee.empid)),
+        interests: interests.get(String(employee.empid)),
+      })
+    }))
+    .sort((a, b) => b.score - a.score);
+};
+
+// ---------------------------
+// RANK OPEN PROJECTS FOR AN EMPLOYEE
+// ---------------------------
+export const rankProjectsForEmployee = async (employee) => {
+  const { data: projects, error } = await supabase
+    .from('projects')
+    .select('*')
+    .in('status', RECRUITING_STATUSES)
+    .is('deleted_at', null);
+
+  if (error) throw error;
+
+  const open = (projects || []).filter((p) => isOpenProject(p) && String(p.empid) !== String(employee.empid));
+
+  const [requiredByProject, { skills, interests }, creatorClusters] = await Promise.all([
+    loadRequiredSkills(open),
+    loadSkillMaps([employee.empid]),
+    loadCreatorClusters(open),
+  ]);
+
+  return open
+    .map((project) => ({
+      project,
+      ...scoreMatch(employee, project, {
+        required: requiredByProject.get(String(project.id)),
+        projectClusters: creatorClusters.get(String(project.empid)) || [],
+        skills: skills.get(String(employee.empid)),
+        interests: interests.get(String(employee.empid)),
+      })
+    }))
+    .sort((a, b) => b.score - a.score);
+};
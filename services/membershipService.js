@@ -0,0 +1,334 @@
+import supabase from "../db/supabaseClient.js";
+import { parseDate, toIsoDate } from "../utils/queryHelpers.js";
+
+// ---------------------------
+// CAPACITY MODEL
+// ---------------------------
+// employees.availability / hours_available describe the employee's *remaining* free time:
+//   Available           -> FULL_WEEK_HOURS free
+//   Partially Available -> hours_available (per working day) x WORK_DAYS_PER_WEEK free,
+//                          only between from_date and to_date
+//   anything else       -> no free time
+// Allocations are subtracted from that when someone is assigned and given back when
+// the allocation shrinks or ends.
+const HOURS_PER_DAY = parseFloat(process.env.FULL_DAY_HOURS) || 8;
+const WORK_DAYS_PER_WEEK = 5;
+export const FULL_WEEK_HOURS = HOURS_PER_DAY * WORK_DAYS_PER_WEEK;
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+export const weeklyFreeHours = (employee) => {
+  const state = String(employee.availability || "").trim().toLowerCase();
+  if (state === "available") return FULL_WEEK_HOURS;
+  if (state !== "partially available") return 0;
+  const perDay = parseFloat(employee.hours_available);
+  return Number.isNaN(perDay) ? 0 : Math.min(perDay * WORK_DAYS_PER_WEEK, FULL_WEEK_HOURS);
+};
+
+// Availability fields after freeing (negative delta) or consuming (positive delta) weekly hours
+export const availabilityAfter = (employee, deltaHours, window) => {
+  const free = Math.min(Math.max(weeklyFreeHours(employee) - deltaHours, 0), FULL_WEEK_HOURS);
+
+  if (free <= 0) return { availability: "Occupied", hours_available: null, from_date: null, to_date: null };
+  if (free >= FULL_WEEK_HOURS) return { availability: "Available", hours_available: null, from_date: null, to_date: null };
+
+  const wasPartial = String(employee.availability || "").trim().toLowerCase() === "partially available";
+  return {
+    availability: "Partially Available",
+    hours_available: String(round1(free / WORK_DAYS_PER_WEEK)),
+    from_date: wasPartial && employee.from_date ? employee.from_date : window.start_date,
+    to_date: wasPartial && employee.to_date ? employee.to_date : window.end_date,
+  };
+};
+
+// Returns an error message when `hours` can't be allocated to `employee` for [start, end]
+export const capacityError = (employee, hours, { start_date, end_date }) => {
+  if (hours <= 0) return null;
+
+  const free = weeklyFreeHours(employee);
+  if (hours > free) {
+    return `${employee.name || employee.empid} has ${round1(free)} free hours/week; cannot allocate ${hours}`;
+  }
+
+  if (String(employee.availability || "").trim().toLowerCase() === "partially available") {
+    const from = parseDate(employee.from_date);
+    const to = parseDate(employee.to_date);
+    const start = parseDate(start_date);
+    const end = parseDate(end_date);
+    if ((from && start && start < from) || (to && end && end > to) || (to && !end)) {
+      return `${employee.name || employee.empid} is only available from ${employee.from_date || "now"} to ${employee.to_date || "open-ended"}`;
+    }
+  }
+
+  return null;
+};
+
+export class AllocationError extends Error {
+  constructor(message, code = "OVER_ALLOCATED") {
+    super(message);
+    this.name = "AllocationError";
+    this.code = code;
+  }
+}
+
+const loadEmployee = async (empid) => {
+  const { data, error } = await supabase
+    .from('employees')
+    .select('empid, name, availability, hours_available, from_date, to_date')
+    .eq('empid', empid)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw new AllocationError("Employee not found", "EMPLOYEE_NOT_FOUND");
+  return data;
+};
+
+// The capacity write only lands if these still hold the values the check was made against,
+// so two concurrent assignments can't both spend the same free hours.
+const CAPACITY_FIELDS = ["availability", "hours_available", "from_date", "to_date"];
+const CAPACITY_RETRIES = 5;
+
+// Returns the new availability fields, or null when the row changed since `employee` was read
+const updateAvailability = async (employee, deltaHours, window) => {
+  const fields = availabilityAfter(employee, deltaHours, window);
+
+  let query = supabase
+    .from('employees')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('empid', employee.empid);
+  for (const field of CAPACITY_FIELDS) {
+    const value = employee[field];
+    query = value === null || value === undefined ? query.is(field, null) : query.eq(field, value);
+  }
+
+  const { data, error } = await query.select('empid');
+  if (error) throw error;
+  return data && data.length > 0 ? fields : null;
+};
+
+// Consumes (positive delta) or frees (negative delta) weekly hours for `empid`. The check is
+// repeated against the latest row whenever a concurrent change wins the write.
+const adjustCapacity = async (empid, deltaHours, window) => {
+  for (let attempt = 0; attempt < CAPACITY_RETRIES; attempt++) {
+    const employee = await loadEmployee(empid);
+    if (deltaHours === 0) return null;
+
+    const problem = capacityError(employee, deltaHours, window);
+    if (problem) throw new AllocationError(problem);
+
+    const fields = await updateAvailability(employee, deltaHours, window);
+    if (fields) return fields;
+  }
+  throw new AllocationError("Availability changed in the meantime, please retry", "CAPACITY_CONFLICT");
+};
+
+// Normalize/validate the allocation window; defaults to today .. project end date
+const resolveWindow = (project, { start_date, end_date }) => {
+  const start = start_date ? parseDate(start_date) : new Date();
+  const end = end_date ? parseDate(end_date) : parseDate(project.end_date);
+
+  if (start_date && !start) throw new AllocationError("Invalid start_date", "INVALID_DATES");
+  if (end_date && !end) throw new AllocationError("Invalid end_date", "INVALID_DATES");
+  if (start && end && start > end) throw new AllocationError("start_date must be on or before end_date", "INVALID_DATES");
+
+  return { start_date: start ? toIsoDate(start) : null, end_date: end ? toIsoDate(end) : null };
+};
+
+const parseHours = (value) => {
+  if (value === undefined || value === null || value === "") return 0;
+  const hours = Number(value);
+  if (!Number.isFinite(hours) || hours < 0 || hours > 168)
+    throw new AllocationError("allocated_hours_per_week must be between 0 and 168", "INVALID_HOURS");
+  return hours;
+};
+
+// ---------------------------
+// ASSIGN / UPDATE MEMBER
+// ---------------------------
+/**
+ * Add `empid` to `project` (or update their allocation if already a member).
+ * Rejects with AllocationError when the employee would be over-allocated.
+ * Returns { member, created, availability } where availability is the employee's new state (if changed).
+ */
+export const assignProjectMember = async (project, { empid, role, allocated_hours_per_week, start_date, end_date, source = "manual", addedBy = null }) => {
+  const { data: existing, error: findError } = await supabase
+    .from('project_members')
+    .select('*')
+    .eq('project_id', project.id)
+    .eq('empid', empid)
+    .maybeSingle();
+
+  if (findError) throw findError;
+
+  const hours = allocated_hours_per_week === undefined && existing
+    ? Number(existing.allocated_hours_per_week)
+    : parseHours(allocated_hours_per_week);
+
+  const window = resolveWindow(project, {
+    start_date: start_date !== undefined ? start_date : existing && existing.start_date,
+    end_date: end_date !== undefined ? end_date : existing && existing.end_date,
+  });
+
+  const delta = hours - (existing ? Number(existing.allocated_hours_per_week) || 0 : 0);
+
+  // Take the hours first; if the membership write then fails they are handed back
+  const availability = await adjustCapacity(empid, delta, window);
+
+  try {
+    const member = existing
+      ? await updateMemberRow(existing, { role, hours, window })
+      : await insertMemberRow(project, { empid, role, hours, window, source, addedBy });
+    return { member, created: !existing, availability };
+  } catch (err) {
+    if (delta !== 0) await adjustCapacity(empid, -delta, window);
+    throw err;
+  }
+};
+
+// Guarded on the allocation the delta was computed from, so concurrent edits can't both apply
+const updateMemberRow = async (existing, { role, hours, window }) => {
+  const { data, error } = await supabase
+    .from('project_members')
+    .update({
+      role: role || existing.role,
+      allocated_hours_per_week: hours,
+      start_date: window.start_date,
+      end_date: window.end_date,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', existing.id)
+    .eq('allocated_hours_per_week', existing.allocated_hours_per_week)
+    .select('*');
+
+  if (error) throw error;
+  if (!data || data.length === 0)
+    throw new AllocationError("Allocation changed in the meantime, please retry", "STALE_ALLOCATION");
+  return data[0];
+};
+
+const insertMemberRow = async (project, { empid, role, hours, window, source, addedBy }) => {
+  const { data, error } = await supabase
+    .from('project_members')
+    .insert([{
+      project_id: project.id,
+      empid,
+      role: role || "Member",
+      source,
+      added_by: addedBy,
+      allocated_hours_per_week: hours,
+      start_date: window.start_date,
+      end_date: window.end_date,
+      updated_at: new Date().toISOString()
+    }])
+    .select('*')
+    .single();
+
+  // unique (project_id, empid): someone else added them first
+  if (error && error.code === "23505")
+    throw new AllocationError("Employee was added to this project in the meantime, please retry", "STALE_ALLOCATION");
+  if (error) throw error;
+  return data;
+};
+
+// ---------------------------
+// REMOVE MEMBER
+// ---------------------------
+// Frees the member's allocated hours. Returns false if they weren't a member.
+export const removeProjectMember = async (projectId, empid) => {
+  const { data: member, error: findError } = await supabase
+    .from('project_members')
+    .select('*')
+    .eq('project_id', projectId)
+    .eq('empid', empid)
+    .maybeSingle();
+
+  if (findError) throw findError;
+  if (!member) return false;
+
+  // Give the hours back first; the row only goes once that has worked, and if deleting it
+  // then fails the hours are taken again
+  const hours = Number(member.allocated_hours_per_week) || 0;
+  const window = { start_date: member.start_date, end_date: member.end_date };
+  if (hours > 0) await adjustCapacity(empid, -hours, window);
+
+  try {
+    const { data, error } = await supabase
+      .from('project_members')
+      .delete()
+      .eq('id', member.id)
+      .eq('allocated_hours_per_week', member.allocated_hours_per_week)
+      .select('id');
+
+    if (error) throw error;
+    if (!data || data.length === 0)
+      throw new AllocationError("Allocation changed in the meantime, please retry", "STALE_ALLOCATION");
+  } catch (err) {
+    if (hours > 0) await adjustCapacity(empid, hours, window);
+    throw err;
+  }
+  return true;
+};
+
+// ---------------------------
+// RELEASE
+// ---------------------------
+// Gives every member's hours back when a project ends. Members stay on the project with a
+// zero allocation; each row is guarded so a release that runs twice frees the hours once.
+export const releaseProjectAllocations = async (projectId) => {
+  const { data, error } = await supabase
+    .from('project_members')
+    .select('*')
+    .eq('project_id', projectId)
+    .gt('allocated_hours_per_week', 0);
+
+  if (error) throw error;
+
+  let released = 0;
+  for (const member of data || []) {
+    const { data: rows, error: updateError } = await supabase
+      .from('project_members')
+      .update({ allocated_hours_per_week: 0, updated_at: new Date().toISOString() })
+      .eq('id', member.id)
+      .eq('allocated_hours_per_week', member.allocated_hours_per_week)
+      .select('id');
+
+    if (updateError) throw updateError;
+    if (!rows || rows.length === 0) continue;
+
+    await adjustCapacity(member.empid, -Number(member.allocated_hours_per_week), { start_date: member.start_date, end_date: member.end_date });
+    released++;
+  }
+  return released;
+};
+
+// ---------------------------
+// LISTS
+// ---------------------------
+export const listProjectMembers = async (projectId) => {
+  const { data, error } = await supabase
+    .from('project_members')
+    .select('*, employee:employees(empid, name, email, role, cluster, availability)')
+    .eq('project_id', projectId)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+};
+
+export const listEmployeeAllocations = async (empid) => {
+  const { data, error } = await supabase
+    .from('project_members')
+    .select('*, project:projects(id, project_name, status, end_date)')
+    .eq('empid', empid)
+    .order('start_date', { ascending: true });
+
+  if (error) throw error;
+
+  const rows = data || [];
+  const today = toIsoDate(new Date());
+  const activeHours = rows
+    .filter((m) => (!m.start_date || m.start_date <= today) && (!m.end_date || m.end_date >= today))
+    .reduce((sum, m) => sum + (Number(m.allocated_hours_per_week) || 0), 0);
+
+  return { allocations: rows, activeHoursPerWeek: activeHours };
+};
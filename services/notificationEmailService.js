@@ -0,0 +1,230 @@
+import supabase from "../db/supabaseClient.js";
+import { sendMail } from "./mailService.js";
+import { DEFAULT_LOCALE, renderTemplate } from "./notificationTemplateService.js";
+import { loadPreferencesMap } from "./notificationPreferenceService.js";
+import { RECRUITING_STATUSES, PROJECT_STATUS } from "./projectLifecycleService.js";
+import { toIsoDate } from "../utils/queryHelpers.js";
+import { escapeHtml } from "../utils/html.js";
+
+// ---------------------------
+// CONFIG
+// ---------------------------
+const APP_URL = process.env.APP_URL || "http://localhost:3000";
+const SETTINGS_PATH = "/profile";
+
+// Profiles untouched (no login, no update) for this long get the "update your details" nudge
+export const STALE_PROFILE_DAYS = 15;
+
+const DIGEST_ITEM_LIMIT = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DIGEST_PERIOD_DAYS = { daily: 1, weekly: 7 };
+
+// Email chrome per locale; the notification copy itself comes from the template registry
+const EMAIL_COPY = {
+  en: {
+    open: "Open Bluebird",
+    footer: "You're receiving this because of your Bluebird notification settings.",
+    settings: "Manage notification settings",
+    activities: "New activities",
+    unread: (count) => `Unread notifications (${count})`,
+    ends: (date) => `ends ${date}`,
+    details: "Update your details",
+  },
+  hi: {
+    open: "Bluebird खोलें",
+    footer: "आपको यह ईमेल आपकी Bluebird सूचना सेटिंग्स के कारण मिल रहा है।",
+    settings: "सूचना सेटिंग्स बदलें",
+    activities: "नई गतिविधियाँ",
+    unread: (count) => `अपठित सूचनाएँ (${count})`,
+    ends: (date) => `${date} को समाप्त`,
+    details: "अपनी जानकारी अपडेट करें",
+  },
+};
+
+const copyFor = (locale) => EMAIL_COPY[locale] || EMAIL_COPY[DEFAULT_LOCALE] || EMAIL_COPY.en;
+
+// ---------------------------
+// LAYOUT
+// ---------------------------
+const absoluteUrl = (url) => (/^https?:\/\//i.test(url || "") ? url : `${APP_URL}${url || "/"}`);
+
+// sections: [{ heading, items: [text] }]. Returns { text, html } around a shared header/footer.
+const renderLayout = ({ locale, heading, intro, sections = [], url }) => {
+  const copy = copyFor(locale);
+  const link = absoluteUrl(url);
+  const settingsLink = absoluteUrl(SETTINGS_PATH);
+
+  const text = [
+    heading,
+    "",
+    intro,
+    ...sections.flatMap((s) => ["", s.heading, ...s.items.map((item) => `- ${item}`)]),
+    "",
+    `${copy.open}: ${link}`,
+    "",
+    "--",
+    copy.footer,
+    `${copy.settings}: ${settingsLink}`,
+  ].join("\n");
+
+  const html = `<!doctype html>
+<html lang="${escapeHtml(locale)}">
+<body style="margin:0;padding:24px;background:#f4f6f8;font-family:Arial,Helvetica,sans-serif;color:#1f2933;">
+  <div style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;padding:24px;">
+    <h2 style="margin:0 0 12px;font-size:20px;">${escapeHtml(heading)}</h2>
+    <p style="margin:0 0 16px;line-height:1.5;">${escapeHtml(intro)}</p>
+    ${sections.map((s) => `<h3 style="margin:20px 0 8px;font-size:16px;">${escapeHtml(s.heading)}</h3>
+    <ul style="margin:0;padding-left:20px;line-height:1.6;">${s.items.map((item) => `<li>${escapeHtml(item)}</li>`).join("")}</ul>`).join("\n    ")}
+    <p style="margin:24px 0 0;"><a href="${escapeHtml(link)}" style="display:inline-block;padding:10px 18px;background:#1565c0;color:#ffffff;border-radius:4px;text-decoration:none;">${escapeHtml(copy.open)}</a></p>
+  </div>
+  <p style="max-width:560px;margin:16px auto 0;font-size:12px;color:#6b7280;text-align:center;">${escapeHtml(copy.footer)} <a href="${escapeHtml(settingsLink)}" style="color:#6b7280;">${escapeHtml(copy.settings)}</a></p>
+</body>
+</html>`;
+
+  return { text, html };
+};
+
+// ---------------------------
+// SINGLE NOTIFICATION
+// ---------------------------
+// payload is an already rendered notification ({ title, message, url }). Resolves to
+// { subject, text, html }
+export const renderNotificationEmail = (payload, { locale = DEFAULT_LOCALE } = {}) => ({
+  subject: payload.title,
+  ...renderLayout({ locale, heading: payload.title, intro: payload.message || "", url: payload.url }),
+});
+
+// Emails one notification to an employee. Resolves to true when a message was handed to
+// the mail transport (false when the employee has no email address).
+export const sendNotificationEmail = async (empid, payload, locale = DEFAULT_LOCALE) => {
+  const { data: employee, error } = await supabase
+    .from('employees')
+    .select('email')
+    .eq('empid', empid)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!employee || !employee.email) return false;
+
+  await sendMail({ to: employee.email, ...renderNotificationEmail(payload, { locale }) });
+  return true;
+};
+
+// ---------------------------
+// DIGEST
+// ---------------------------
+// Monday of the current week for weekly digests, today for daily ones
+const periodStart = (frequency, now) => {
+  const d = new Date(now);
+  d.setHours(0, 0, 0, 0);
+  if (frequency === "weekly") d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return toIsoDate(d);
+};
+
+// Projects that became Open since `since` and are still recruiting
+const loadNewActivities = async (since) => {
+  const { data, error } = await supabase
+    .from('project_status_history')
+    .select('project:projects!inner(id, empid, project_name, end_date, status, deleted_at)')
+    .eq('to_status', PROJECT_STATUS.OPEN)
+    .gte('created_at', since)
+    .in('project.status', RECRUITING_STATUSES)
+    .is('project.deleted_at', null)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+
+  const seen = new Set();
+  return (data || []).map((row) => row.project).filter((p) => p && !seen.has(p.id) && seen.add(p.id));
+};
+
+const loadUnread = async (empid) => {
+  const { data, error, count } = await supabase
+    .from('notifications')
+    .select('title', { count: 'exact' })
+    .eq('empid', empid)
+    .is('read_at', null)
+    .order('created_at', { ascending: false })
+    .limit(DIGEST_ITEM_LIMIT);
+
+  if (error) throw error;
+  return { titles: (data || []).map((n) => n.title), count: count || 0 };
+};
+
+// One email per employee whose digest preference matches `frequency` ("daily" | "weekly"),
+// bundling activities opened during the period, their unread inbox items and, for stale
+// profiles, the "update your details" nudge. Nothing is sent when all three are empty.
+// Returns the number of digests sent.
+export const sendDigests = async (frequency, now = new Date()) => {
+  const periodDays = DIGEST_PERIOD_DAYS[frequency];
+  if (!periodDays) throw new Error(`Unknown digest frequency "${frequency}"`);
+
+  const since = new Date(now.getTime() - periodDays * DAY_MS).toISOString();
+  const staleCutoff = new Date(now.getTime() - STALE_PROFILE_DAYS * DAY_MS);
+  const period = periodStart(frequency, now);
+
+  const { data: employees, error } = await supabase
+    .from('employees')
+    .select('empid, name, email, last_login, updated_at')
+    .not('email', 'is', null);
+
+  if (error) throw error;
+
+  const preferences = await loadPreferencesMap((employees || []).map((emp) => emp.empid));
+  const recipients = (employees || []).filter((emp) => preferences.get(String(emp.empid)).digest === frequency);
+  if (recipients.length === 0) return 0;
+
+  const activities = await loadNewActivities(since);
+  let sent = 0;
+
+  for (const emp of recipients) {
+    const locale = preferences.get(String(emp.empid)).locale;
+    const copy = copyFor(locale);
+
+    const newActivities = activities.filter((p) => String(p.empid) !== String(emp.empid)).slice(0, DIGEST_ITEM_LIMIT);
+    const unread = await loadUnread(emp.empid);
+    const lastLogin = emp.last_login ? new Date(emp.last_login) : new Date(0);
+    const lastUpdate = emp.updated_at ? new Date(emp.updated_at) : new Date(0);
+    const stale = lastLogin < staleCutoff && lastUpdate < staleCutoff;
+
+    if (newActivities.length === 0 && unread.count === 0 && !stale) continue;
+
+    const sections = [];
+    if (newActivities.length > 0) {
+      sections.push({
+        heading: copy.activities,
+        items: newActivities.map((p) => (p.end_date ? `${p.project_name} (${copy.ends(String(p.end_date).slice(0, 10))})` : p.project_name)),
+      });
+    }
+    if (unread.count > 0) sections.push({ heading: copy.unread(unread.count), items: unread.titles });
+    if (stale) {
+      const nudge = await renderTemplate("profile.stale_reminder", { days: STALE_PROFILE_DAYS }, locale);
+      sections.push({ heading: copy.details, items: [nudge.message] });
+    }
+
+    // Claim the period first so a concurrent run can't send it twice
+    const { data: claimed, error: claimError } = await supabase
+      .from('notification_digests')
+      .upsert({ empid: emp.empid, frequency, period_start: period, item_count: newActivities.length + unread.count + (stale ? 1 : 0) },
+        { onConflict: 'empid,frequency,period_start', ignoreDuplicates: true })
+      .select('id');
+
+    if (claimError) throw claimError;
+    if (!claimed || claimed.length === 0) continue;
+
+    const intro = await renderTemplate(`digest.${frequency}`, { name: emp.name || "" }, locale);
+
+    try {
+      await sendMail({
+        to: emp.email,
+        subject: intro.title,
+        ...renderLayout({ locale, heading: intro.title, intro: intro.message, sections, url: intro.url }),
+      });
+      sent++;
+    } catch (err) {
+      console.error(`Digest email to ${emp.empid} failed →`, err.message || err);
+    }
+  }
+
+  return sent;
+};
@@ -0,0 +1,198 @@
+import supabase from "../db/supabaseClient.js";
+import { SUPPORTED_LOCALES, DEFAULT_LOCALE } from "./notificationTemplateService.js";
+
+// ---------------------------
+// MODEL
+// ---------------------------
+// Each notification has a category; each user decides per category which channels deliver it.
+// Quiet hours (in the user's timezone) hold back push and email, but the in-app inbox still
+// records everything that is enabled. Security notifications always reach the inbox and
+// ignore quiet hours, so a lockout or password change can't be silenced.
+export const NOTIFICATION_CATEGORIES = ["security", "profile", "activities", "reminders"];
+export const NOTIFICATION_CHANNELS = ["push", "in_app", "email"];
+
+export const DEFAULT_TIMEZONE = process.env.NOTIFICATION_DEFAULT_TIMEZONE || "Asia/Kolkata";
+
+// How often the email digest goes out
+export const DIGEST_FREQUENCIES = ["off", "daily", "weekly"];
+export const DEFAULT_DIGEST = DIGEST_FREQUENCIES.includes(process.env.NOTIFICATION_DEFAULT_DIGEST)
+  ? process.env.NOTIFICATION_DEFAULT_DIGEST
+  : "weekly";
+
+const DEFAULT_CHANNELS = Object.freeze({
+  security: { push: true, in_app: true, email: true },
+  profile: { push: true, in_app: true, email: false },
+  activities: { push: true, in_app: true, email: false },
+  reminders: { push: true, in_app: true, email: false },
+});
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+export const isValidTimezone = (tz) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Stored row (or null) -> full preferences with defaults filled in
+const withDefaults = (row) => {
+  const stored = (row && row.channels) || {};
+  const channels = {};
+  NOTIFICATION_CATEGORIES.forEach((category) => {
+    channels[category] = { ...DEFAULT_CHANNELS[category], ...(stored[category] || {}) };
+  });
+  channels.security.in_app = true;
+
+  return {
+    channels,
+    quiet_hours: row && row.quiet_hours_start && row.quiet_hours_end
+      ? { start: row.quiet_hours_start, end: row.quiet_hours_end }
+      : null,
+    timezone: (row && row.timezone) || DEFAULT_TIMEZONE,
+    locale: row && SUPPORTED_LOCALES.includes(row.locale) ? row.locale : DEFAULT_LOCALE,
+    digest: row && DIGEST_FREQUENCIES.includes(row.digest) ? row.digest : DEFAULT_DIGEST,
+  };
+};
+
+// ---------------------------
+// READ / WRITE
+// ---------------------------
+export const getPreferences = async (empid) => {
+  const { data, error } = await supabase
+    .from('notification_preferences')
+    .select('*')
+    .eq('empid', empid)
+    .maybeSingle();
+
+  if (error) throw error;
+  return withDefaults(data);
+};
+
+// empids -> Map(empid -> preferences), for broadcasts
+export const loadPreferencesMap = async (empids) => {
+  const map = new Map(empids.map((id) => [String(id), withDefaults(null)]));
+  if (empids.length === 0) return map;
+
+  const { data, error } = await supabase
+    .from('notification_preferences')
+    .select('*')
+    .in('empid', empids);
+
+  if (error) throw error;
+  (data || []).forEach((row) => map.set(String(row.empid), withDefaults(row)));
+  return map;
+};
+
+// Validates a PUT body ({ channels, quiet_hours, timezone, locale, digest }, all optional) on top of the
+// current preferences. Returns { preferences } or { error }
+export const mergePreferences = (current, body) => {
+  const next = {
+    channels: Object.fromEntries(Object.entries(current.channels).map(([k, v]) => [k, { ...v }])),
+    quiet_hours: current.quiet_hours,
+    timezone: current.timezone,
+    locale: current.locale,
+    digest: current.digest,
+  };
+
+  if (body.channels !== undefined) {
+    if (!body.channels || typeof body.channels !== "object")
+      return { error: "channels must be an object keyed by category" };
+
+    for (const [category, switches] of Object.entries(body.channels)) {
+      if (!NOTIFICATION_CATEGORIES.includes(category))
+        return { error: `Unknown category "${category}". Use one of: ${NOTIFICATION_CATEGORIES.join(", ")}` };
+      if (!switches || typeof switches !== "object")
+        return { error: `channels.${category} must be an object` };
+
+      for (const [channel, enabled] of Object.entries(switches)) {
+        if (!NOTIFICATION_CHANNELS.includes(channel))
+          return { error: `Unknown channel "${channel}". Use one of: ${NOTIFICATION_CHANNELS.join(", ")}` };
+        if (typeof enabled !== "boolean")
+          return { error: `channels.${category}.${channel} must be true or false` };
+        next.channels[category][channel] = enabled;
+      }
+    }
+    if (!next.channels.security.in_app)
+      return { error: "Security notifications are always kept in the in-app inbox" };
+  }
+
+  if (body.quiet_hours !== undefined) {
+    if (body.quiet_hours === null) {
+      next.quiet_hours = null;
+    } else {
+      const { start, end } = body.quiet_hours || {};
+      if (!TIME_PATTERN.test(start || "") || !TIME_PATTERN.test(end || ""))
+        return { error: "quiet_hours needs start and end as HH:MM (24h)" };
+      if (start === end) return { error: "quiet_hours start and end must differ" };
+      next.quiet_hours = { start, end };
+    }
+  }
+
+  if (body.timezone !== undefined) {
+    if (!body.timezone || !isValidTimezone(body.timezone))
+      return { error: "timezone must be an IANA zone such as Asia/Kolkata" };
+    next.timezone = body.timezone;
+  }
+
+  if (body.locale !== undefined) {
+    if (!SUPPORTED_LOCALES.includes(body.locale))
+      return { error: `locale must be one of: ${SUPPORTED_LOCALES.join(", ")}` };
+    next.locale = body.locale;
+  }
+
+  if (body.digest !== undefined) {
+    if (!DIGEST_FREQUENCIES.includes(body.digest))
+      return { error: `digest must be one of: ${DIGEST_FREQUENCIES.join(", ")}` };
+    next.digest = body.digest;
+  }
+
+  return { preferences: next };
+};
+
+export const savePreferences = async (empid, preferences) => {
+  const { error } = await supabase
+    .from('notification_preferences')
+    .upsert({
+      empid,
+      channels: preferences.channels,
+      quiet_hours_start: preferences.quiet_hours ? preferences.quiet_hours.start : null,
+      quiet_hours_end: preferences.quiet_hours ? preferences.quiet_hours.end : null,
+      timezone: preferences.timezone,
+      locale: preferences.locale,
+      digest: preferences.digest,
+      updated_at: new Date().toISOString(),
+    }, { onConflict: 'empid' });
+
+  if (error) throw error;
+  return preferences;
+};
+
+// ---------------------------
+// DELIVERY DECISION
+// ---------------------------
+// "HH:MM" of `now` in the given timezone
+const localTime = (now, timezone) =>
+  new Intl.DateTimeFormat("en-GB", { timeZone: timezone, hour: "2-digit", minute: "2-digit", hourCycle: "h23" }).format(now);
+
+export const isQuietTime = (preferences, now = new Date()) => {
+  if (!preferences.quiet_hours) return false;
+  const { start, end } = preferences.quiet_hours;
+  const time = localTime(now, preferences.timezone);
+  // Windows may wrap midnight, e.g. 22:00 -> 07:00
+  return start < end ? time >= start && time < end : time >= start || time < end;
+};
+
+// Which channels deliver a notification of `category` right now
+export const resolveChannels = (preferences, category, now = new Date()) => {
+  const switches = preferences.channels[category] || preferences.channels.activities;
+  const quiet = category !== "security" && isQuietTime(preferences, now);
+
+  return {
+    in_app: switches.in_app,
+    push: switches.push && !quiet,
+    email: switches.email && !quiet,
+  };
+};
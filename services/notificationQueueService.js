@@ -0,0 +1,238 @@
+import supabase from "../db/supabaseClient.js";
+import { sendPush, loadSubscriptionsByIds } from "./pushSubscriptionService.js";
+
+// ---------------------------
+// CONFIG
+// ---------------------------
+const CONCURRENCY = parseInt(process.env.NOTIFICATION_QUEUE_CONCURRENCY, 10) || 10;
+const BATCH_SIZE = parseInt(process.env.NOTIFICATION_QUEUE_BATCH_SIZE, 10) || 100;
+const POLL_MS = parseInt(process.env.NOTIFICATION_QUEUE_POLL_MS, 10) || 5000;
+export const MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS, 10) || 5;
+const RETRY_BASE_SECONDS = parseInt(process.env.NOTIFICATION_RETRY_BASE_SECONDS, 10) || 30;
+const RETRY_MAX_SECONDS = 60 * 60;
+// A broadcast left in 'expanding' this long belongs to a worker that died; it is expanded again
+const EXPAND_STALE_SECONDS = parseInt(process.env.NOTIFICATION_EXPAND_STALE_SECONDS, 10) || 600;
+
+const INSERT_CHUNK_SIZE = 500;
+
+// 30s, 60s, 120s, ... capped at an hour; a longer Retry-After from the push service wins
+const retryDelaySeconds = (attempts, retryAfterSeconds) =>
+  Math.max(retryAfterSeconds || 0, Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), RETRY_MAX_SECONDS));
+
+// ---------------------------
+// BROADCAST EXPANSION
+// ---------------------------
+// Broadcasts are stored as a single row and fanned out by the worker. The notification
+// controller owns audience resolution and the inbox, so it registers the expander:
+//   expander(broadcast) -> { recipientCount, deliveries: [{ empid, subscription_id, notification_id, payload }] }
+let broadcastExpander = null;
+
+export const registerBroadcastExpander = (fn) => {
+  broadcastExpander = fn;
+};
+
+// ---------------------------
+// ENQUEUE
+// ---------------------------
+export const enqueuePushDeliveries = async (deliveries) => {
+  for (let i = 0; i < deliveries.length; i += INSERT_CHUNK_SIZE) {
+    const { error } = await supabase
+      .from('notification_deliveries')
+      .insert(deliveries.slice(i, i + INSERT_CHUNK_SIZE).map((d) => ({
+        broadcast_id: d.broadcast_id || null,
+        notification_id: d.notification_id || null,
+        empid: d.empid,
+        subscription_id: d.subscription_id,
+        channel: "push",
+        payload: d.payload,
+      })));
+
+    if (error) throw error;
+  }
+
+  if (deliveries.length > 0) kickQueue();
+  return deliveries.length;
+};
+
+export const createBroadcast = async ({ category, payload, audience = {}, createdBy = null }) => {
+  const { data, error } = await supabase
+    .from('notification_broadcasts')
+    .insert([{ category, payload, audience, created_by: createdBy }])
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  kickQueue();
+  return data;
+};
+
+// ---------------------------
+// WORKER
+// ---------------------------
+const runWithConcurrency = async (items, limit, worker) => {
+  let next = 0;
+  const lanes = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) await worker(items[next++]);
+  });
+  await Promise.all(lanes);
+};
+
+const expandQueuedBroadcasts = async () => {
+  if (!broadcastExpander) return;
+
+  const staleBefore = new Date(Date.now() - EXPAND_STALE_SECONDS * 1000).toISOString();
+
+  const { data: queued, error } = await supabase
+    .from('notification_broadcasts')
+    .select('*')
+    .or(`status.eq.queued,and(status.eq.expanding,started_at.lt.${staleBefore})`)
+    .order('created_at', { ascending: true })
+    .limit(10);
+
+  if (error) throw error;
+
+  for (const candidate of queued || []) {
+    // Claim it, so only one worker expands each broadcast; a stale claim is taken over by
+    // matching on the old started_at
+    let claim = supabase
+      .from('notification_broadcasts')
+      .update({ status: 'expanding', started_at: new Date().toISOString() })
+      .eq('id', candidate.id)
+      .eq('status', candidate.status);
+    if (candidate.status === 'expanding') claim = claim.eq('started_at', candidate.started_at);
+
+    const { data: claimed, error: claimError } = await claim.select();
+
+    if (claimError) throw claimError;
+    if (!claimed || claimed.length === 0) continue;
+    const broadcast = claimed[0];
+    if (candidate.status === 'expanding') console.warn(`Broadcast ${broadcast.id} was stuck expanding since ${candidate.started_at}; expanding it again`);
+
+    try {
+      const { recipientCount, deliveries } = await broadcastExpander(broadcast);
+
+      // Totals go in before the deliveries so outcomes can complete the broadcast
+      const { error: totalsError } = await supabase
+        .from('notification_broadcasts')
+        .update({
+          recipient_count: recipientCount,
+          push_total: deliveries.length,
+          status: deliveries.length > 0 ? 'sending' : 'completed',
+          completed_at: deliveries.length > 0 ? null : new Date().toISOString(),
+        })
+        .eq('id', broadcast.id);
+
+      if (totalsError) throw totalsError;
+
+      await enqueuePushDeliveries(deliveries.map((d) => ({ ...d, broadcast_id: broadcast.id })));
+    } catch (err) {
+      console.error(`Broadcast ${broadcast.id} expansion error:`, err);
+      await supabase
+        .from('notification_broadcasts')
+        .update({ status: 'failed', error: String(err.message || err).slice(0, 500) })
+        .eq('id', broadcast.id);
+    }
+  }
+};
+
+const processDelivery = async (delivery, subscriptions) => {
+  const subscription = subscriptions.get(delivery.subscription_id);
+
+  // A subscription that disappeared since enqueueing was pruned or removed by its owner
+  const result = subscription
+    ? await sendPush(subscription, delivery.payload)
+    : { outcome: "pruned", statusCode: null };
+
+  const attempts = delivery.attempts + 1;
+  const now = new Date();
+  const update = {
+    attempts,
+    locked_at: null,
+    last_status_code: result.statusCode || null,
+    last_error: result.error || null,
+    updated_at: now.toISOString(),
+  };
+
+  let outcome = result.outcome;
+  if (outcome === "retry" && attempts < MAX_ATTEMPTS) {
+    update.status = "pending";
+    update.next_attempt_at = new Date(now.getTime() + retryDelaySeconds(attempts, result.retryAfterSeconds) * 1000).toISOString();
+    outcome = null;
+  } else if (outcome === "retry") {
+    // Out of attempts: dead-letter it
+    update.status = "dead";
+    outcome = "failed";
+  } else {
+    update.status = outcome;
+  }
+
+  const { error } = await supabase
+    .from('notification_deliveries')
+    .update(update)
+    .eq('id', delivery.id);
+
+  if (error) throw error;
+
+  if (outcome && delivery.broadcast_id) {
+    const { error: statsError } = await supabase.rpc('record_broadcast_outcome', {
+      p_broadcast_id: delivery.broadcast_id,
+      p_outcome: outcome,
+    });
+    if (statsError) console.error("Broadcast stats error:", statsError);
+  }
+};
+
+const processDueDeliveries = async () => {
+  for (;;) {
+    const { data: batch, error } = await supabase.rpc('claim_notification_deliveries', { batch_size: BATCH_SIZE });
+    if (error) throw error;
+    if (!batch || batch.length === 0) return;
+
+    const subscriptionIds = [...new Set(batch.map((d) => d.subscription_id).filter(Boolean))];
+    const subscriptions = await loadSubscriptionsByIds(subscriptionIds);
+
+    await runWithConcurrency(batch, CONCURRENCY, (delivery) =>
+      processDelivery(delivery, subscriptions).catch((err) => console.error(`Delivery ${delivery.id} error:`, err))
+    );
+
+    if (batch.length < BATCH_SIZE) return;
+  }
+};
+
+let running = false;
+let rerun = false;
+let timer = null;
+
+// Expands queued broadcasts, then drains due deliveries. Overlapping calls fold into one
+// extra pass instead of running side by side.
+export const processQueue = async () => {
+  if (running) {
+    rerun = true;
+    return;
+  }
+  running = true;
+
+  try {
+    do {
+      rerun = false;
+      await expandQueuedBroadcasts();
+      await processDueDeliveries();
+    } while (rerun);
+  } catch (err) {
+    console.error("Notification queue error:", err);
+  } finally {
+    running = false;
+  }
+};
+
+export const kickQueue = () => {
+  setImmediate(processQueue);
+};
+
+export const startNotificationWorker = () => {
+  if (timer) return;
+  console.log("Starting Notification Queue Worker...");
+  timer = setInterval(processQueue, POLL_MS);
+  processQueue();
+};
@@ -0,0 +1,299 @@
+import supabase from "../db/supabaseClient.js";
+
+// ---------------------------
+// LOCALES
+// ---------------------------
+export const SUPPORTED_LOCALES = ["en", "hi"];
+
+export const DEFAULT_LOCALE = SUPPORTED_LOCALES.includes(process.env.NOTIFICATION_DEFAULT_LOCALE)
+  ? process.env.NOTIFICATION_DEFAULT_LOCALE
+  : "en";
+
+// ---------------------------
+// REGISTRY
+// ---------------------------
+// One entry per event: its preference category, default link and the copy per locale.
+// Copy uses {{variable}} placeholders filled from the params passed at the call site.
+// Admins can override title/message per locale (notification_template_overrides).
+export const NOTIFICATION_TEMPLATES = Object.freeze({
+  // Security
+  "auth.account_locked": {
+    category: "security",
+    url: "/login",
+    en: { title: "Account Locked", message: "Your account was locked for {{minutes}} minutes after too many failed login attempts. If this wasn't you, reset your password." },
+    hi: { title: "खाता लॉक किया गया", message: "कई बार गलत लॉगिन प्रयासों के कारण आपका खाता {{minutes}} मिनट के लिए लॉक कर दिया गया है। अगर यह आपने नहीं किया, तो अपना पासवर्ड रीसेट करें।" },
+  },
+  "auth.login": {
+    category: "security",
+    url: "/",
+    en: { title: "New Login Detected", message: "Login detected for {{email}} at {{time}}" },
+    hi: { title: "नया लॉगिन", message: "{{email}} के लिए {{time}} पर लॉगिन हुआ।" },
+  },
+  "auth.password_changed": {
+    category: "security",
+    url: "/profile",
+    en: { title: "Password Changed", message: "Your password has been successfully updated." },
+    hi: { title: "पासवर्ड बदला गया", message: "आपका पासवर्ड सफलतापूर्वक अपडेट हो गया है।" },
+  },
+  "auth.password_reset": {
+    category: "security",
+    url: "/login",
+    en: { title: "Password Reset", message: "Your password was reset. All devices have been signed out." },
+    hi: { title: "पासवर्ड रीसेट", message: "आपका पासवर्ड रीसेट कर दिया गया है। सभी डिवाइस से साइन आउट कर दिया गया है।" },
+  },
+  "auth.account_unlocked": {
+    category: "security",
+    url: "/login",
+    en: { title: "Account Unlocked", message: "Your account has been unlocked by an administrator. You can log in again." },
+    hi: { title: "खाता अनलॉक किया गया", message: "एक एडमिनिस्ट्रेटर ने आपका खाता अनलॉक कर दिया है। अब आप फिर से लॉगिन कर सकते हैं।" },
+  },
+
+  // Profile
+  "profile.updated": {
+    category: "profile",
+    url: "/profile",
+    en: { title: "Profile Updated", message: "Your profile details have been successfully updated." },
+    hi: { title: "प्रोफ़ाइल अपडेट हुई", message: "आपकी प्रोफ़ाइल की जानकारी सफलतापूर्वक अपडेट हो गई है।" },
+  },
+  "profile.stale_reminder": {
+    category: "profile",
+    url: "/details",
+    en: { title: "Update Your Details", message: "It's been {{days}} days! Please update your Skills and Availability in the Details screen." },
+    hi: { title: "अपनी जानकारी अपडेट करें", message: "{{days}} दिन हो गए हैं! कृपया Details स्क्रीन में अपने स्किल्स और उपलब्धता अपडेट करें।" },
+  },
+
+  // Activities
+  "project.new": {
+    category: "activities",
+    url: "/inline-activities",
+    en: { title: "New Activity Available", message: "A new activity \"{{project}}\" has been posted. Check it out!" },
+    hi: { title: "नई गतिविधि उपलब्ध", message: "एक नई गतिविधि \"{{project}}\" पोस्ट की गई है। अभी देखें!" },
+  },
+  "project.started": {
+    category: "activities",
+    url: "/inline-activities",
+    en: { title: "Activity Started", message: "\"{{project}}\" is now in progress." },
+    hi: { title: "गतिविधि शुरू हुई", message: "\"{{project}}\" अब प्रगति पर है।" },
+  },
+  "project.completed": {
+    category: "activities",
+    url: "/inline-activities",
+    en: { title: "Activity Completed", message: "\"{{project}}\" has been marked as completed. Thanks for your work!" },
+    hi: { title: "गतिविधि पूरी हुई", message: "\"{{project}}\" को पूरा चिह्नित कर दिया गया है। आपके काम के लिए धन्यवाद!" },
+  },
+  "project.cancelled": {
+    category: "activities",
+    url: "/inline-activities",
+    en: { title: "Activity Cancelled", message: "\"{{project}}\" has been cancelled." },
+    hi: { title: "गतिविधि रद्द", message: "\"{{project}}\" रद्द कर दी गई है।" },
+  },
+  "project.expired": {
+    category: "activities",
+    url: "/inline-activities",
+    en: { title: "Activity Expired", message: "\"{{project}}\" has passed its end date and was closed." },
+    hi: { title: "गतिविधि की समय-सीमा समाप्त", message: "\"{{project}}\" की अंतिम तिथि निकल चुकी है और इसे बंद कर दिया गया है।" },
+  },
+  "project.expired_owner": {
+    category: "activities",
+    url: "/inline-activities",
+    en: { title: "Activity Expired", message: "\"{{project}}\" passed its end date and was marked Expired. Extend the end date to reopen it." },
+    hi: { title: "गतिविधि की समय-सीमा समाप्त", message: "\"{{project}}\" की अंतिम तिथि निकल गई और इसे Expired चिह्नित किया गया है। इसे फिर से खोलने के लिए अंतिम तिथि बढ़ाएँ।" },
+  },
+  "application.received": {
+    category: "activities",
+    url: "/inline-activities",
+    en: { title: "New Application", message: "Someone applied to \"{{project}}\"." },
+    hi: { title: "नया आवेदन", message: "किसी ने \"{{project}}\" के लिए आवेदन किया है।" },
+  },
+  "application.shortlisted": {
+    category: "activities",
+    url: "/inline-activities",
+    en: { title: "You've been shortlisted", message: "You were shortlisted for \"{{project}}\"." },
+    hi: { title: "आप शॉर्टलिस्ट हुए", message: "आपको \"{{project}}\" के लिए शॉर्टलिस्ट किया गया है।" },
+  },
+  "application.accepted": {
+    category: "activities",
+    url: "/inline-activities",
+    en: { title: "Application Accepted", message: "You've been accepted onto \"{{project}}\". Welcome aboard!" },
+    hi: { title: "आवेदन स्वीकृत", message: "आपको \"{{project}}\" में शामिल कर लिया गया है। स्वागत है!" },
+  },
+  "application.rejected": {
+    category: "activities",
+    url: "/inline-activities",
+    en: { title: "Application Update", message: "Your application for \"{{project}}\" was not selected this time." },
+    hi: { title: "आवेदन अपडेट", message: "इस बार \"{{project}}\" के लिए आपके आवेदन का चयन नहीं हुआ।" },
+  },
+  "member.added": {
+    category: "activities",
+    url: "/inline-activities",
+    en: { title: "Added to Activity", message: "You've been added to \"{{project}}\"." },
+    hi: { title: "गतिविधि में जोड़ा गया", message: "आपको \"{{project}}\" में जोड़ा गया है।" },
+  },
+  "member.added_with_hours": {
+    category: "activities",
+    url: "/inline-activities",
+    en: { title: "Added to Activity", message: "You've been added to \"{{project}}\" for {{hours}} hours/week." },
+    hi: { title: "गतिविधि में जोड़ा गया", message: "आपको \"{{project}}\" में {{hours}} घंटे/सप्ताह के लिए जोड़ा गया है।" },
+  },
+  "member.removed": {
+    category: "activities",
+    url: "/inline-activities",
+    en: { title: "Removed from Activity", message: "You're no longer staffed on \"{{project}}\"." },
+    hi: { title: "गतिविधि से हटाया गया", message: "अब आप \"{{project}}\" पर नहीं हैं।" },
+  },
+  "broadcast.announcement": {
+    category: "activities",
+    url: "/",
+    en: { title: "{{title}}", message: "{{message}}" },
+    hi: { title: "{{title}}", message: "{{message}}" },
+  },
+  "comment.mention": {
+    category: "activities",
+    url: "/inline-activities",
+    en: { title: "You were mentioned", message: "{{author}} mentioned you in a comment on \"{{project}}\"." },
+    hi: { title: "आपका उल्लेख किया गया", message: "{{author}} ने \"{{project}}\" पर एक टिप्पणी में आपका उल्लेख किया।" },
+  },
+  "comment.reply": {
+    category: "activities",
+    url: "/inline-activities",
+    en: { title: "New Reply", message: "{{author}} replied to your comment on \"{{project}}\"." },
+    hi: { title: "नया जवाब", message: "{{author}} ने \"{{project}}\" पर आपकी टिप्पणी का जवाब दिया।" },
+  },
+  "comment.new": {
+    category: "activities",
+    url: "/inline-activities",
+    en: { title: "New Comment", message: "{{author}} commented on \"{{project}}\"." },
+    hi: { title: "नई टिप्पणी", message: "{{author}} ने \"{{project}}\" पर टिप्पणी की।" },
+  },
+
+  // Reminders
+  "project.deadline": {
+    category: "reminders",
+    url: "/inline-activities",
+    en: { title: "Activity Deadline Approaching", message: "\"{{project}}\" ends on {{date}}. Days left: {{days}}." },
+    hi: { title: "गतिविधि की अंतिम तिथि नज़दीक", message: "\"{{project}}\" {{date}} को समाप्त होगी। शेष दिन: {{days}}।" },
+  },
+  "manager.weekly_summary": {
+    category: "reminders",
+    url: "/inline-activities",
+    en: { title: "Weekly Activity Summary", message: "Your open activities: {{own}} ({{ending}} ending this week). Open across the team: {{team}}." },
+    hi: { title: "साप्ताहिक गतिविधि सारांश", message: "आपकी खुली गतिविधियाँ: {{own}} (इस सप्ताह {{ending}} समाप्त हो रही हैं)। पूरी टीम में खुली गतिविधियाँ: {{team}}।" },
+  },
+
+  // Email digest (title is the subject line, message the opening paragraph)
+  "digest.daily": {
+    category: "reminders",
+    url: "/",
+    en: { title: "Your Bluebird daily digest", message: "Hi {{name}}, here's what happened since yesterday." },
+    hi: { title: "आपका Bluebird दैनिक सारांश", message: "नमस्ते {{name}}, कल से अब तक की गतिविधियाँ यहाँ हैं।" },
+  },
+  "digest.weekly": {
+    category: "reminders",
+    url: "/",
+    en: { title: "Your Bluebird weekly digest", message: "Hi {{name}}, here's what happened this past week." },
+    hi: { title: "आपका Bluebird साप्ताहिक सारांश", message: "नमस्ते {{name}}, पिछले सप्ताह की गतिविधियाँ यहाँ हैं।" },
+  },
+});
+
+export const isTemplateKey = (key) => Object.prototype.hasOwnProperty.call(NOTIFICATION_TEMPLATES, key);
+
+export const templateCategory = (key) => (isTemplateKey(key) ? NOTIFICATION_TEMPLATES[key].category : null);
+
+// Variables a template uses, e.g. ["project", "date", "days"]
+const templateVariables = (copy) =>
+  [...new Set([...`${copy.title} ${copy.message}`.matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map((m) => m[1]))];
+
+// "Hello {{name}}" + { name: "Asha" } -> "Hello Asha"; unknown variables render empty
+export const interpolate = (text, params = {}) =>
+  String(text).replace(/\{\{\s*(\w+)\s*\}\}/g, (_, name) => (params[name] === undefined || params[name] === null ? "" : String(params[name])));
+
+// ---------------------------
+// OVERRIDES
+// ---------------------------
+// Cached briefly so a broadcast doesn't hit the table per recipient; writes through this
+// module invalidate the cache immediately.
+const OVERRIDE_CACHE_MS = 60 * 1000;
+let overrideCache = null;
+let overrideCacheAt = 0;
+
+const loadOverrides = async () => {
+  if (overrideCache && Date.now() - overrideCacheAt < OVERRIDE_CACHE_MS) return overrideCache;
+
+  const { data, error } = await supabase
+    .from('notification_template_overrides')
+    .select('event_key, locale, title, message, updated_by, updated_at');
+
+  if (error) throw error;
+
+  overrideCache = new Map((data || []).map((row) => [`${row.event_key}:${row.locale}`, row]));
+  overrideCacheAt = Date.now();
+  return overrideCache;
+};
+
+export const setTemplateOverride = async (key, locale, { title, message }, updatedBy) => {
+  const { data, error } = await supabase
+    .from('notification_template_overrides')
+    .upsert({ event_key: key, locale, title, message, updated_by: updatedBy, updated_at: new Date().toISOString() },
+      { onConflict: 'event_key,locale' })
+    .select()
+    .single();
+
+  if (error) throw error;
+  overrideCache = null;
+  return data;
+};
+
+// Returns true when an override was removed
+export const removeTemplateOverride = async (key, locale) => {
+  const { data, error } = await supabase
+    .from('notification_template_overrides')
+    .delete()
+    .eq('event_key', key)
+    .eq('locale', locale)
+    .select('event_key');
+
+  if (error) throw error;
+  overrideCache = null;
+  return (data || []).length > 0;
+};
+
+// Registry plus overrides, for the admin screen
+export const listTemplates = async () => {
+  const overrides = await loadOverrides();
+
+  return Object.entries(NOTIFICATION_TEMPLATES).map(([key, template]) => ({
+    key,
+    category: template.category,
+    url: template.url,
+    variables: templateVariables(template.en),
+    locales: Object.fromEntries(SUPPORTED_LOCALES.map((locale) => {
+      const override = overrides.get(`${key}:${locale}`);
+      return [locale, {
+        default: template[locale],
+        override: override ? { title: override.title, message: override.message, updated_by: override.updated_by, updated_at: override.updated_at } : null,
+      }];
+    })),
+  }));
+};
+
+// ---------------------------
+// RENDER
+// ---------------------------
+// Copy lookup: override in the locale, default in the locale, then the same in English.
+// Resolves to { category, url, title, message }.
+export const renderTemplate = async (key, params = {}, locale = DEFAULT_LOCALE) => {
+  if (!isTemplateKey(key)) throw new Error(`Unknown notification template "${key}"`);
+
+  const template = NOTIFICATION_TEMPLATES[key];
+  const overrides = await loadOverrides();
+  const lang = SUPPORTED_LOCALES.includes(locale) ? locale : DEFAULT_LOCALE;
+
+  const copy = overrides.get(`${key}:${lang}`) || template[lang] || overrides.get(`${key}:en`) || template.en;
+
+  return {
+    category: template.category,
+    url: template.url,
+    title: interpolate(copy.title, params),
+    message: interpolate(copy.message, params),
+  };
+};
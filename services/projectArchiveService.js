@@ -0,0 +1,80 @@
+import supabase from "../db/supabaseClient.js";
+import { removeProjectMember } from "./membershipService.js";
+
+// ---------------------------
+// ARCHIVE / RESTORE / PURGE
+// ---------------------------
+// Deleting a project only stamps deleted_at / deleted_by. It can be restored until the
+// retention window passes, after which purgeArchivedProjects removes it for good.
+export const PROJECT_RETENTION_DAYS = parseInt(process.env.PROJECT_RETENTION_DAYS, 10) || 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const restorableUntil = (project) =>
+  project.deleted_at ? new Date(new Date(project.deleted_at).getTime() + PROJECT_RETENTION_DAYS * DAY_MS) : null;
+
+// Returns the archived row, or null when it was already archived
+export const archiveProject = async (projectId, deletedBy) => {
+  const { data, error } = await supabase
+    .from('projects')
+    .update({ deleted_at: new Date().toISOString(), deleted_by: deletedBy })
+    .eq('id', projectId)
+    .is('deleted_at', null)
+    .select();
+
+  if (error) throw error;
+  return data && data.length > 0 ? data[0] : null;
+};
+
+// Returns { project } or { error: 'not_archived' | 'expired' }
+export const restoreProject = async (project) => {
+  if (!project.deleted_at) return { error: "not_archived" };
+  if (restorableUntil(project) < new Date()) return { error: "expired" };
+
+  const { data, error } = await supabase
+    .from('projects')
+    .update({ deleted_at: null, deleted_by: null })
+    .eq('id', project.id)
+    .eq('deleted_at', project.deleted_at)
+    .select();
+
+  if (error) throw error;
+  if (!data || data.length === 0) return { error: "not_archived" };
+  return { project: data[0] };
+};
+
+// Hard-deletes projects archived longer than the retention window. Members are released
+// first so their allocated hours go back to their availability; applications and history
+// go with the row (on delete cascade).
+export const purgeArchivedProjects = async () => {
+  const cutoff = new Date(Date.now() - PROJECT_RETENTION_DAYS * DAY_MS).toISOString();
+
+  const { data: expired, error } = await supabase
+    .from('projects')
+    .select('id')
+    .lt('deleted_at', cutoff);
+
+  if (error) throw error;
+
+  let purged = 0;
+  for (const { id } of expired || []) {
+    const { data: members, error: memberError } = await supabase
+      .from('project_members')
+      .select('empid')
+      .eq('project_id', id);
+
+    if (memberError) throw memberError;
+    for (const { empid } of members || []) await removeProjectMember(id, empid);
+
+    const { error: deleteError } = await supabase
+      .from('projects')
+      .delete()
+      .eq('id', id)
+      .lt('deleted_at', cutoff);
+
+    if (deleteError) throw deleteError;
+    purged++;
+  }
+
+  return purged;
+};
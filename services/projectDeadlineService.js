@@ -0,0 +1,195 @@
+import supabase from "../db/supabaseClient.js";
+import { PROJECT_STATUS, LIVE_STATUSES, transitionProject, LifecycleError } from "./projectLifecycleService.js";
+import { parseDate, toIsoDate } from "../utils/queryHelpers.js";
+
+// ---------------------------
+// CONFIG
+// ---------------------------
+const MAX_LEAD_DAYS = 365;
+
+// Reminder lead times in days before end_date, largest first
+const parseLeadList = (value) => [...new Set(
+  (Array.isArray(value) ? value : String(value ?? "").split(","))
+    .map((d) => Number(String(d).trim()))
+)].sort((a, b) => b - a);
+
+export const DEFAULT_REMINDER_DAYS = (() => {
+  const days = parseLeadList(process.env.DEADLINE_REMINDER_DAYS || "7,1")
+    .filter((d) => Number.isInteger(d) && d >= 0 && d <= MAX_LEAD_DAYS);
+  return days.length > 0 ? days : [7, 1];
+})();
+
+// Validates a project's reminder_days input: null/"" resets to the default.
+// Returns { days } (null = default) or { error }
+export const parseReminderDays = (value) => {
+  if (value === null || value === "" || (Array.isArray(value) && value.length === 0)) return { days: null };
+
+  const days = parseLeadList(value);
+  if (days.some((d) => !Number.isInteger(d) || d < 0 || d > MAX_LEAD_DAYS))
+    return { error: `reminder_days must be whole numbers of days between 0 and ${MAX_LEAD_DAYS}` };
+  return { days };
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const startOfToday = () => {
+  const d = new Date();
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+
+const daysBetween = (from, to) => Math.round((to.getTime() - from.getTime()) / DAY_MS);
+
+const loadMemberIds = async (projectIds) => {
+  const byProject = new Map(projectIds.map((id) => [id, []]));
+  if (projectIds.length === 0) return byProject;
+
+  const { data, error } = await supabase
+    .from('project_members')
+    .select('project_id, empid')
+    .in('project_id', projectIds);
+
+  if (error) throw error;
+  (data || []).forEach((m) => byProject.get(m.project_id)?.push(String(m.empid)));
+  return byProject;
+};
+
+// ---------------------------
+// DEADLINE REMINDERS
+// ---------------------------
+// For every live project ending within its largest lead time, notify the creator and members
+// once per lead time. When several lead times are already due (e.g. the project was created
+// two days before its end date) only the closest one is sent.
+// `notify(empid, payload)` delivers a single notification. Returns the number of projects reminded.
+export const sendDeadlineReminders = async (notify) => {
+  const today = startOfToday();
+
+  const { data: projects, error } = await supabase
+    .from('projects')
+    .select('id, empid, project_name, end_date, reminder_days')
+    .in('status', LIVE_STATUSES)
+    .is('deleted_at', null)
+    .gte('end_date', toIsoDate(today))
+    .lte('end_date', toIsoDate(new Date(today.getTime() + MAX_LEAD_DAYS * DAY_MS)));
+
+  if (error) throw error;
+
+  const due = [];
+  for (const project of projects || []) {
+    const end = parseDate(project.end_date);
+    if (!end) continue;
+
+    const daysLeft = daysBetween(today, end);
+    const leads = (project.reminder_days && project.reminder_days.length > 0 ? project.reminder_days : DEFAULT_REMINDER_DAYS)
+      .filter((d) => d >= daysLeft);
+    if (leads.length > 0) due.push({ project, daysLeft, leads, endDate: toIsoDate(end) });
+  }
+  if (due.length === 0) return 0;
+
+  const { data: sentRows, error: sentError } = await supabase
+    .from('project_deadline_reminders')
+    .select('project_id, lead_days, end_date')
+    .in('project_id', due.map((d) => d.project.id));
+
+  if (sentError) throw sentError;
+  const sent = new Set((sentRows || []).map((r) => `${r.project_id}:${r.lead_days}:${r.end_date}`));
+
+  const pending = due
+    .map((d) => ({ ...d, leads: d.leads.filter((lead) => !sent.has(`${d.project.id}:${lead}:${d.endDate}`)) }))
+    .filter((d) => d.leads.length > 0);
+  if (pending.length === 0) return 0;
+
+  const members = await loadMemberIds(pending.map((d) => d.project.id));
+
+  for (const { project, daysLeft, leads, endDate } of pending) {
+    // Claim the reminder first so a concurrent run can't send it twice
+    const { data: claimed, error: claimError } = await supabase
+      .from('project_deadline_reminders')
+      .upsert(leads.map((lead) => ({ project_id: project.id, lead_days: lead, end_date: endDate })),
+        { onConflict: 'project_id,lead_days,end_date', ignoreDuplicates: true })
+      .select('id');
+
+    if (claimError) throw claimError;
+    if (!claimed || claimed.length === 0) continue;
+
+    const recipients = new Set([project.empid, ...(members.get(project.id) || [])].filter(Boolean).map(String));
+
+    recipients.forEach((empid) => notify(empid, {
+      template: "project.deadline",
+      params: { project: project.project_name, date: endDate, days: daysLeft }
+    }));
+  }
+
+  return pending.length;
+};
+
+// ---------------------------
+// AUTO-EXPIRE
+// ---------------------------
+// Moves live projects whose end_date has passed to Expired. `onExpired(project)` runs
+// for each one that was moved. Returns the number of projects expired.
+export const expireOverdueProjects = async (onExpired) => {
+  const { data: projects, error } = await supabase
+    .from('projects')
+    .select('*')
+    .in('status', LIVE_STATUSES)
+    .is('deleted_at', null)
+    .lt('end_date', toIsoDate(startOfToday()));
+
+  if (error) throw error;
+
+  let expired = 0;
+  for (const project of projects || []) {
+    try {
+      const result = await transitionProject(project, PROJECT_STATUS.EXPIRED, { reason: "End date passed" });
+      expired++;
+      await onExpired(result.project);
+    } catch (err) {
+      // Someone moved it in the meantime; the next run will look again
+      if (!(err instanceof LifecycleError)) throw err;
+    }
+  }
+
+  return expired;
+};
+
+// ---------------------------
+// MANAGER SUMMARY
+// ---------------------------
+// One summary per manager: their own live activities (and how many end this week) plus
+// the team-wide count. Returns the number of managers notified.
+export const sendManagerSummaries = async (notify) => {
+  const today = startOfToday();
+  const weekEnd = toIsoDate(new Date(today.getTime() + 7 * DAY_MS));
+
+  const [{ data: projects, error }, { data: managers, error: managerError }] = await Promise.all([
+    supabase
+      .from('projects')
+      .select('id, empid, end_date')
+      .in('status', LIVE_STATUSES)
+      .is('deleted_at', null),
+    supabase
+      .from('employees')
+      .select('empid')
+      .or('role_type.ilike.manager,role_type.ilike.admin'),
+  ]);
+
+  if (error) throw error;
+  if (managerError) throw managerError;
+
+  const open = projects || [];
+  let sent = 0;
+
+  for (const manager of managers || []) {
+    const own = open.filter((p) => String(p.empid) === String(manager.empid));
+    const endingSoon = own.filter((p) => p.end_date && String(p.end_date).slice(0, 10) <= weekEnd).length;
+
+    notify(manager.empid, {
+      template: "manager.weekly_summary",
+      params: { own: own.length, ending: endingSoon, team: open.length }
+    });
+    sent++;
+  }
+
+  return sent;
+};
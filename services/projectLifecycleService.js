@@ -0,0 +1,147 @@
+import supabase from "../db/supabaseClient.js";
+import { can } from "../utils/permissions.js";
+import { publish, projectSummary } from "./realtimeService.js";
+import { releaseProjectAllocations } from "./membershipService.js";
+
+// ---------------------------
+// STATES
+// ---------------------------
+// Draft -> Open -> Staffing -> In Progress -> Completed, with Cancelled reachable from any
+// live state. Live projects whose end_date passes are moved to Expired by the scheduler;
+// extending the end date and reopening brings them back. Each allowed transition names the
+// permission it needs: the creator (or an Admin) drives the normal flow, reopening a
+// finished project is Admin-only.
+export const PROJECT_STATUS = Object.freeze({
+  DRAFT: "Draft",
+  OPEN: "Open",
+  STAFFING: "Staffing",
+  IN_PROGRESS: "In Progress",
+  COMPLETED: "Completed",
+  CANCELLED: "Cancelled",
+  EXPIRED: "Expired",
+});
+
+const S = PROJECT_STATUS;
+
+const TRANSITIONS = {
+  [S.DRAFT]: { [S.OPEN]: "projects:update", [S.CANCELLED]: "projects:update" },
+  [S.OPEN]: { [S.STAFFING]: "projects:update", [S.DRAFT]: "projects:update", [S.CANCELLED]: "projects:update", [S.EXPIRED]: "projects:update" },
+  [S.STAFFING]: { [S.IN_PROGRESS]: "projects:update", [S.OPEN]: "projects:update", [S.CANCELLED]: "projects:update", [S.EXPIRED]: "projects:update" },
+  [S.IN_PROGRESS]: { [S.COMPLETED]: "projects:update", [S.CANCELLED]: "projects:update", [S.EXPIRED]: "projects:update" },
+  [S.COMPLETED]: { [S.IN_PROGRESS]: "projects:reopen" },
+  [S.CANCELLED]: { [S.DRAFT]: "projects:reopen" },
+  [S.EXPIRED]: { [S.OPEN]: "projects:update", [S.IN_PROGRESS]: "projects:update", [S.COMPLETED]: "projects:update", [S.CANCELLED]: "projects:update" },
+};
+
+// Finished: members' allocated hours are given back on entering any of these
+export const TERMINAL_STATUSES = [S.COMPLETED, S.CANCELLED, S.EXPIRED];
+
+// Statuses a project may be created in
+export const INITIAL_STATUSES = [S.DRAFT, S.OPEN];
+
+// Statuses in which a project takes applications and shows up in matches
+export const RECRUITING_STATUSES = [S.OPEN, S.STAFFING];
+
+// Published and not finished: these get deadline reminders and expire after end_date
+export const LIVE_STATUSES = [S.OPEN, S.STAFFING, S.IN_PROGRESS];
+
+// Reviving an Expired project into a live status only sticks if its end date has been moved
+// out of the past; otherwise the nightly expiry job would expire it again.
+export const requiresCurrentEndDate = (from, to) => from === S.EXPIRED && LIVE_STATUSES.includes(to);
+
+// Drafts are only visible to their creator and to whoever may update any project (Admins)
+export const isProjectVisibleTo = (project, user) =>
+  project.status !== S.DRAFT ||
+  String(project.empid) === String(user.empid) ||
+  can(user, "projects:update", { isOwner: false });
+
+const BY_KEY = new Map(
+  Object.values(S).map((status) => [status.toLowerCase().replace(/[\s_-]+/g, " "), status])
+);
+
+// Case/spacing-insensitive lookup of a canonical status ("in_progress" -> "In Progress")
+export const normalizeStatus = (value) =>
+  BY_KEY.get(String(value || "").trim().toLowerCase().replace(/[\s_-]+/g, " ")) || null;
+
+export const allowedTransitions = (from) => Object.keys(TRANSITIONS[normalizeStatus(from)] || {});
+
+// Permission required for from -> to, or null when the transition is not allowed
+export const transitionPermission = (from, to) => (TRANSITIONS[normalizeStatus(from)] || {})[to] || null;
+
+export const isRecruiting = (status) => RECRUITING_STATUSES.includes(normalizeStatus(status));
+
+// Members can be added or re-allocated once a project is published and until it finishes
+export const isStaffable = (status) => {
+  const current = normalizeStatus(status);
+  return current !== S.DRAFT && !TERMINAL_STATUSES.includes(current);
+};
+
+export class LifecycleError extends Error {
+  constructor(message, code = "INVALID_TRANSITION") {
+    super(message);
+    this.name = "LifecycleError";
+    this.code = code;
+  }
+}
+
+// ---------------------------
+// HISTORY
+// ---------------------------
+export const recordStatusChange = async (projectId, { from, to, changedBy = null, reason = null }) => {
+  const { error } = await supabase
+    .from('project_status_history')
+    .insert([{ project_id: projectId, from_status: from, to_status: to, changed_by: changedBy, reason }]);
+
+  if (error) throw error;
+};
+
+export const listStatusHistory = async (projectId) => {
+  const { data, error } = await supabase
+    .from('project_status_history')
+    .select('id, from_status, to_status, reason, created_at, changed_by, actor:employees(empid, name)')
+    .eq('project_id', projectId)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+};
+
+// ---------------------------
+// TRANSITION
+// ---------------------------
+// Moves the project and records the change. Permission checks are the caller's job
+// (see transitionPermission); this only enforces the state machine. `fields` are written in
+// the same guarded update, so an edit that comes with a status change lands only if the
+// transition does.
+export const transitionProject = async (project, toStatus, { changedBy = null, reason = null, fields = {} } = {}) => {
+  const to = normalizeStatus(toStatus);
+  if (!to) throw new LifecycleError(`Unknown status "${toStatus}"`, "INVALID_STATUS");
+
+  const from = project.status;
+  if (!transitionPermission(from, to))
+    throw new LifecycleError(`Cannot move a project from ${from} to ${to}`);
+
+  // Guard on the previous status so concurrent transitions can't both win
+  const { data, error } = await supabase
+    .from('projects')
+    .update({ ...fields, status: to })
+    .eq('id', project.id)
+    .eq('status', from)
+    .select();
+
+  if (error) throw error;
+  if (!data || data.length === 0)
+    throw new LifecycleError("Project status changed in the meantime, reload and try again", "STALE_STATUS");
+
+  await recordStatusChange(project.id, { from, to, changedBy, reason });
+
+  if (TERMINAL_STATUSES.includes(to) && !TERMINAL_STATUSES.includes(from))
+    await releaseProjectAllocations(project.id);
+
+  // Leaving Draft makes the project visible to everyone; entering it hides it again
+  publish("project.status", { project: projectSummary(data[0]), from, to, changed_by: changedBy }, {
+    visibleTo: (user) => isProjectVisibleTo(data[0], user) || isProjectVisibleTo(project, user),
+  });
+
+  return { project: data[0], from, to };
+};
@@ -0,0 +1,177 @@
+import webpush from "web-push";
+import supabase from "../db/supabaseClient.js";
+
+// ---------------------------
+// VAPID
+// ---------------------------
+const { VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY, VAPID_MAILTO } = process.env;
+
+if (!VAPID_PUBLIC_KEY || !VAPID_PRIVATE_KEY) {
+  console.error("VAPID Keys missing in environment variables");
+} else {
+  webpush.setVapidDetails(
+    VAPID_MAILTO || "mailto:test@example.com",
+    VAPID_PUBLIC_KEY,
+    VAPID_PRIVATE_KEY
+  );
+}
+
+const SUBSCRIPTION_FIELDS = "id, empid, endpoint, p256dh, auth, expiration_time, device_label, user_agent, created_at, last_success_at, last_failure_at, failure_count";
+
+// Metadata returned to the owner; keys stay server-side
+export const PUBLIC_SUBSCRIPTION_FIELDS = "id, endpoint, device_label, user_agent, created_at, last_success_at, last_failure_at";
+
+const IN_CHUNK_SIZE = 200;
+
+// Row -> the shape web-push expects
+const toWebPushSubscription = (row) => ({
+  endpoint: row.endpoint,
+  expirationTime: row.expiration_time,
+  keys: { p256dh: row.p256dh, auth: row.auth },
+});
+
+// Returns null when the browser's PushSubscription JSON is unusable
+export const parseBrowserSubscription = (subscription) => {
+  if (!subscription || typeof subscription !== "object") return null;
+  const { endpoint, keys, expirationTime } = subscription;
+  if (typeof endpoint !== "string" || !/^https:\/\//.test(endpoint)) return null;
+  if (!keys || typeof keys.p256dh !== "string" || typeof keys.auth !== "string") return null;
+  return { endpoint, p256dh: keys.p256dh, auth: keys.auth, expiration_time: expirationTime ?? null };
+};
+
+// ---------------------------
+// REGISTER / REMOVE
+// ---------------------------
+// Upserts on endpoint: a browser re-subscribing, or another user signing in on the same
+// device, takes the existing row over instead of duplicating it.
+export const saveSubscription = async (empid, parsed, { deviceLabel = null, userAgent = null } = {}) => {
+  const { data, error } = await supabase
+    .from('push_subscriptions')
+    .upsert({
+      ...parsed,
+      empid,
+      device_label: deviceLabel,
+      user_agent: userAgent,
+      failure_count: 0,
+      last_failure_at: null,
+    }, { onConflict: 'endpoint' })
+    .select(PUBLIC_SUBSCRIPTION_FIELDS)
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+// Removes one device (by endpoint) or, without an endpoint, all of the user's devices.
+// Returns the number of rows removed.
+export const removeSubscriptions = async (empid, endpoint = null) => {
+  let query = supabase
+    .from('push_subscriptions')
+    .delete()
+    .eq('empid', empid);
+
+  if (endpoint) query = query.eq('endpoint', endpoint);
+
+  const { data, error } = await query.select('id');
+  if (error) throw error;
+  return (data || []).length;
+};
+
+export const listSubscriptions = async (empid) => {
+  const { data, error } = await supabase
+    .from('push_subscriptions')
+    .select(PUBLIC_SUBSCRIPTION_FIELDS)
+    .eq('empid', empid)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+};
+
+// empids -> Map(empid -> subscription rows), for broadcasts
+export const loadSubscriptionsMap = async (empids) => {
+  const map = new Map();
+
+  for (let i = 0; i < empids.length; i += IN_CHUNK_SIZE) {
+    const { data, error } = await supabase
+      .from('push_subscriptions')
+      .select(SUBSCRIPTION_FIELDS)
+      .in('empid', empids.slice(i, i + IN_CHUNK_SIZE));
+
+    if (error) throw error;
+    (data || []).forEach((row) => {
+      const key = String(row.empid);
+      if (!map.has(key)) map.set(key, []);
+      map.get(key).push(row);
+    });
+  }
+
+  return map;
+};
+
+// Subscription rows by id, for the delivery queue
+export const loadSubscriptionsByIds = async (ids) => {
+  const map = new Map();
+
+  for (let i = 0; i < ids.length; i += IN_CHUNK_SIZE) {
+    const { data, error } = await supabase
+      .from('push_subscriptions')
+      .select(SUBSCRIPTION_FIELDS)
+      .in('id', ids.slice(i, i + IN_CHUNK_SIZE));
+
+    if (error) throw error;
+    (data || []).forEach((row) => map.set(row.id, row));
+  }
+
+  return map;
+};
+
+// ---------------------------
+// DELIVERY
+// ---------------------------
+// Sends to one device and classifies the result for the queue:
+//   sent   - delivered (last_success_at is stamped)
+//   pruned - 404/410: the browser dropped the subscription, so the row is deleted (by id and
+//            endpoint, so a re-subscribe in the meantime survives)
+//   retry  - 429/5xx or a network error; retryAfterSeconds carries the Retry-After header
+//   failed - any other rejection, retrying won't help
+// Resolves to { outcome, statusCode, error, retryAfterSeconds }.
+export const sendPush = async (row, payload) => {
+  try {
+    await webpush.sendNotification(toWebPushSubscription(row), JSON.stringify(payload));
+
+    await supabase
+      .from('push_subscriptions')
+      .update({ last_success_at: new Date().toISOString(), failure_count: 0 })
+      .eq('id', row.id);
+
+    return { outcome: "sent", statusCode: 201 };
+  } catch (err) {
+    const statusCode = err.statusCode || null;
+
+    if (statusCode === 410 || statusCode === 404) {
+      const { error } = await supabase
+        .from('push_subscriptions')
+        .delete()
+        .eq('id', row.id)
+        .eq('endpoint', row.endpoint);
+
+      if (error) console.error("Prune subscription error:", error);
+      else console.log(`Pruned expired subscription ${row.id} for ${row.empid}`);
+      return { outcome: "pruned", statusCode };
+    }
+
+    await supabase
+      .from('push_subscriptions')
+      .update({ last_failure_at: new Date().toISOString(), failure_count: (row.failure_count || 0) + 1 })
+      .eq('id', row.id);
+
+    const retryAfter = parseInt(err.headers && err.headers["retry-after"], 10);
+    return {
+      outcome: !statusCode || statusCode === 429 || statusCode >= 500 ? "retry" : "failed",
+      statusCode,
+      error: String(err.body || err.message || err).slice(0, 500),
+      retryAfterSeconds: Number.isFinite(retryAfter) ? retryAfter : null,
+    };
+  }
+};
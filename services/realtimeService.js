@@ -0,0 +1,103 @@
+// ---------------------------
+// CONFIG
+// ---------------------------
+// In-process event bus behind GET /api/stream. Each connected client only gets the
+// events it may see; a small replay buffer lets a reconnecting client catch up
+// through Last-Event-ID. Events are per instance, like the queue wake-up.
+const REPLAY_SIZE = parseInt(process.env.STREAM_REPLAY_SIZE, 10) || 200;
+const MAX_STREAMS_PER_USER = parseInt(process.env.STREAM_MAX_PER_USER, 10) || 5;
+
+export const STREAM_EVENTS = [
+  "project.created",
+  "project.updated",
+  "project.status",
+  "project.archived",
+  "project.restored",
+  "employee.updated",
+  "employee.availability",
+  "notification",
+];
+
+// empid -> Set(client); a client is { user, events: Set|null, send(event) }
+const clients = new Map();
+const replay = [];
+let nextEventId = 1;
+
+// ---------------------------
+// CLIENTS
+// ---------------------------
+// Registers a stream. Returns an unsubscribe function. The oldest stream of a user is
+// closed once they have more than MAX_STREAMS_PER_USER open.
+export const addClient = (client) => {
+  const key = String(client.user.empid);
+  if (!clients.has(key)) clients.set(key, new Set());
+  const streams = clients.get(key);
+
+  streams.add(client);
+  if (streams.size > MAX_STREAMS_PER_USER) {
+    const [oldest] = streams;
+    streams.delete(oldest);
+    oldest.close?.();
+  }
+
+  return () => {
+    streams.delete(client);
+    if (streams.size === 0) clients.delete(key);
+  };
+};
+
+const wants = (client, event) =>
+  (!client.events || client.events.has(event.type)) && (!event.visibleTo || event.visibleTo(client.user));
+
+// Events after `lastEventId` that the client may see, for resuming a stream
+export const eventsSince = (client, lastEventId) => {
+  const after = parseInt(lastEventId, 10);
+  if (!Number.isFinite(after)) return [];
+  return replay.filter((event) => event.id > after && wants(client, event));
+};
+
+// ---------------------------
+// PUBLISH
+// ---------------------------
+// `empids` limits the event to those users; `visibleTo(user)` filters further
+// (e.g. drafts only reach their creator and admins).
+export const publish = (type, data, { empids = null, visibleTo = null } = {}) => {
+  const targets = empids ? new Set(empids.map(String)) : null;
+  const event = {
+    id: nextEventId++,
+    type,
+    data,
+    at: new Date().toISOString(),
+    visibleTo: targets
+      ? (user) => targets.has(String(user.empid)) && (!visibleTo || visibleTo(user))
+      : visibleTo,
+  };
+
+  replay.push(event);
+  if (replay.length > REPLAY_SIZE) replay.shift();
+
+  const recipients = targets
+    ? [...targets].flatMap((empid) => [...(clients.get(empid) || [])])
+    : [...clients.values()].flatMap((streams) => [...streams]);
+
+  recipients.forEach((client) => {
+    if (!wants(client, event)) return;
+    try {
+      client.send(event);
+    } catch (err) {
+      console.error(`Stream send to ${client.user.empid} failed →`, err.message || err);
+    }
+  });
+
+  return event;
+};
+
+// The project fields list views and dashboards need to patch a row in place
+export const projectSummary = (project) => ({
+  id: project.id,
+  project_name: project.project_name,
+  status: project.status,
+  empid: project.empid,
+  leader_name: project.leader_name,
+  end_date: project.end_date,
+});
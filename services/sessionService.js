@@ -0,0 +1,179 @@
+import supabase from "../db/supabaseClient.js";
+import { generateOpaqueToken, hashToken } from "../utils/tokens.js";
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+const refreshExpiry = () => {
+  const d = new Date();
+  d.setDate(d.getDate() + REFRESH_TOKEN_TTL_DAYS);
+  return d.toISOString();
+};
+
+// ---------------------------
+// CREATE SESSION (on login)
+// ---------------------------
+export const createSession = async (empid, { ip, userAgent } = {}) => {
+  const refreshToken = generateOpaqueToken();
+
+  const { data, error } = await supabase
+    .from('auth_sessions')
+    .insert([
+      {
+        empid,
+        refresh_token_hash: hashToken(refreshToken),
+        ip: ip || null,
+        user_agent: userAgent || null,
+        last_used_at: new Date().toISOString(),
+        expires_at: refreshExpiry(),
+      }
+    ])
+    .select('id')
+    .single();
+
+  if (error) throw error;
+
+  return { sessionId: data.id, refreshToken };
+};
+
+// ---------------------------
+// ROTATE REFRESH TOKEN
+// ---------------------------
+// Returns { session, refreshToken } or { error } with a reason code.
+// Presenting an already-rotated token revokes the whole session (token theft).
+export const rotateSession = async (refreshToken, { ip, userAgent } = {}) => {
+  const tokenHash = hashToken(refreshToken);
+
+  const { data: session, error } = await supabase
+    .from('auth_sessions')
+    .select('*')
+    .eq('refresh_token_hash', tokenHash)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!session) {
+    const { data: reused } = await supabase
+      .from('auth_sessions')
+      .select('id, empid')
+      .eq('previous_token_hash', tokenHash)
+      .is('revoked_at', null)
+      .maybeSingle();
+
+    if (reused) {
+      await revokeSession(reused.id, "refresh_token_reuse");
+      return { error: "reused", empid: reused.empid, sessionId: reused.id };
+    }
+    return { error: "invalid" };
+  }
+
+  if (session.revoked_at) return { error: "revoked", empid: session.empid, sessionId: session.id };
+  if (new Date(session.expires_at) <= new Date()) return { error: "expired", empid: session.empid, sessionId: session.id };
+
+  const nextToken = generateOpaqueToken();
+
+  // Conditional update guards against two concurrent refreshes with the same token
+  const { data: updated, error: updateError } = await supabase
+    .from('auth_sessions')
+    .update({
+      refresh_token_hash: hashToken(nextToken),
+      previous_token_hash: tokenHash,
+      last_used_at: new Date().toISOString(),
+      expires_at: refreshExpiry(),
+      ip: ip || session.ip,
+      user_agent: userAgent || session.user_agent,
+    })
+    .eq('id', session.id)
+    .eq('refresh_token_hash', tokenHash)
+    .select('*');
+
+  if (updateError) throw updateError;
+  if (!updated || updated.length === 0) return { error: "invalid" };
+
+  return { session: updated[0], refreshToken: nextToken };
+};
+
+// ---------------------------
+// REVOKE
+// ---------------------------
+export const revokeSession = async (sessionId, reason = "logout") => {
+  const { error } = await supabase
+    .from('auth_sessions')
+    .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+    .eq('id', sessionId)
+    .is('revoked_at', null);
+
+  if (error) throw error;
+};
+
+export const revokeSessionByToken = async (refreshToken, reason = "logout") => {
+  const { data, error } = await supabase
+    .from('auth_sessions')
+    .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+    .eq('refresh_token_hash', hashToken(refreshToken))
+    .is('revoked_at', null)
+    .select('id, empid');
+
+  if (error) throw error;
+  return data && data.length > 0 ? data[0] : null;
+};
+
+export const revokeAllSessions = async (empid, reason = "logout_all", { exceptSessionId } = {}) => {
+  let query = supabase
+    .from('auth_sessions')
+    .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+    .eq('empid', empid)
+    .is('revoked_at', null);
+
+  if (exceptSessionId) query = query.neq('id', exceptSessionId);
+
+  const { error } = await query;
+  if (error) throw error;
+};
+
+// Revoke one of the caller's own sessions; returns false if it isn't theirs or already revoked
+export const revokeOwnSession = async (empid, sessionId, reason = "user_revoked") => {
+  const { data, error } = await supabase
+    .from('auth_sessions')
+    .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+    .eq('id', sessionId)
+    .eq('empid', empid)
+    .is('revoked_at', null)
+    .select('id');
+
+  if (error) throw error;
+  return Boolean(data && data.length > 0);
+};
+
+// ---------------------------
+// LIST ACTIVE SESSIONS (devices)
+// ---------------------------
+export const listActiveSessions = async (empid) => {
+  const { data, error } = await supabase
+    .from('auth_sessions')
+    .select('id, ip, user_agent, created_at, last_used_at, expires_at')
+    .eq('empid', empid)
+    .is('revoked_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .order('last_used_at', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+};
+
+// ---------------------------
+// LOOKUP (used by auth middleware)
+// ---------------------------
+export const isSessionActive = async (sessionId, empid) => {
+  if (!sessionId) return false;
+
+  const { data, error } = await supabase
+    .from('auth_sessions')
+    .select('empid, revoked_at, expires_at')
+    .eq('id', sessionId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data || data.revoked_at) return false;
+  if (String(data.empid) !== String(empid)) return false;
+  return new Date(data.expires_at) > new Date();
+};
@@ -0,0 +1,211 @@
+import supabase from "../db/supabaseClient.js";
+
+export const DEFAULT_PROFICIENCY = 3;
+
+// "  Node.JS " -> "node.js"
+export const normalizeSkillKey = (value) => String(value).trim().toLowerCase().replace(/\s+/g, " ");
+
+// ---------------------------
+// CATALOG INDEX
+// ---------------------------
+// Map of normalized name / alias -> { id, name, category }
+export const loadSkillIndex = async () => {
+  const { data: skills, error } = await supabase
+    .from('skills')
+    .select('id, name, category, skill_aliases(alias)');
+
+  if (error) throw error;
+
+  const index = new Map();
+  for (const skill of skills || []) {
+    const entry = { id: skill.id, name: skill.name, category: skill.category };
+    index.set(normalizeSkillKey(skill.name), entry);
+    (skill.skill_aliases || []).forEach(({ alias }) => index.set(normalizeSkillKey(alias), entry));
+  }
+  return index;
+};
+
+// Map free-text names onto catalog entries. Duplicates (incl. synonyms) collapse to one skill.
+export const resolveSkills = async (names, { index } = {}) => {
+  const lookup = index || await loadSkillIndex();
+  const matched = [];
+  const unmatched = [];
+  const seen = new Set();
+
+  for (const input of names || []) {
+    const key = normalizeSkillKey(input);
+    if (!key) continue;
+
+    const skill = lookup.get(key);
+    if (!skill) {
+      if (!unmatched.some((u) => normalizeSkillKey(u) === key)) unmatched.push(String(input).trim());
+      continue;
+    }
+    if (seen.has(skill.id)) continue;
+    seen.add(skill.id);
+    matched.push({ input, skill });
+  }
+
+  return { matched, unmatched };
+};
+
+// ---------------------------
+// EMPLOYEE SKILLS
+// ---------------------------
+export const getEmployeeSkills = async (empid) => {
+  const { data, error } = await supabase
+    .from('employee_skills')
+    .select('proficiency, last_used, updated_at, skill:skills(id, name, category)')
+    .eq('empid', empid)
+    .order('proficiency', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+};
+
+export const getEmployeeInterests = async (empid) => {
+  const { data, error } = await supabase
+    .from('employee_interests')
+    .select('skill:skills(id, name, category)')
+    .eq('empid', empid);
+
+  if (error) throw error;
+  return (data || []).map((row) => row.skill);
+};
+
+/**
+ * Replace an employee's skills with `entries` ([{ skill_id, proficiency, last_used }]).
+ * Also rewrites the legacy employees.current_skills column with the canonical names
+ * (plus any `extraNames` that are not in the catalog yet) so older readers keep working.
+ */
+export const replaceEmployeeSkills = async (empid, entries, { extraNames = [], syncLegacyColumn = true } = {}) => {
+  const ids = entries.map((e) => e.skill_id);
+
+  let remove = supabase.from('employee_skills').delete().eq('empid', empid);
+  if (ids.length > 0) remove = remove.not('skill_id', 'in', `(${ids.join(",")})`);
+  const { error: deleteError } = await remove;
+  if (deleteError) throw deleteError;
+
+  if (entries.length > 0) {
+    const now = new Date().toISOString();
+    const { error: upsertError } = await supabase
+      .from('employee_skills')
+      .upsert(entries.map((e) => ({
+        empid,
+        skill_id: e.skill_id,
+        proficiency: e.proficiency || DEFAULT_PROFICIENCY,
+        last_used: e.last_used || null,
+        updated_at: now
+      })), { onConflict: 'empid,skill_id' });
+
+    if (upsertError) throw upsertError;
+  }
+
+  if (syncLegacyColumn) {
+    const skills = await getEmployeeSkills(empid);
+    const names = [...skills.map((s) => s.skill.name), ...extraNames];
+    const { error } = await supabase
+      .from('employees')
+      .update({ current_skills: JSON.stringify(names) })
+      .eq('empid', empid);
+
+    if (error) throw error;
+  }
+};
+
+export const replaceEmployeeInterests = async (empid, skillIds) => {
+  let remove = supabase.from('employee_interests').delete().eq('empid', empid);
+  if (skillIds.length > 0) remove = remove.not('skill_id', 'in', `(${skillIds.join(",")})`);
+  const { error: deleteError } = await remove;
+  if (deleteError) throw deleteError;
+
+  if (skillIds.length === 0) return;
+
+  const { error } = await supabase
+    .from('employee_interests')
+    .upsert(skillIds.map((skill_id) => ({ empid, skill_id })), { onConflict: 'empid,skill_id', ignoreDuplicates: true });
+
+  if (error) throw error;
+};
+
+/**
+ * Sync the structured tables from free-text lists (the legacy profile form).
+ * Existing proficiency / last_used values are kept for skills that remain.
+ * Returns the canonical list to store in the legacy column and the unmatched names.
+ */
+export const syncEmployeeSkillsFromNames = async (empid, names) => {
+  const { matched, unmatched } = await resolveSkills(names);
+
+  const current = await getEmployeeSkills(empid);
+  const currentById = new Map(current.map((row) => [row.skill.id, row]));
+
+  const entries = matched.map(({ skill }) => {
+    const existing = currentById.get(skill.id);
+    return {
+      skill_id: skill.id,
+      proficiency: existing ? existing.proficiency : DEFAULT_PROFICIENCY,
+      last_used: existing ? existing.last_used : null
+    };
+  });
+
+  await replaceEmployeeSkills(empid, entries, { syncLegacyColumn: false });
+
+  return { names: [...matched.map(({ skill }) => skill.name), ...unmatched], unmatched };
+};
+
+export const syncEmployeeInterestsFromNames = async (empid, names) => {
+  const { matched, unmatched } = await resolveSkills(names);
+  await replaceEmployeeInterests(empid, matched.map(({ skill }) => skill.id));
+  return { names: [...matched.map(({ skill }) => skill.name), ...unmatched], unmatched };
+};
+
+// ---------------------------
+// PROJECT SKILLS
+// ---------------------------
+export const getProjectSkills = async (projectId) => {
+  const { data, error } = await supabase
+    .from('project_skills')
+    .select('skill_id, min_proficiency')
+    .eq('project_id', projectId);
+
+  if (error) throw error;
+  return data || [];
+};
+
+// Replace a project's required skills with `entries` ([{ skill_id, min_proficiency }]).
+// Rows for skills that stay are updated in place rather than deleted and re-inserted.
+export const replaceProjectSkills = async (projectId, entries) => {
+  const ids = entries.map((e) => e.skill_id);
+
+  let remove = supabase.from('project_skills').delete().eq('project_id', projectId);
+  if (ids.length > 0) remove = remove.not('skill_id', 'in', `(${ids.join(",")})`);
+  const { error: deleteError } = await remove;
+  if (deleteError) throw deleteError;
+
+  if (entries.length === 0) return;
+
+  const { error } = await supabase
+    .from('project_skills')
+    .upsert(entries.map((e) => ({
+      project_id: projectId,
+      skill_id: e.skill_id,
+      min_proficiency: e.min_proficiency || 1
+    })), { onConflict: 'project_id,skill_id' });
+
+  if (error) throw error;
+};
+
+// Free-text required_skills -> project_skills; returns the canonical list to store.
+// Existing min_proficiency values are kept for skills that remain.
+export const syncProjectSkillsFromNames = async (projectId, names) => {
+  const { matched, unmatched } = await resolveSkills(names);
+
+  const current = await getProjectSkills(projectId);
+  const minById = new Map(current.map((row) => [row.skill_id, row.min_proficiency]));
+
+  await replaceProjectSkills(projectId, matched.map(({ skill }) => ({
+    skill_id: skill.id,
+    min_proficiency: minById.get(skill.id) || 1
+  })));
+  return { names: [...matched.map(({ skill }) => skill.name), ...unmatched], unmatched };
+};
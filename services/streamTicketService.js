@@ -0,0 +1,64 @@
+import supabase from "../db/supabaseClient.js";
+import { generateOpaqueToken, hashToken } from "../utils/tokens.js";
+
+// ---------------------------
+// STREAM TICKETS
+// ---------------------------
+// EventSource can't send an Authorization header, and an access token in the URL ends up
+// in proxy and server logs. Instead the client trades its access token for a ticket that
+// opens one stream within STREAM_TICKET_TTL_SECONDS. Only the ticket's hash is stored.
+const TICKET_TTL_SECONDS = parseInt(process.env.STREAM_TICKET_TTL_SECONDS, 10) || 30;
+// Used and expired tickets are kept this long, then deleted when new ones are issued
+const TICKET_RETENTION_MS = 60 * 60 * 1000;
+
+export const issueStreamTicket = async (user) => {
+  const ticket = generateOpaqueToken();
+  const expiresAt = new Date(Date.now() + TICKET_TTL_SECONDS * 1000);
+
+  const { error } = await supabase
+    .from('stream_tickets')
+    .insert([{
+      token_hash: hashToken(ticket),
+      empid: String(user.empid),
+      role_type: user.role_type || null,
+      session_id: user.sessionId,
+      // The stream still ends when the access token the ticket came from expires
+      access_expires_at: user.expiresAt ? new Date(user.expiresAt * 1000).toISOString() : null,
+      expires_at: expiresAt.toISOString()
+    }]);
+
+  if (error) throw error;
+
+  const { error: purgeError } = await supabase
+    .from('stream_tickets')
+    .delete()
+    .lt('expires_at', new Date(Date.now() - TICKET_RETENTION_MS).toISOString());
+  if (purgeError) console.error("Stream ticket purge error →", purgeError);
+
+  return { ticket, expiresAt };
+};
+
+// Uses up the ticket and returns the claims it was issued for (as verifyAccessToken does),
+// or null when it is unknown, expired or already used
+export const redeemStreamTicket = async (ticket) => {
+  const now = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from('stream_tickets')
+    .update({ used_at: now })
+    .eq('token_hash', hashToken(ticket))
+    .is('used_at', null)
+    .gt('expires_at', now)
+    .select('empid, role_type, session_id, access_expires_at');
+
+  if (error) throw error;
+  if (!data || data.length === 0) return null;
+
+  const row = data[0];
+  return {
+    empid: row.empid,
+    role_type: row.role_type,
+    sessionId: row.session_id,
+    expiresAt: row.access_expires_at ? Math.floor(new Date(row.access_expires_at).getTime() / 1000) : undefined
+  };
+};
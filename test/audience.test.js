@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import supabase from "../db/supabaseClient.js";
+import { parseAudience, audienceFilters } from "../services/audienceService.js";
+
+// The PostgREST filters an audience turns into (nothing is sent)
+const filtersFor = (audience) => {
+  const url = audienceFilters(supabase.from("employees").select("empid"), audience).url;
+  return Object.fromEntries([...url.searchParams].filter(([key]) => key !== "select"));
+};
+
+test("lists are trimmed and de-duplicated, role types canonicalized", () => {
+  const { audience } = parseAudience({ cluster: "MEBM, Cloud ,MEBM", role_type: ["ic", "Employee", "manager"] });
+  assert.deepEqual(audience, { cluster: ["MEBM", "Cloud"], role_type: ["IC", "Manager"] });
+});
+
+test("an audience needs a criterion or all: true, but not both", () => {
+  assert.match(parseAudience({}).error, /at least one criterion/);
+  assert.match(parseAudience({ exclude: ["1"] }).error, /at least one criterion/);
+  assert.match(parseAudience({ all: true, cluster: "MEBM" }).error, /can't be combined/);
+  assert.deepEqual(parseAudience({ all: true, exclude: "1" }).audience, { all: true, exclude: ["1"] });
+});
+
+test("unknown fields, non-objects and oversized lists are rejected", () => {
+  assert.match(parseAudience({ team: "x" }).error, /Unknown audience field "team"/);
+  assert.match(parseAudience(["IC"]).error, /must be an object/);
+  assert.match(parseAudience({ empids: Array.from({ length: 1001 }, (_, i) => String(i)) }).error, /limited to 1000/);
+});
+
+test("all: true adds no filters", () => {
+  assert.deepEqual(filtersFor({ all: true }), {});
+});
+
+test("criteria become database filters, ANDed across fields", () => {
+  assert.deepEqual(filtersFor({ exclude: ["3"], cluster: ["MEBM"], availability: ["Available"] }), {
+    empid: 'not.in.("3")',
+    or: '(and(or(cluster.ilike."MEBM",cluster2.ilike."MEBM"),or(availability.ilike."Available")))',
+  });
+  assert.deepEqual(filtersFor({ empids: ["1", "2"] }), { empid: "in.(1,2)" });
+});
+
+test("a single field needs no and() wrapper", () => {
+  assert.deepEqual(filtersFor({ role: ["Developer", "Tester"] }), { or: '(role.ilike."Developer",role.ilike."Tester")' });
+});
+
+test("IC matches every role_type that isn't Admin or Manager", () => {
+  assert.deepEqual(filtersFor({ role_type: ["IC"] }), {
+    or: "(role_type.is.null,and(role_type.not.ilike.admin,role_type.not.ilike.manager))",
+  });
+});
+
+test("LIKE wildcards and quotes in values are escaped", () => {
+  assert.deepEqual(filtersFor({ role: ['50% "lead"'] }), { or: '(role.ilike."50\\\\% \\"lead\\"")' });
+});
@@ -0,0 +1,31 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseDate, toIsoDate } from "../utils/queryHelpers.js";
+
+const roundTrip = (value) => {
+  const parsed = parseDate(value);
+  return parsed && toIsoDate(parsed);
+};
+
+test("calendar dates come back as the same day", () => {
+  assert.equal(roundTrip("2026-03-10"), "2026-03-10");
+  assert.equal(roundTrip("2026-03-10T23:30:00Z"), "2026-03-10");
+  assert.equal(roundTrip("10/03/2026"), "2026-03-10");
+  assert.equal(roundTrip("10-03-2026"), "2026-03-10");
+  assert.equal(roundTrip("10.03.26"), "2026-03-10");
+  assert.equal(roundTrip("2024-02-29"), "2024-02-29");
+});
+
+test("parsed dates are at local midnight", () => {
+  const d = parseDate("2026-03-10");
+  assert.deepEqual([d.getFullYear(), d.getMonth(), d.getDate(), d.getHours(), d.getMinutes()], [2026, 2, 10, 0, 0]);
+});
+
+test("impossible dates are rejected instead of rolling over", () => {
+  assert.equal(parseDate("2026-13-45"), null);
+  assert.equal(parseDate("2026-02-30"), null);
+  assert.equal(parseDate("2025-02-29"), null);
+  assert.equal(parseDate("31/04/2026"), null);
+  assert.equal(parseDate("not a date"), null);
+  assert.equal(parseDate(""), null);
+});
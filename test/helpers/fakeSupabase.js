@@ -0,0 +1,54 @@
+// In-memory stand-in for the handful of supabase-js query methods the services use.
+// Tables are plain arrays of rows; `hooks.beforeWrite(table, op)` runs before each write so
+// a test can slip in a concurrent change.
+export const fakeSupabase = (tables, hooks = {}) => {
+  const from = (table) => {
+    const rows = (tables[table] ||= []);
+    const q = { op: "select", filters: [], payload: null, single: null };
+
+    const matches = (row) => q.filters.every((f) => f(row));
+
+    const run = () => {
+      if (q.op !== "select" && hooks.beforeWrite) hooks.beforeWrite(table, q.op);
+
+      let data;
+      if (q.op === "insert") {
+        const error = hooks.insertError && hooks.insertError(table, q.payload);
+        if (error) return { data: null, error };
+        data = q.payload.map((row, i) => ({ id: rows.length + i + 1, ...row }));
+        rows.push(...data);
+      } else if (q.op === "update") {
+        data = rows.filter(matches);
+        data.forEach((row) => Object.assign(row, q.payload));
+      } else if (q.op === "delete") {
+        data = rows.filter(matches);
+        tables[table] = rows.filter((row) => !matches(row));
+      } else {
+        data = rows.filter(matches);
+      }
+
+      data = data.map((row) => ({ ...row }));
+      if (q.single === "maybe") return { data: data[0] || null, error: null };
+      if (q.single === "one")
+        return data.length === 1 ? { data: data[0], error: null } : { data: null, error: { code: "PGRST116" } };
+      return { data, error: null };
+    };
+
+    const api = {
+      select: () => api,
+      order: () => api,
+      update: (payload) => Object.assign(q, { op: "update", payload }) && api,
+      insert: (payload) => Object.assign(q, { op: "insert", payload }) && api,
+      delete: () => Object.assign(q, { op: "delete" }) && api,
+      eq: (column, value) => q.filters.push((row) => String(row[column]) === String(value)) && api,
+      is: (column, value) => q.filters.push((row) => (row[column] ?? null) === value) && api,
+      gt: (column, value) => q.filters.push((row) => row[column] > value) && api,
+      maybeSingle: () => Object.assign(q, { single: "maybe" }) && api,
+      single: () => Object.assign(q, { single: "one" }) && api,
+      then: (resolve, reject) => Promise.resolve().then(run).then(resolve, reject),
+    };
+    return api;
+  };
+
+  return { from };
+};
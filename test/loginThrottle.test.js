@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { backoffSeconds, throttleDecision } from "../services/loginThrottleService.js";
+
+// Defaults: 3 free attempts, 1s base doubling up to 300s, 60 minute failure window
+const NOW = Date.parse("2026-03-02T10:00:00Z");
+const secondsAgo = (s) => new Date(NOW - s * 1000).toISOString();
+
+test("the first failures are free, then the delay doubles up to the cap", () => {
+  assert.deepEqual([1, 2, 3].map(backoffSeconds), [0, 0, 0]);
+  assert.deepEqual([4, 5, 6, 7].map(backoffSeconds), [1, 2, 4, 8]);
+  assert.equal(backoffSeconds(40), 300);
+});
+
+test("no rows means the attempt is allowed", () => {
+  assert.deepEqual(throttleDecision([], NOW), { allowed: true });
+});
+
+test("an attempt inside the backoff delay is throttled", () => {
+  const rows = [{ key: "email:a@x.com", failures: 6, last_failed_at: secondsAgo(1) }];
+  assert.deepEqual(throttleDecision(rows, NOW), { allowed: false, locked: false, retryAfter: 3 });
+});
+
+test("an attempt after the backoff delay is allowed", () => {
+  const rows = [{ key: "email:a@x.com", failures: 6, last_failed_at: secondsAgo(5) }];
+  assert.deepEqual(throttleDecision(rows, NOW), { allowed: true });
+});
+
+test("failures outside the window no longer count", () => {
+  const rows = [{ key: "email:a@x.com", failures: 12, last_failed_at: secondsAgo(61 * 60) }];
+  assert.deepEqual(throttleDecision(rows, NOW), { allowed: true });
+});
+
+test("an active lock wins and reports the time left", () => {
+  const rows = [
+    { key: "email:a@x.com", failures: 5, last_failed_at: secondsAgo(10), locked_until: new Date(NOW + 90 * 1000).toISOString() },
+    { key: "ip:10.0.0.1", failures: 4, last_failed_at: secondsAgo(0) },
+  ];
+  assert.deepEqual(throttleDecision(rows, NOW), { allowed: false, locked: true, retryAfter: 90 });
+});
+
+test("a locked IP throttles without reporting the account as locked", () => {
+  const rows = [
+    { key: "email:a@x.com", failures: 1, last_failed_at: secondsAgo(10) },
+    { key: "ip:10.0.0.1", failures: 20, last_failed_at: secondsAgo(10), locked_until: new Date(NOW + 60 * 1000).toISOString() },
+  ];
+  assert.deepEqual(throttleDecision(rows, NOW), { allowed: false, locked: false, retryAfter: 60 });
+});
+
+test("an expired lock falls back to the backoff rules", () => {
+  const rows = [{ key: "ip:10.0.0.1", failures: 3, last_failed_at: secondsAgo(5), locked_until: secondsAgo(1) }];
+  assert.deepEqual(throttleDecision(rows, NOW), { allowed: true });
+});
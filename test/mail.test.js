@@ -0,0 +1,39 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { sendMail, getCapturedMail, clearCapturedMail } from "../services/mailService.js";
+
+// test/setup.js selects MAIL_TRANSPORT=memory
+beforeEach(() => clearCapturedMail());
+
+test("the memory transport captures messages instead of sending them", async () => {
+  await sendMail({ to: "asha@example.com", subject: "Verify your email", text: "Open https://app/verify?token=abc" });
+
+  const [mail] = getCapturedMail();
+  assert.equal(getCapturedMail().length, 1);
+  assert.equal(mail.to, "asha@example.com");
+  assert.equal(mail.subject, "Verify your email");
+  assert.match(mail.from, /no-reply/);
+  assert.ok(mail.sentAt);
+});
+
+test("getCapturedMail returns a copy and clearCapturedMail empties the store", async () => {
+  await sendMail({ to: "a@example.com", subject: "One", text: "1" });
+  getCapturedMail().length = 0;
+  assert.equal(getCapturedMail().length, 1);
+
+  clearCapturedMail();
+  assert.deepEqual(getCapturedMail(), []);
+});
+
+test("only the last MAIL_MEMORY_LIMIT messages are kept", async () => {
+  process.env.MAIL_MEMORY_LIMIT = "2";
+  try {
+    // A fresh module instance, so the limit is read again
+    const mail = await import("../services/mailService.js?memory-limit=2");
+    for (const subject of ["One", "Two", "Three"]) await mail.sendMail({ to: "a@example.com", subject, text: subject });
+
+    assert.deepEqual(mail.getCapturedMail().map((m) => m.subject), ["Two", "Three"]);
+  } finally {
+    delete process.env.MAIL_MEMORY_LIMIT;
+  }
+});
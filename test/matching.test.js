@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { scoreMatch } from "../services/matchingService.js";
+
+const employee = (extra = {}) => ({
+  empid: "7", availability: "Available", cluster: "MEBM", cluster2: null, current_skills: "[]", interests: "[]", ...extra,
+});
+const project = { id: 1, empid: "2", end_date: null };
+const required = [
+  { skill_id: 1, name: "React", min_proficiency: 3 },
+  { skill_id: 2, name: "Node", min_proficiency: 3 },
+];
+const ctx = (extra = {}) => ({ required, skills: new Map(), interests: new Set(), projectClusters: ["mebm"], ...extra });
+
+test("components are combined with the default weights", () => {
+  const { score, breakdown } = scoreMatch(employee(), project, ctx({
+    skills: new Map([[1, { proficiency: 5 }]]),
+    interests: new Set([2]),
+  }));
+
+  // skills 0.5 x 0.5 + availability 1 x 0.25 + interests 0.5 x 0.15 + cluster 1 x 0.1
+  assert.equal(score, 0.675);
+  assert.deepEqual(breakdown.skills.missing, ["Node"]);
+  assert.deepEqual(breakdown.interests.matched, ["Node"]);
+  assert.deepEqual(breakdown.cluster.shared, ["mebm"]);
+});
+
+test("a skill below the required proficiency earns partial credit", () => {
+  const { breakdown } = scoreMatch(employee(), project, ctx({
+    required: [{ skill_id: 1, name: "React", min_proficiency: 4 }],
+    skills: new Map([[1, { proficiency: 2 }]]),
+  }));
+  assert.equal(breakdown.skills.score, 0.25);
+});
+
+test("free-text requirements match the employee's free-text skills", () => {
+  const { breakdown } = scoreMatch(employee({ current_skills: '["figma"]' }), project, ctx({
+    required: [{ skill_id: null, name: "Figma", min_proficiency: null }],
+  }));
+  assert.equal(breakdown.skills.score, 0.6);
+});
+
+test("components without data are left out and the rest renormalized", () => {
+  const { score, breakdown } = scoreMatch(employee({ cluster: "Other" }), project, ctx({ required: [] }));
+
+  assert.equal(breakdown.skills.score, null);
+  assert.equal(breakdown.interests.score, null);
+  // availability 1 x 0.25 + cluster 0 x 0.1, over 0.35
+  assert.equal(score, 0.714);
+});
+
+test("an occupied employee scores nothing for availability", () => {
+  const { breakdown } = scoreMatch(employee({ availability: "Occupied" }), project, ctx());
+  assert.equal(breakdown.availability.score, 0);
+});
+
+test("a weight of 0 from the environment switches a component off", async () => {
+  process.env.MATCH_WEIGHT_CLUSTER = "0";
+  try {
+    // A fresh module instance, so the weights are read again
+    const { scoreMatch: scoreWithoutCluster } = await import("../services/matchingService.js?cluster-weight=0");
+    const { score, breakdown } = scoreWithoutCluster(employee({ cluster: "Other" }), project, ctx({ required: [] }));
+
+    assert.equal(breakdown.cluster.weight, 0);
+    assert.equal(score, 1);
+  } finally {
+    delete process.env.MATCH_WEIGHT_CLUSTER;
+  }
+});
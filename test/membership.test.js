@@ -0,0 +1,136 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import supabase from "../db/supabaseClient.js";
+import {
+  FULL_WEEK_HOURS,
+  weeklyFreeHours,
+  capacityError,
+  availabilityAfter,
+  assignProjectMember,
+  removeProjectMember,
+  AllocationError,
+} from "../services/membershipService.js";
+import { fakeSupabase } from "./helpers/fakeSupabase.js";
+
+const window = { start_date: "2026-03-02", end_date: "2026-03-27" };
+const partial = (hoursPerDay, extra = {}) => ({
+  empid: "7", name: "Asha", availability: "Partially Available", hours_available: String(hoursPerDay),
+  from_date: "2026-03-01", to_date: "2026-03-31", ...extra,
+});
+
+test("free hours follow the availability state", () => {
+  assert.equal(FULL_WEEK_HOURS, 40);
+  assert.equal(weeklyFreeHours({ availability: "Available" }), 40);
+  assert.equal(weeklyFreeHours(partial(4)), 20);
+  assert.equal(weeklyFreeHours(partial(12)), 40);
+  assert.equal(weeklyFreeHours(partial("n/a")), 0);
+  assert.equal(weeklyFreeHours({ availability: "Occupied" }), 0);
+});
+
+test("an allocation larger than the free hours is refused", () => {
+  assert.match(capacityError(partial(4), 25, window), /has 20 free hours\/week; cannot allocate 25/);
+  assert.equal(capacityError(partial(4), 20, window), null);
+  assert.equal(capacityError({ availability: "Occupied" }, -10, window), null);
+});
+
+test("a partially available employee can only be allocated inside their window", () => {
+  assert.match(capacityError(partial(4), 5, { start_date: "2026-02-20", end_date: "2026-03-10" }), /only available from/);
+  assert.match(capacityError(partial(4), 5, { start_date: "2026-03-02", end_date: null }), /only available from/);
+  assert.equal(capacityError(partial(4), 5, window), null);
+});
+
+test("consuming and freeing hours moves between the availability states", () => {
+  const available = { empid: "7", availability: "Available" };
+  assert.deepEqual(availabilityAfter(available, 40, window), { availability: "Occupied", hours_available: null, from_date: null, to_date: null });
+  assert.deepEqual(availabilityAfter(available, 10, window), {
+    availability: "Partially Available", hours_available: "6", from_date: "2026-03-02", to_date: "2026-03-27",
+  });
+  assert.deepEqual(availabilityAfter(partial(4), -20, window), { availability: "Available", hours_available: null, from_date: null, to_date: null });
+  assert.equal(availabilityAfter(partial(4), 10, window).from_date, "2026-03-01");
+});
+
+// ---------------------------
+// assignProjectMember against an in-memory database
+// ---------------------------
+const project = { id: 1, end_date: "2026-03-27" };
+const originalFrom = supabase.from;
+let tables;
+
+beforeEach(() => {
+  tables = {
+    employees: [{ empid: "7", name: "Asha", availability: "Available", hours_available: null, from_date: null, to_date: null }],
+    project_members: [],
+  };
+});
+
+afterEach(() => {
+  supabase.from = originalFrom;
+});
+
+test("assigning hours records the member and reduces the free time", async () => {
+  supabase.from = fakeSupabase(tables).from;
+
+  const { member, created, availability } = await assignProjectMember(project, { empid: "7", allocated_hours_per_week: 30, start_date: "2026-03-02" });
+
+  assert.equal(created, true);
+  assert.equal(member.allocated_hours_per_week, 30);
+  assert.equal(availability.availability, "Partially Available");
+  assert.equal(tables.employees[0].hours_available, "2");
+});
+
+test("a concurrent assignment that spends the hours first makes the check run again", async () => {
+  let raced = false;
+  supabase.from = fakeSupabase(tables, {
+    beforeWrite: (table, op) => {
+      if (raced || table !== "employees" || op !== "update") return;
+      raced = true;
+      Object.assign(tables.employees[0], availabilityAfter(tables.employees[0], 30, window));
+    },
+  }).from;
+
+  await assert.rejects(
+    assignProjectMember(project, { empid: "7", allocated_hours_per_week: 20, start_date: "2026-03-02" }),
+    (err) => err instanceof AllocationError && err.code === "OVER_ALLOCATED"
+  );
+  assert.equal(tables.project_members.length, 0);
+  assert.equal(weeklyFreeHours(tables.employees[0]), 10);
+});
+
+test("the hours are handed back when the membership can't be saved", async () => {
+  supabase.from = fakeSupabase(tables, {
+    insertError: (table) => (table === "project_members" ? { code: "23505", message: "duplicate key" } : null),
+  }).from;
+
+  await assert.rejects(
+    assignProjectMember(project, { empid: "7", allocated_hours_per_week: 30, start_date: "2026-03-02" }),
+    (err) => err instanceof AllocationError && err.code === "STALE_ALLOCATION"
+  );
+  assert.equal(weeklyFreeHours(tables.employees[0]), 40);
+});
+
+test("removing a member frees their hours and drops the row", async () => {
+  supabase.from = fakeSupabase(tables).from;
+  await assignProjectMember(project, { empid: "7", allocated_hours_per_week: 30, start_date: "2026-03-02" });
+
+  assert.equal(await removeProjectMember(1, "7"), true);
+  assert.equal(tables.project_members.length, 0);
+  assert.equal(weeklyFreeHours(tables.employees[0]), 40);
+  assert.equal(await removeProjectMember(1, "7"), false);
+});
+
+test("the freed hours are taken back when the row changed before it could be removed", async () => {
+  supabase.from = fakeSupabase(tables).from;
+  await assignProjectMember(project, { empid: "7", allocated_hours_per_week: 30, start_date: "2026-03-02" });
+  supabase.from = fakeSupabase(tables, {
+    beforeWrite: (table, op) => {
+      if (table === "project_members" && op === "delete") tables.project_members[0].allocated_hours_per_week = 35;
+    },
+  }).from;
+
+  await assert.rejects(
+    removeProjectMember(1, "7"),
+    (err) => err instanceof AllocationError && err.code === "STALE_ALLOCATION"
+  );
+  assert.equal(tables.project_members.length, 1);
+  assert.equal(weeklyFreeHours(tables.employees[0]), 10);
+});
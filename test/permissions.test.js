@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { can, resolveRole, ROLES, ROLE_TYPE_FILTERS, POLICY } from "../utils/permissions.js";
+
+const admin = { empid: "1", role_type: "Admin" };
+const manager = { empid: "2", role_type: "manager" };
+const ic = { empid: "3", role_type: "IC" };
+
+test("resolveRole treats anything but Admin and Manager as IC", () => {
+  assert.equal(resolveRole(" ADMIN "), ROLES.ADMIN);
+  assert.equal(resolveRole("Manager"), ROLES.MANAGER);
+  assert.equal(resolveRole("Employee"), ROLES.IC);
+  assert.equal(resolveRole(null), ROLES.IC);
+});
+
+test("every role has a database filter", () => {
+  assert.deepEqual(Object.keys(ROLE_TYPE_FILTERS).sort(), Object.values(ROLES).sort());
+  assert.deepEqual(ROLE_TYPE_FILTERS[ROLES.IC], ["role_type.is.null", "and(role_type.not.ilike.admin,role_type.not.ilike.manager)"]);
+});
+
+test("`any` grants the permission on every record", () => {
+  assert.equal(can(manager, "projects:create"), true);
+  assert.equal(can(ic, "projects:create"), false);
+  assert.equal(can(admin, "projects:update"), true);
+});
+
+test("`own` only applies when the caller owns the record", () => {
+  assert.equal(can(manager, "projects:update"), false);
+  assert.equal(can(manager, "projects:update", { isOwner: true }), true);
+  assert.equal(can(ic, "employees:update", { isOwner: true }), true);
+  assert.equal(can(ic, "employees:update"), false);
+  assert.equal(can(ic, "projects:update", { isOwner: true }), false);
+});
+
+test("reopening finished projects and account unlocks are Admin-only", () => {
+  for (const permission of ["projects:reopen", "accounts:unlock", "roles:assign"]) {
+    assert.equal(can(admin, permission), true, permission);
+    assert.equal(can(manager, permission, { isOwner: true }), false, permission);
+    assert.equal(can(ic, permission, { isOwner: true }), false, permission);
+  }
+});
+
+test("only ICs apply to projects", () => {
+  assert.equal(can(ic, "applications:create"), true);
+  assert.equal(can(manager, "applications:create"), false);
+});
+
+test("unknown permissions and missing users are denied", () => {
+  assert.equal(can(admin, "projects:launch"), false);
+  assert.equal(can(null, "projects:read"), false);
+  assert.equal(can(undefined, "projects:read"), false);
+});
+
+test("every rule names known roles only", () => {
+  const roles = Object.values(ROLES);
+  for (const [permission, rule] of Object.entries(POLICY)) {
+    for (const role of [...(rule.any || []), ...(rule.own || [])])
+      assert.ok(roles.includes(role), `${permission}: ${role}`);
+  }
+});
@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  PROJECT_STATUS as S,
+  normalizeStatus,
+  allowedTransitions,
+  transitionPermission,
+  requiresCurrentEndDate,
+  isProjectVisibleTo,
+  isRecruiting,
+  isStaffable,
+  TERMINAL_STATUSES,
+} from "../services/projectLifecycleService.js";
+
+test("statuses are matched regardless of case and separators", () => {
+  assert.equal(normalizeStatus("in_progress"), S.IN_PROGRESS);
+  assert.equal(normalizeStatus(" IN-PROGRESS "), S.IN_PROGRESS);
+  assert.equal(normalizeStatus("open"), S.OPEN);
+  assert.equal(normalizeStatus("archived"), null);
+  assert.equal(normalizeStatus(undefined), null);
+});
+
+test("the normal flow needs projects:update", () => {
+  assert.equal(transitionPermission(S.DRAFT, S.OPEN), "projects:update");
+  assert.equal(transitionPermission(S.OPEN, S.STAFFING), "projects:update");
+  assert.equal(transitionPermission(S.STAFFING, S.IN_PROGRESS), "projects:update");
+  assert.equal(transitionPermission(S.IN_PROGRESS, S.COMPLETED), "projects:update");
+});
+
+test("reopening a finished project needs projects:reopen", () => {
+  assert.equal(transitionPermission(S.COMPLETED, S.IN_PROGRESS), "projects:reopen");
+  assert.equal(transitionPermission(S.CANCELLED, S.DRAFT), "projects:reopen");
+});
+
+test("moves outside the state machine are rejected", () => {
+  assert.equal(transitionPermission(S.DRAFT, S.COMPLETED), null);
+  assert.equal(transitionPermission(S.COMPLETED, S.OPEN), null);
+  assert.equal(transitionPermission(S.CANCELLED, S.OPEN), null);
+  assert.equal(transitionPermission("Unknown", S.OPEN), null);
+});
+
+test("allowedTransitions lists the next statuses", () => {
+  assert.deepEqual(allowedTransitions(S.DRAFT), [S.OPEN, S.CANCELLED]);
+  assert.deepEqual(allowedTransitions(S.COMPLETED), [S.IN_PROGRESS]);
+  assert.deepEqual(allowedTransitions("nonsense"), []);
+});
+
+test("only reviving an Expired project into a live status needs a current end date", () => {
+  assert.equal(requiresCurrentEndDate(S.EXPIRED, S.OPEN), true);
+  assert.equal(requiresCurrentEndDate(S.EXPIRED, S.IN_PROGRESS), true);
+  assert.equal(requiresCurrentEndDate(S.EXPIRED, S.COMPLETED), false);
+  assert.equal(requiresCurrentEndDate(S.EXPIRED, S.CANCELLED), false);
+  assert.equal(requiresCurrentEndDate(S.COMPLETED, S.IN_PROGRESS), false);
+});
+
+test("finished statuses are terminal and not recruiting", () => {
+  assert.deepEqual([...TERMINAL_STATUSES].sort(), [S.CANCELLED, S.COMPLETED, S.EXPIRED].sort());
+  assert.equal(isRecruiting("open"), true);
+  assert.equal(isRecruiting(S.STAFFING), true);
+  assert.equal(isRecruiting(S.IN_PROGRESS), false);
+});
+
+test("only published, unfinished projects can be staffed", () => {
+  assert.equal(isStaffable(S.OPEN), true);
+  assert.equal(isStaffable("in progress"), true);
+  assert.equal(isStaffable(S.DRAFT), false);
+  assert.equal(isStaffable(S.COMPLETED), false);
+  assert.equal(isStaffable(S.CANCELLED), false);
+  assert.equal(isStaffable(S.EXPIRED), false);
+});
+
+test("drafts are visible to their creator and Admins only", () => {
+  const draft = { id: 1, status: S.DRAFT, empid: "10" };
+  assert.equal(isProjectVisibleTo(draft, { empid: "10", role_type: "Manager" }), true);
+  assert.equal(isProjectVisibleTo(draft, { empid: "11", role_type: "Manager" }), false);
+  assert.equal(isProjectVisibleTo(draft, { empid: "12", role_type: "IC" }), false);
+  assert.equal(isProjectVisibleTo(draft, { empid: "13", role_type: "Admin" }), true);
+  assert.equal(isProjectVisibleTo({ ...draft, status: S.OPEN }, { empid: "12", role_type: "IC" }), true);
+});
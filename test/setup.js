@@ -0,0 +1,7 @@
+// Loaded before every test file (see "test" in package.json). Tests exercise pure logic and
+// must never reach Supabase or a mail server, so the environment points nowhere real.
+process.env.NODE_ENV = "test";
+process.env.SUPABASE_URL = "http://localhost:54321";
+process.env.SUPABASE_KEY = "test-key";
+process.env.JWT_SECRET = "test-secret";
+process.env.MAIL_TRANSPORT = "memory";
@@ -0,0 +1,33 @@
+// ---------------------------
+// EMPLOYEE FIELD PROJECTION
+// ---------------------------
+// The only employee columns that may leave the server. Credentials
+// (password) are deliberately absent; push endpoints live in push_subscriptions.
+export const PUBLIC_EMPLOYEE_FIELDS = [
+  "empid",
+  "name",
+  "email",
+  "role",
+  "role_type",
+  "cluster",
+  "cluster2",
+  "availability",
+  "hours_available",
+  "from_date",
+  "to_date",
+  "current_project",
+  "current_skills",
+  "interests",
+  "previous_projects",
+  "stars",
+  "last_login",
+  "updated_at",
+];
+
+export const PUBLIC_EMPLOYEE_SELECT = PUBLIC_EMPLOYEE_FIELDS.join(", ");
+
+// Strip anything not in the public projection from a full row
+export const toPublicEmployee = (row) => {
+  if (!row) return row;
+  return Object.fromEntries(PUBLIC_EMPLOYEE_FIELDS.filter((f) => f in row).map((f) => [f, row[f]]));
+};
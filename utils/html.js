@@ -0,0 +1,7 @@
+// ---------------------------
+// HTML HELPERS
+// ---------------------------
+// For values interpolated into email bodies; names and other user input must never be
+// able to inject markup.
+export const escapeHtml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
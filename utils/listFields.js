@@ -0,0 +1,50 @@
+// ---------------------------
+// LIST FIELD HELPERS
+// ---------------------------
+// Legacy list columns (current_skills, interests, previous_projects) hold
+// stringified JSON, CSV or newline separated text.
+
+// Parse stored list-like values (stringified JSON, CSV, newline or array)
+export const safeJsonParse = (value) => {
+  if (value === undefined || value === null) return [];
+  if (Array.isArray(value)) return value.filter(Boolean);
+  if (typeof value === "object") {
+    try {
+      return Object.values(value).flat().filter(Boolean);
+    } catch {
+      return [];
+    }
+  }
+  if (typeof value === "string") {
+    const s = value.trim();
+    if (!s) return [];
+    // try JSON
+    try {
+      const parsed = JSON.parse(s);
+      if (Array.isArray(parsed)) return parsed.filter(Boolean);
+    } catch { }
+    // split by newline or comma
+    return s.split(/\r?\n|,/).map((x) => x.trim()).filter(Boolean);
+  }
+  return [];
+};
+
+// Normalize lists to JSON string for storage. Return undefined if input omitted.
+export const normalizeListForStore = (val) => {
+  if (val === undefined || val === null) return undefined;
+  if (Array.isArray(val)) return JSON.stringify(val.filter(Boolean));
+  if (typeof val === "string") {
+    const s = val.trim();
+    if (s === "") return JSON.stringify([]);
+    // try parse JSON string
+    try {
+      const parsed = JSON.parse(s);
+      if (Array.isArray(parsed)) return JSON.stringify(parsed.filter(Boolean));
+    } catch { }
+    // split by newline/comma
+    const arr = s.split(/\r?\n|,/).map((x) => x.trim()).filter(Boolean);
+    return JSON.stringify(arr);
+  }
+  // coerce other values into single-element array
+  return JSON.stringify([String(val)]);
+};
@@ -0,0 +1,109 @@
+import crypto from "crypto";
+import { promisify } from "util";
+
+const scryptAsync = promisify(crypto.scrypt);
+
+// scrypt cost parameters (N=2^15, r=8, p=1) — OWASP recommended minimum
+const SCRYPT_N = 32768;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+// N * r * 128 bytes = 32 MiB; raise maxmem above Node's 32 MiB default
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+
+const HASH_PREFIX = "scrypt";
+
+const MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8;
+const MAX_LENGTH = 128;
+
+// Stored format: scrypt$N$r$p$<salt b64>$<hash b64>
+export const isHashedPassword = (stored) =>
+  typeof stored === "string" && stored.startsWith(`${HASH_PREFIX}$`);
+
+export const hashPassword = async (plain) => {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const derived = await scryptAsync(String(plain), salt, KEY_LENGTH, {
+    N: SCRYPT_N,
+    r: SCRYPT_R,
+    p: SCRYPT_P,
+    maxmem: SCRYPT_MAXMEM,
+  });
+  return [
+    HASH_PREFIX,
+    SCRYPT_N,
+    SCRYPT_R,
+    SCRYPT_P,
+    salt.toString("base64"),
+    derived.toString("base64"),
+  ].join("$");
+};
+
+// Constant-time comparison that tolerates different lengths
+const safeEqual = (a, b) => {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  if (bufA.length !== bufB.length) {
+    crypto.timingSafeEqual(bufA, bufA);
+    return false;
+  }
+  return crypto.timingSafeEqual(bufA, bufB);
+};
+
+/**
+ * Verify a candidate password against the stored value.
+ * Legacy rows still hold plaintext; those match by direct comparison and are
+ * flagged with `needsRehash` so the caller can upgrade them in place.
+ */
+export const verifyPassword = async (plain, stored) => {
+  if (typeof plain !== "string" || !stored) return { valid: false, needsRehash: false };
+
+  if (!isHashedPassword(stored)) {
+    const valid = safeEqual(plain, String(stored));
+    return { valid, needsRehash: valid };
+  }
+
+  const parts = stored.split("$");
+  if (parts.length !== 6) return { valid: false, needsRehash: false };
+
+  const [, n, r, p, saltB64, hashB64] = parts;
+  const expected = Buffer.from(hashB64, "base64");
+  const derived = await scryptAsync(plain, Buffer.from(saltB64, "base64"), expected.length, {
+    N: parseInt(n, 10),
+    r: parseInt(r, 10),
+    p: parseInt(p, 10),
+    maxmem: SCRYPT_MAXMEM,
+  });
+
+  const valid = derived.length === expected.length && crypto.timingSafeEqual(derived, expected);
+  const needsRehash =
+    valid &&
+    (parseInt(n, 10) !== SCRYPT_N || parseInt(r, 10) !== SCRYPT_R || parseInt(p, 10) !== SCRYPT_P);
+
+  return { valid, needsRehash };
+};
+
+// Returns a list of policy violations (empty when the password is acceptable)
+export const validatePasswordStrength = (password, { email, name } = {}) => {
+  const errors = [];
+  if (typeof password !== "string") return ["Password must be a string"];
+
+  if (password.length < MIN_LENGTH) errors.push(`Password must be at least ${MIN_LENGTH} characters long`);
+  if (password.length > MAX_LENGTH) errors.push(`Password must be at most ${MAX_LENGTH} characters long`);
+  if (!/[a-z]/.test(password)) errors.push("Password must contain a lowercase letter");
+  if (!/[A-Z]/.test(password)) errors.push("Password must contain an uppercase letter");
+  if (!/[0-9]/.test(password)) errors.push("Password must contain a number");
+  if (!/[^A-Za-z0-9]/.test(password)) errors.push("Password must contain a special character");
+
+  const lower = password.toLowerCase();
+  const localPart = email ? String(email).split("@")[0].toLowerCase() : "";
+  if (localPart.length >= 3 && lower.includes(localPart)) {
+    errors.push("Password must not contain your email address");
+  }
+  const firstName = name ? String(name).trim().split(/\s+/)[0].toLowerCase() : "";
+  if (firstName.length >= 3 && lower.includes(firstName)) {
+    errors.push("Password must not contain your name");
+  }
+
+  return errors;
+};
@@ -0,0 +1,90 @@
+// ---------------------------
+// ROLES
+// ---------------------------
+// employees.role_type drives authorization. Anything that is not Admin or
+// Manager is treated as an IC, matching how the scheduler and broadcasts
+// already split the population.
+export const ROLES = Object.freeze({
+  ADMIN: "Admin",
+  MANAGER: "Manager",
+  IC: "IC",
+});
+
+export const resolveRole = (roleType) => {
+  const r = String(roleType || "").trim().toLowerCase();
+  if (r === "admin") return ROLES.ADMIN;
+  if (r === "manager") return ROLES.MANAGER;
+  return ROLES.IC;
+};
+
+// The same mapping as PostgREST or() conditions, for filtering employees by role in the database
+export const ROLE_TYPE_FILTERS = Object.freeze({
+  [ROLES.ADMIN]: ["role_type.ilike.admin"],
+  [ROLES.MANAGER]: ["role_type.ilike.manager"],
+  [ROLES.IC]: ["role_type.is.null", "and(role_type.not.ilike.admin,role_type.not.ilike.manager)"],
+});
+
+const ALL = [ROLES.ADMIN, ROLES.MANAGER, ROLES.IC];
+const MANAGERS = [ROLES.ADMIN, ROLES.MANAGER];
+
+// ---------------------------
+// POLICY
+// ---------------------------
+// permission -> { any: roles allowed on any record, own: roles allowed on their own record }
+export const POLICY = Object.freeze({
+  "employees:read": { any: ALL },
+  "employees:update": { any: MANAGERS, own: ALL },
+  "employees:stars": { any: MANAGERS },
+  "dashboard:read": { any: ALL },
+
+  "projects:read": { any: ALL },
+  "projects:create": { any: MANAGERS },
+  "projects:update": { any: [ROLES.ADMIN], own: MANAGERS },
+  "projects:delete": { any: [ROLES.ADMIN], own: MANAGERS },
+  "projects:reopen": { any: [ROLES.ADMIN] },
+  "projects:restore": { any: MANAGERS, own: ALL },
+  "projects:matches": { any: MANAGERS },
+  "projects:staff": { any: [ROLES.ADMIN], own: MANAGERS },
+  "allocations:read": { any: MANAGERS, own: ALL },
+  "employees:matches": { any: MANAGERS, own: ALL },
+
+  "applications:create": { any: [ROLES.IC] },
+  "applications:review": { any: [ROLES.ADMIN], own: MANAGERS },
+  "applications:read": { any: MANAGERS, own: ALL },
+
+  "comments:read": { any: ALL },
+  "comments:create": { any: ALL },
+  "comments:update": { own: ALL },
+  "comments:delete": { any: [ROLES.ADMIN], own: ALL },
+
+  "notifications:subscribe": { any: ALL },
+  "notifications:read": { any: ALL },
+  "notifications:broadcasts": { any: MANAGERS },
+  "notifications:send": { any: MANAGERS },
+  "notifications:dead-letters": { any: [ROLES.ADMIN] },
+  "notifications:templates": { any: [ROLES.ADMIN] },
+  "stream:read": { any: ALL },
+
+  "accounts:unlock": { any: [ROLES.ADMIN] },
+  "employees:invite": { any: MANAGERS },
+  "roles:assign": { any: [ROLES.ADMIN] },
+  "audit:read": { any: MANAGERS },
+
+  "skills:read": { any: ALL },
+  "skills:manage": { any: MANAGERS },
+  "skills:delete": { any: [ROLES.ADMIN] },
+});
+
+/**
+ * Check whether `user` (req.user) holds `permission`.
+ * Pass `{ isOwner: true }` when the target record belongs to the caller.
+ */
+export const can = (user, permission, { isOwner = false } = {}) => {
+  const rule = POLICY[permission];
+  if (!user || !rule) return false;
+
+  const role = resolveRole(user.role_type);
+  if (rule.any && rule.any.includes(role)) return true;
+  if (isOwner && rule.own && rule.own.includes(role)) return true;
+  return false;
+};
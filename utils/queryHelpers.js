@@ -0,0 +1,78 @@
+// ---------------------------
+// QUERY HELPERS
+// ---------------------------
+// Shared parsing for list endpoints (pagination, sorting, safe filter values).
+
+// Case-insensitive exact/contains match for ilike(): escape the LIKE wildcards
+export const escapeLike = (value) => String(value).trim().replace(/[\\%_]/g, (c) => `\\${c}`);
+
+// Quote a value for use inside a PostgREST or()/and() filter string
+export const quoteFilterValue = (value) => `"${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+
+// ?page=&limit= -> { page, limit, offset }
+export const parsePagination = (query, { defaultLimit = 25, maxLimit = 100 } = {}) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), maxLimit);
+  return { page, limit, offset: (page - 1) * limit };
+};
+
+export const paginated = (data, { page, limit }, total) => ({
+  data,
+  page,
+  limit,
+  total,
+  totalPages: Math.ceil(total / limit)
+});
+
+// ?sort=name,-stars -> [{ column: "name", ascending: true }, { column: "stars", ascending: false }]
+// Unknown columns are rejected so callers can answer 400.
+export const parseSort = (sortParam, allowed, fallback) => {
+  if (!sortParam) return { sort: fallback };
+
+  const sort = [];
+  for (const raw of String(sortParam).split(",").map((s) => s.trim()).filter(Boolean)) {
+    const ascending = !raw.startsWith("-");
+    const column = raw.replace(/^[-+]/, "");
+    if (!allowed.includes(column)) return { error: `Cannot sort by "${column}"` };
+    sort.push({ column, ascending });
+  }
+  return { sort: sort.length > 0 ? sort : fallback };
+};
+
+export const applySort = (query, sort) =>
+  sort.reduce((q, { column, ascending }) => q.order(column, { ascending, nullsFirst: false }), query);
+
+// Local midnight of year/month/day, or null when the fields aren't a real calendar date
+// (new Date would roll 2026-13-45 over into 2027)
+const localDate = (year, month, day) => {
+  const d = new Date(year, month - 1, day);
+  return d.getFullYear() === year && d.getMonth() === month - 1 && d.getDate() === day ? d : null;
+};
+
+// Parses YYYY-MM-DD (a trailing time is ignored), DD/MM/YYYY, DD/MM/YY, DD-MM-YYYY or
+// DD.MM.YYYY into a Date at local midnight, so toIsoDate gives the same calendar day back
+export const parseDate = (dStr) => {
+  if (!dStr) return null;
+  if (dStr instanceof Date) return isNaN(dStr.getTime()) ? null : dStr;
+  const s = String(dStr).trim();
+  if (!s) return null;
+
+  const ymd = s.match(/^(\d{4})[-\/.](\d{1,2})[-\/.](\d{1,2})(?:$|[T\s])/);
+  if (ymd) return localDate(Number(ymd[1]), Number(ymd[2]), Number(ymd[3]));
+
+  const dmy = s.match(/^(\d{1,2})[-\/.](\d{1,2})[-\/.](\d{2}|\d{4})$/);
+  if (dmy) {
+    const year = Number(dmy[3]);
+    return localDate(year < 100 ? year + 2000 : year, Number(dmy[2]), Number(dmy[1]));
+  }
+
+  // Anything else ("March 3, 2026", RFC 2822) is left to the Date parser
+  const d = new Date(s);
+  return !isNaN(d.getTime()) ? new Date(d.getFullYear(), d.getMonth(), d.getDate()) : null;
+};
+
+// Date -> "YYYY-MM-DD" using local calendar fields
+export const toIsoDate = (date) => {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
@@ -0,0 +1,37 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL, 10) || 15 * 60; // seconds
+const ISSUER = "bluebird-user-backend";
+
+let { JWT_SECRET } = process.env;
+if (!JWT_SECRET) {
+  // Tokens signed with an ephemeral secret are invalidated on every restart
+  console.error("JWT_SECRET missing in environment variables, using a temporary secret");
+  JWT_SECRET = crypto.randomBytes(48).toString("hex");
+}
+
+export const ACCESS_TOKEN_TTL_SECONDS = ACCESS_TOKEN_TTL;
+
+export const signAccessToken = ({ empid, role_type, sessionId }) =>
+  jwt.sign({ role_type: role_type || null, sid: sessionId }, JWT_SECRET, {
+    subject: String(empid),
+    expiresIn: ACCESS_TOKEN_TTL,
+    issuer: ISSUER,
+    algorithm: "HS256",
+  });
+
+// Throws (jwt.TokenExpiredError / jwt.JsonWebTokenError) when invalid
+export const verifyAccessToken = (token) => {
+  const payload = jwt.verify(token, JWT_SECRET, { issuer: ISSUER, algorithms: ["HS256"] });
+  return { empid: payload.sub, role_type: payload.role_type, sessionId: payload.sid, expiresAt: payload.exp };
+};
+
+// Opaque random token handed to the client
+export const generateOpaqueToken = () => crypto.randomBytes(48).toString("base64url");
+
+// Only this digest is persisted
+export const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");